@@ -2,34 +2,135 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const fetch = require('node-fetch');
-const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 require('dotenv').config();
+const { crearAlmacen } = require('./lib/db');
+const { TARIFAS_POR_DEFECTO, calcularTarifa, ESQUEMA_TARIFA_VEHICULO, ESQUEMA_RECARGO } = require('./lib/tarifas');
+const { distanciaEntre } = require('./lib/geo');
+const seguimiento = require('./lib/seguimiento');
+const { calcularRuta } = require('./lib/rutas');
+const { TIPOS_VEHICULO, vehiculoAdecuado, capacidadVehiculo } = require('./lib/vehiculos');
+const { planificarRecorrido } = require('./lib/recorridos');
+const { crearDespachador, ESTADOS_OFERTA } = require('./lib/despacho');
+const { aCsv } = require('./lib/csv');
+const { calcularEstadisticas } = require('./lib/estadisticas');
+const eventos = require('./lib/eventos');
+const { crearNotificador, preferenciasEfectivas, esquemaPreferencias, EVENTOS_POR_ROL } = require('./lib/notificaciones');
+const { crearTransportes } = require('./lib/notificaciones/transportes');
+const {
+  parsearLimite,
+  crearAlmacenMemoria,
+  crearLimitador,
+  crearProteccionLogin,
+  responderDemasiadas,
+  segundosHasta
+} = require('./lib/limites');
+const { enviarError } = require('./lib/errores');
+const { idiomaDe, traducir } = require('./lib/idiomas');
+const {
+  objeto,
+  lista,
+  texto,
+  enumeracion,
+  separadoPorComas,
+  numero,
+  entero,
+  booleano,
+  fecha,
+  coordenadas,
+  validar
+} = require('./lib/validacion');
 
 const app = express();
 
+// Detrás de un proxy (Render, Nginx...) req.ip debe tomarse de X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const saltos = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(saltos) ? saltos : process.env.TRUST_PROXY);
+}
+
 // Configuración de CORS
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 app.use(bodyParser.json());
 
-// Configuración de Supabase
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Idioma de los mensajes según Accept-Language (español por defecto)
+app.use((req, res, next) => {
+  res.vary('Accept-Language');
+  res.set('Content-Language', idiomaDe(req));
+  next();
+});
+
+// Almacenamiento (Supabase o SQLite según DB_DRIVER)
+const db = crearAlmacen();
+
+// Notificaciones: escuchan los eventos de pedidos y envían por email, SMS y push
+const transportesNotificacion = crearTransportes();
+crearNotificador({
+  db,
+  transportes: transportesNotificacion,
+  radioAvisoMetros: Number(process.env.RADIO_AVISO_PEDIDOS_METROS) || 5000
+}).conectar(eventos);
+
+// Límites de peticiones y bloqueo de inicios de sesión. Con varias instancias
+// LIMITES_ALMACEN=compartido guarda los contadores en la base de datos.
+const almacenLimites = process.env.LIMITES_ALMACEN === 'compartido' ? db.limites : crearAlmacenMemoria();
+const limitar = crearLimitador(almacenLimites);
+const proteccionLogin = crearProteccionLogin(almacenLimites, {
+  intentos: Number(process.env.BLOQUEO_LOGIN_INTENTOS) || 5,
+  bloqueoBaseMs: (Number(process.env.BLOQUEO_LOGIN_MINUTOS) || 1) * 60 * 1000
+});
+
+// Formato "máximo/ventana", p. ej. 30/15m
+const LIMITES = {
+  loginIp: parsearLimite(process.env.LIMITE_LOGIN_IP, '30/15m'),
+  loginIdentificador: parsearLimite(process.env.LIMITE_LOGIN_IDENTIFICADOR, '10/15m'),
+  registroIp: parsearLimite(process.env.LIMITE_REGISTRO_IP, '10/1h'),
+  recuperacionIp: parsearLimite(process.env.LIMITE_RECUPERACION_IP, '5/1h'),
+  recuperacionCorreo: parsearLimite(process.env.LIMITE_RECUPERACION_CORREO, '3/1h'),
+  verificacionContacto: parsearLimite(process.env.LIMITE_VERIFICACION_CONTACTO, '5/1h'),
+  codigoSmsIp: parsearLimite(process.env.LIMITE_CODIGO_SMS_IP, '10/1h'),
+  codigoSmsTelefono: parsearLimite(process.env.LIMITE_CODIGO_SMS_TELEFONO, '3/15m')
+};
+
+// Correo en minúsculas o teléfono solo con dígitos, para que variantes del
+// mismo identificador compartan contador
+function normalizarIdentificador(valor) {
+  if (typeof valor !== 'string' || !valor.trim()) return null;
+  return valor.includes('@') ? valor.trim().toLowerCase() : valor.replace(/\D/g, '') || null;
+}
 
-// Cliente para operaciones normales
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const limitesLogin = [
+  limitar({ nombre: 'login-ip', ...LIMITES.loginIp, clave: req => req.ip }),
+  limitar({ nombre: 'login-identificador', ...LIMITES.loginIdentificador, clave: req => normalizarIdentificador(req.body.identificador) })
+];
+// El canje de códigos SMS llega sin identificador: se cuenta por teléfono
+const limitesLoginOtp = [
+  limitar({ nombre: 'login-ip', ...LIMITES.loginIp, clave: req => req.ip }),
+  limitar({ nombre: 'login-otp-telefono', ...LIMITES.loginIdentificador, clave: req => normalizarIdentificador(req.body.telefono) })
+];
+// Cada SMS cuesta dinero: se limitan los envíos por IP y por teléfono
+const limitesCodigoSms = [
+  limitar({ nombre: 'codigo-sms-ip', ...LIMITES.codigoSmsIp, clave: req => req.ip }),
+  limitar({ nombre: 'codigo-sms-telefono', ...LIMITES.codigoSmsTelefono, clave: req => normalizarIdentificador(req.body.telefono) })
+];
+const limitesRegistro = limitar({ nombre: 'registro-ip', ...LIMITES.registroIp, clave: req => req.ip });
+const limitesRecuperacion = [
+  limitar({ nombre: 'recuperacion-ip', ...LIMITES.recuperacionIp, clave: req => req.ip }),
+  limitar({ nombre: 'recuperacion-correo', ...LIMITES.recuperacionCorreo, clave: req => normalizarIdentificador(req.body.correo) })
+];
 
-// Cliente para operaciones administrativas (solo backend)
-const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
+if (almacenLimites === db.limites) {
+  setInterval(() => {
+    db.limites.purgarCaducados().catch(error => console.error('Error purgando límites caducados:', error));
+  }, 60 * 60 * 1000).unref();
+}
 
 // Middleware de logs
 app.use((req, res, next) => {
@@ -44,26 +145,138 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK',
     environment: process.env.NODE_ENV || 'development',
-    database: 'Supabase PostgreSQL'
+    database: db.descripcion
   });
 });
 
 // Middleware de autenticación
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
   
   if (!token) {
-    return res.status(401).json({ error: 'Acceso no autorizado' });
+    return enviarError(res, 'NO_AUTENTICADO');
   }
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     console.error('Error verificando token:', error);
-    res.status(401).json({ error: 'Token inválido' });
+    return enviarError(res, 'TOKEN_INVALIDO');
+  }
+  
+  // La versión del token y el estado de la cuenta se comprueban en cada petición
+  // para que un cierre de sesión o una suspensión surtan efecto sin esperar a que caduque
+  try {
+    const version = await db.sesiones.obtenerVersion(decoded.id);
+    if (decoded.ver !== version) {
+      return enviarError(res, 'SESION_CERRADA');
+    }
+    
+    const { error, datos } = await comprobarEstadoCuenta(decoded.id, decoded.rol);
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+  } catch (error) {
+    console.error('Error comprobando estado de la cuenta:', error);
+    return enviarError(res, 'ERROR_INTERNO');
+  }
+  
+  req.user = decoded;
+  next();
+}
+
+// Estados de cuenta de usuarios y mensajeros; solo las activas pueden usar la API
+const ERRORES_ESTADO_CUENTA = {
+  pendiente: 'CUENTA_PENDIENTE',
+  rechazado: 'CUENTA_RECHAZADA',
+  suspendido: 'CUENTA_SUSPENDIDA'
+};
+
+async function comprobarEstadoCuenta(id, rol) {
+  // Los administradores no tienen fila en usuarios ni mensajeros
+  if (rol !== 'usuario' && rol !== 'mensajero') return {};
+  
+  const repositorio = rol === 'usuario' ? db.usuarios : db.mensajeros;
+  const persona = await repositorio.obtener(id);
+  
+  if (!persona) {
+    return { error: 'CUENTA_NO_EXISTE' };
+  }
+  
+  if (persona.estado_cuenta !== 'activo') {
+    return {
+      error: ERRORES_ESTADO_CUENTA[persona.estado_cuenta] || 'CUENTA_NO_DISPONIBLE',
+      datos: { motivo: persona.motivo_estado }
+    };
   }
+  
+  return {};
+}
+
+// Tokens de acceso de corta duración y refresh tokens rotatorios guardados en el servidor
+const MINUTOS_TOKEN_ACCESO = Number(process.env.TOKEN_ACCESO_MINUTOS) || 15;
+const DIAS_TOKEN_REFRESCO = Number(process.env.TOKEN_REFRESCO_DIAS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// datos: { id, rol, telefono, nombres, apellidos }. El token lleva la versión
+// vigente de la cuenta (ver) y la sesión que lo emitió (sid).
+async function emitirTokens(datos, req, familia = crypto.randomUUID()) {
+  const ahora = Date.now();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const sesionId = crypto.randomUUID();
+  
+  await db.sesiones.crear({
+    id: sesionId,
+    persona_id: datos.id,
+    rol: datos.rol,
+    familia,
+    token_hash: hashToken(refreshToken),
+    datos_token: datos,
+    ip: req.ip,
+    agente: (req.get('user-agent') || '').slice(0, 255) || null,
+    expira_at: new Date(ahora + DIAS_TOKEN_REFRESCO * 24 * 60 * 60 * 1000).toISOString(),
+    created_at: new Date(ahora).toISOString()
+  });
+  
+  const version = await db.sesiones.obtenerVersion(datos.id);
+  const token = jwt.sign({ ...datos, ver: version, sid: sesionId }, process.env.JWT_SECRET, {
+    expiresIn: `${MINUTOS_TOKEN_ACCESO}m`
+  });
+  
+  return { token, refreshToken, expiraEn: MINUTOS_TOKEN_ACCESO * 60 };
+}
+
+// Invalida al instante los tokens de acceso y los refresh tokens de la cuenta
+async function revocarSesiones(personaId) {
+  await db.sesiones.incrementarVersion(personaId);
+  await db.sesiones.revocarDePersona(personaId, new Date().toISOString());
+}
+
+// Identifica al usuario si envía un token válido, sin exigirlo
+function autenticacionOpcional(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  
+  if (token) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      // Un token inválido se trata como petición anónima
+    }
+  }
+  
+  next();
+}
+
+// EventSource no permite cabeceras, así que los streams aceptan el token en la query
+function tokenDesdeQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
 }
 
 // Generar ID único
@@ -71,11 +284,39 @@ function generarId() {
   return crypto.randomBytes(8).toString('hex');
 }
 
-// Funciones de validación
-function validarCarnet(carnet) {
-  return /^\d{11}$/.test(carnet);
+// Registro de auditoría. Un fallo al auditar se anota en el log pero no
+// interrumpe la operación, que ya se ha realizado.
+async function registrarAuditoria({ entidad, entidadId = null, accion, actor = null, ip = null, antes = null, despues = null }) {
+  try {
+    await db.auditoria.registrar({
+      entidad,
+      entidad_id: entidadId,
+      accion,
+      actor_id: actor ? actor.id : null,
+      actor_rol: actor ? actor.rol : null,
+      ip,
+      antes,
+      despues,
+      created_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error registrando auditoría (${entidad} ${entidadId} ${accion}):`, error);
+  }
+}
+
+// Valores anteriores y nuevos de los campos modificados
+function valoresCambiados(antes, despues, campos) {
+  const cambios = { antes: {}, despues: {} };
+  for (const campo of campos) {
+    if (JSON.stringify(antes[campo]) !== JSON.stringify(despues[campo])) {
+      cambios.antes[campo] = antes[campo] ?? null;
+      cambios.despues[campo] = despues[campo] ?? null;
+    }
+  }
+  return cambios;
 }
 
+// Funciones de validación
 function validarTelefono(telefono) {
   const tel = telefono.replace(/\D/g, '');
   return /^[56]\d{7}$/.test(tel) || /^(535|536)\d{7}$/.test(tel);
@@ -85,766 +326,3830 @@ function validarCorreo(correo) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(correo);
 }
 
-// Registro de usuario
-app.post('/api/registro', async (req, res) => {
+function validarCoordenadas(punto) {
+  return !!punto &&
+    typeof punto.lat === 'number' && punto.lat >= -90 && punto.lat <= 90 &&
+    typeof punto.lng === 'number' && punto.lng >= -180 && punto.lng <= 180;
+}
+
+// Esquemas comunes de las rutas
+const ID = texto({ max: 100 });
+const PARAMS_ID = objeto({ id: ID });
+const LATITUD = numero({ min: -90, max: 90 });
+const LONGITUD = numero({ min: -180, max: 180 });
+const CORREO = texto({ max: 254, prueba: validarCorreo, codigo: 'CORREO_INVALIDO' });
+const TELEFONO = texto({ max: 20, prueba: validarTelefono, codigo: 'TELEFONO_INVALIDO' });
+const TIPO_VEHICULO = enumeracion(TIPOS_VEHICULO);
+const MOTIVO = texto({ max: 500 });
+const RANGO_FECHAS = { desde: fecha().opcional(), hasta: fecha().opcional() };
+const FORMATO = enumeracion(['json', 'csv']).porDefecto('json');
+
+// Referencias a documentos del mensajero (URL o identificador del archivo subido)
+const MAX_DOCUMENTOS = 10;
+
+// Campos del registro; los mensajeros indican además su vehículo y documentos
+const CAMPOS_REGISTRO = {
+  nombres: texto({ max: 100 }),
+  apellidos: texto({ max: 100 }),
+  carnet: texto({ patron: /^\d{11}$/, codigo: 'CARNET_INVALIDO' }),
+  telefono: TELEFONO,
+  correo: CORREO,
+  contrasena: texto({ min: 6, max: 72, recortar: false })
+};
+
+const CAMPOS_REGISTRO_MENSAJERO = {
+  vehiculo: TIPO_VEHICULO,
+  documentos: lista(texto({ max: 500 }), { max: MAX_DOCUMENTOS }).porDefecto(() => [])
+};
+
+// Errores para valores únicos ya registrados (error DUPLICADO del almacén)
+const ERRORES_DUPLICADO = {
+  carnet: 'CARNET_REGISTRADO',
+  telefono: 'TELEFONO_REGISTRADO',
+  correo: 'CORREO_REGISTRADO'
+};
+
+// Códigos numéricos de un solo uso (cambios de contacto, inicio de sesión por SMS
+// y verificación del teléfono). Solo se guarda su hash.
+const MINUTOS_CODIGO_VERIFICACION = 15;
+const MINUTOS_CODIGO_LOGIN = 5;
+const MAX_INTENTOS_VERIFICACION = 5;
+
+// Con VERIFICAR_TELEFONO_REGISTRO=true se envía un código al registrarse y no se
+// puede entrar con contraseña hasta confirmar el teléfono
+const VERIFICAR_TELEFONO_REGISTRO = process.env.VERIFICAR_TELEFONO_REGISTRO === 'true';
+
+// Código de 6 cifras (entrega de pedidos y códigos de un solo uso)
+function generarCodigoNumerico() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// Genera el código, guarda su hash y lo envía por SMS (canal telefono) o por
+// correo. plantilla es el texto del mensaje en la sección codigos del catálogo.
+async function enviarCodigoVerificacion({ clave, personaId, canal, destino, idioma, plantilla, minutos = MINUTOS_CODIGO_VERIFICACION }) {
+  const codigo = generarCodigoNumerico();
+  
+  await db.codigos.guardar({
+    clave,
+    persona_id: personaId,
+    destino,
+    codigo_hash: hashToken(codigo),
+    intentos: 0,
+    expira_at: new Date(Date.now() + minutos * 60 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+  
+  const texto = traducir(idioma, 'codigos', plantilla, { codigo, minutos });
+  if (canal === 'telefono') {
+    await transportesNotificacion.sms.enviar({ para: destino, texto });
+  } else {
+    await transportesNotificacion.email.enviar({
+      para: destino,
+      asunto: traducir(idioma, 'codigos', 'VERIFICACION_ASUNTO'),
+      texto
+    });
+  }
+}
+
+// Devuelve { codigo } si el código es correcto o { error } si no existe, caducó o no coincide
+async function comprobarCodigoVerificacion(clave, codigo) {
+  const pendiente = await db.codigos.obtener(clave);
+  
+  if (!pendiente || new Date(pendiente.expira_at) <= new Date()) {
+    return { error: 'CODIGO_VERIFICACION_CADUCADO' };
+  }
+  
+  if (pendiente.intentos >= MAX_INTENTOS_VERIFICACION) {
+    return { error: 'DEMASIADOS_INTENTOS_VERIFICACION' };
+  }
+  
+  if (hashToken(codigo) !== pendiente.codigo_hash) {
+    await db.codigos.sumarIntento(clave, pendiente.intentos);
+    return { error: 'CODIGO_VERIFICACION_INCORRECTO' };
+  }
+  
+  await db.codigos.eliminar(clave);
+  return { codigo: pendiente };
+}
+
+// Registro de usuarios y mensajeros. rolFijo se usa en los endpoints de un solo rol;
+// si no, el rol viene en el body.
+function manejarRegistro(rolFijo) {
+  return async (req, res) => {
+    try {
+      const { nombres, apellidos, carnet, telefono, correo, contrasena, vehiculo, documentos } = req.body;
+      const rol = rolFijo || req.body.rol;
+      const idioma = idiomaDe(req);
+      
+      // Construir URL de redirección para verificación de correo
+      const frontendUrl = process.env.FRONTEND_URL || 'https://tu-frontend.com';
+      const emailRedirectTo = `${frontendUrl}/confirmar.html?type=signup&rol=${rol}&lang=${idioma}`;
+      
+      // Registrar la cuenta
+      let authUser;
+      try {
+        authUser = await db.auth.registrar({
+          correo,
+          contrasena,
+          metadatos: {
+            nombres,
+            apellidos,
+            carnet,
+            telefono,
+            rol,
+            // Las plantillas de correo de Supabase pueden usarlo para elegir el idioma
+            idioma,
+            ...(rol === 'mensajero' && { tipo_vehiculo: vehiculo })
+          },
+          redireccion: emailRedirectTo
+        });
+      } catch (authError) {
+        if (authError.code === 'DUPLICADO' && ERRORES_DUPLICADO[authError.campo]) {
+          return enviarError(res, ERRORES_DUPLICADO[authError.campo]);
+        }
+        console.error('Error creando la cuenta:', authError);
+        return enviarError(res, 'REGISTRO_FALLIDO');
+      }
+      
+      // Guardar en la tabla correspondiente
+      const repositorio = rol === 'usuario' ? db.usuarios : db.mensajeros;
+      try {
+        await repositorio.crear({
+          id: authUser.id,
+          nombres,
+          apellidos,
+          carnet,
+          telefono,
+          correo,
+          idioma,
+          // Los mensajeros no pueden trabajar hasta que un administrador los apruebe
+          ...(rol === 'mensajero' && { tipo_vehiculo: vehiculo, documentos, estado_cuenta: 'pendiente' })
+        });
+      } catch (dbError) {
+        console.error(`Error registrando ${rol}:`, dbError);
+        
+        // Intentar eliminar la cuenta recién creada
+        await db.auth.eliminarUsuario(authUser.id)
+          .catch(error => console.error('Error eliminando cuenta tras fallo de registro:', error));
+        
+        if (dbError.code === 'DUPLICADO' && ERRORES_DUPLICADO[dbError.campo]) {
+          return enviarError(res, ERRORES_DUPLICADO[dbError.campo]);
+        }
+        
+        return enviarError(res, 'ERROR_INTERNO');
+      }
+      
+      // Si el SMS falla la cuenta queda creada; el código se puede pedir de nuevo
+      if (VERIFICAR_TELEFONO_REGISTRO) {
+        await enviarCodigoVerificacion({
+          clave: `registro_telefono:${telefono}`,
+          personaId: authUser.id,
+          canal: 'telefono',
+          destino: telefono,
+          idioma,
+          plantilla: 'VERIFICACION_TELEFONO'
+        }).catch(error => console.error('Error enviando código de verificación del teléfono:', error));
+      }
+      
+      const codigo = rol === 'mensajero' ? 'REGISTRO_MENSAJERO_EXITOSO' : 'REGISTRO_EXITOSO';
+      res.json({ 
+        success: true,
+        code: codigo,
+        message: traducir(idioma, 'exitos', codigo),
+        ...(VERIFICAR_TELEFONO_REGISTRO && { verificarTelefono: true })
+      });
+      
+    } catch (error) {
+      console.error('Error en registro:', error);
+      enviarError(res, 'ERROR_INTERNO');
+    }
+  };
+}
+
+// Registro de usuario o mensajero según el rol indicado
+app.post('/api/registro', limitesRegistro, validar({
+  body: req => objeto({
+    ...CAMPOS_REGISTRO,
+    rol: enumeracion(['usuario', 'mensajero']),
+    ...(req.body.rol === 'mensajero' && CAMPOS_REGISTRO_MENSAJERO)
+  })
+}), manejarRegistro());
+
+// Registro de mensajero (endpoint específico)
+app.post('/api/registro/mensajero', limitesRegistro, validar({
+  body: objeto({ ...CAMPOS_REGISTRO, ...CAMPOS_REGISTRO_MENSAJERO })
+}), manejarRegistro('mensajero'));
+
+// Cuenta de usuario o mensajero con ese teléfono
+async function buscarPersonaPorTelefono(telefono) {
+  const usuario = await db.usuarios.buscarPorTelefono(telefono);
+  if (usuario) return { persona: usuario, repositorio: db.usuarios };
+  
+  const mensajero = await db.mensajeros.buscarPorTelefono(telefono);
+  return mensajero ? { persona: mensajero, repositorio: db.mensajeros } : {};
+}
+
+// Reenvía el código de verificación del teléfono (VERIFICAR_TELEFONO_REGISTRO).
+// Igual que en el login por SMS, la respuesta no revela si el teléfono existe.
+app.post('/api/registro/telefono/solicitar', limitesCodigoSms, validar({
+  body: objeto({ telefono: TELEFONO })
+}), async (req, res) => {
+  try {
+    const { telefono } = req.body;
+    const { persona } = await buscarPersonaPorTelefono(telefono);
+    
+    if (persona && !persona.telefono_verificado_at) {
+      try {
+        await enviarCodigoVerificacion({
+          clave: `registro_telefono:${telefono}`,
+          personaId: persona.id,
+          canal: 'telefono',
+          destino: telefono,
+          idioma: idiomaDe(req),
+          plantilla: 'VERIFICACION_TELEFONO'
+        });
+      } catch (error) {
+        console.error('Error enviando código de verificación del teléfono:', error);
+        return enviarError(res, 'CODIGO_NO_ENVIADO');
+      }
+    }
+    
+    res.json({
+      success: true,
+      code: 'CODIGO_ENVIADO',
+      message: traducir(idiomaDe(req), 'exitos', 'CODIGO_ENVIADO'),
+      expiraEn: MINUTOS_CODIGO_VERIFICACION * 60
+    });
+  } catch (error) {
+    console.error('Error solicitando código de verificación del teléfono:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.post('/api/registro/telefono/verificar', validar({
+  body: objeto({
+    telefono: TELEFONO,
+    codigo: texto({ max: 10 })
+  })
+}), async (req, res) => {
   try {
-    const { nombres, apellidos, carnet, telefono, correo, contrasena, rol, vehiculo } = req.body;
+    const { telefono, codigo } = req.body;
     
-    // Validar campos
-    if (!nombres || !apellidos || !carnet || !telefono || !correo || !contrasena || !rol) {
-      return res.status(400).json({ error: 'Todos los campos son obligatorios' });
+    const verificacion = await comprobarCodigoVerificacion(`registro_telefono:${telefono}`, codigo);
+    if (verificacion.error) {
+      return enviarError(res, verificacion.error);
     }
     
-    if (!validarCarnet(carnet)) {
-      return res.status(400).json({ error: 'Carnet debe tener 11 dígitos' });
+    const { persona, repositorio } = await buscarPersonaPorTelefono(telefono);
+    if (!persona || persona.id !== verificacion.codigo.persona_id) {
+      return enviarError(res, 'CODIGO_VERIFICACION_CADUCADO');
     }
     
-    if (!validarTelefono(telefono)) {
-      return res.status(400).json({ error: 'Teléfono inválido' });
+    await repositorio.actualizar(persona.id, { telefono_verificado_at: new Date().toISOString() });
+    
+    res.json({
+      success: true,
+      code: 'TELEFONO_VERIFICADO',
+      message: traducir(idiomaDe(req), 'exitos', 'TELEFONO_VERIFICADO')
+    });
+  } catch (error) {
+    console.error('Error verificando teléfono:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Función auxiliar para obtener correo por teléfono
+async function obtenerCorreoPorTelefono(telefono) {
+  // Buscar en usuarios
+  const usuario = await db.usuarios.buscarPorTelefono(telefono);
+  
+  if (usuario) return usuario.correo;
+  
+  // Buscar en mensajeros
+  const mensajero = await db.mensajeros.buscarPorTelefono(telefono);
+  
+  return mensajero ? mensajero.correo : null;
+}
+
+// Hash sin cuenta asociada: si el teléfono no existe se compara igualmente la
+// contraseña para que el tiempo de respuesta no revele qué teléfonos están registrados
+const HASH_FICTICIO = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Cuenta un fallo de contraseña y, si provoca un bloqueo, lo deja en la auditoría
+async function registrarFalloLogin(identificador, req) {
+  if (!identificador) return;
+  
+  const bloqueo = await proteccionLogin.registrarFallo(identificador);
+  if (!bloqueo) return;
+  
+  console.warn(`Inicio de sesión bloqueado para ${identificador} durante ${bloqueo.duracionMs / 1000}s`);
+  await registrarAuditoria({
+    entidad: 'sesion',
+    entidadId: identificador,
+    accion: 'bloqueo',
+    ip: req.ip,
+    despues: {
+      identificador,
+      nivel: bloqueo.nivel,
+      bloqueado_hasta: new Date(bloqueo.expiraAt).toISOString()
     }
+  });
+}
+
+// Login mejorado para aceptar teléfono o correo
+app.post('/api/login', limitesLogin, validar({
+  body: objeto({
+    identificador: texto({ max: 254 }),
+    contrasena: texto({ max: 200, recortar: false }),
+    rol: enumeracion(['usuario', 'mensajero', 'admin'])
+  })
+}), async (req, res) => {
+  try {
+    const { identificador, contrasena, rol } = req.body;
+    const identificadorNormalizado = normalizarIdentificador(identificador);
+    
+    const auditarFallo = (motivo, cuenta = null) => registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: cuenta ? cuenta.id : null,
+      accion: 'login_fallido',
+      ip: req.ip,
+      despues: { identificador, rol, motivo }
+    });
     
-    if (!validarCorreo(correo)) {
-      return res.status(400).json({ error: 'Correo inválido' });
+    const bloqueo = identificadorNormalizado && await proteccionLogin.bloqueo(identificadorNormalizado);
+    if (bloqueo) {
+      await auditarFallo('bloqueado');
+      return responderDemasiadas(res, segundosHasta(bloqueo.expiraAt), 'CUENTA_BLOQUEADA');
     }
     
-    // Validar rol
-    if (!['usuario', 'mensajero'].includes(rol)) {
-      return res.status(400).json({ error: 'Rol inválido' });
+    // Determinar si el identificador es un correo o teléfono
+    let email;
+    if (identificador.includes('@')) {
+      email = identificador;
+    } else {
+      email = await obtenerCorreoPorTelefono(identificador);
+      if (!email) {
+        await bcrypt.compare(contrasena, HASH_FICTICIO);
+        await registrarFalloLogin(identificadorNormalizado, req);
+        await auditarFallo('identificador_desconocido');
+        return enviarError(res, 'CREDENCIALES_INVALIDAS');
+      }
     }
     
-    // Validar tipo de vehículo si es mensajero
-    if (rol === 'mensajero' && !vehiculo) {
-      return res.status(400).json({ error: 'Tipo de vehículo es obligatorio para mensajeros' });
+    // Autenticar la cuenta
+    const user = await db.auth.iniciarSesion(email, contrasena);
+    
+    if (!user) {
+      await registrarFalloLogin(identificadorNormalizado, req);
+      await auditarFallo('credenciales_invalidas');
+      return enviarError(res, 'CREDENCIALES_INVALIDAS');
     }
     
-    // Construir URL de redirección para verificación de correo
-    const frontendUrl = process.env.FRONTEND_URL || 'https://tu-frontend.com';
-    const emailRedirectTo = `${frontendUrl}/confirmar.html?type=signup&rol=${rol}`;
+    await proteccionLogin.registrarExito(identificadorNormalizado);
     
-    // Registrar en Supabase Auth
-    const userData = {
-      nombres,
-      apellidos,
-      carnet,
-      telefono,
-      rol
-    };
+    const data = { user };
     
-    // Añadir tipo de vehículo solo para mensajeros
-    if (rol === 'mensajero') {
-      userData.tipo_vehiculo = vehiculo;
+    // Verificar si el correo está confirmado
+    if (!data.user.confirmed_at) {
+      await auditarFallo('correo_sin_confirmar', data.user);
+      return enviarError(res, 'CORREO_SIN_CONFIRMAR');
     }
     
-    const { data: authData, error: authError } = await supabase.auth.signUp({
-      email: correo,
-      password: contrasena,
-      options: {
-        data: userData,
-        emailRedirectTo
-      }
-    });
+    // Verificar rol
+    if (data.user.user_metadata.rol !== rol) {
+      await auditarFallo('rol_incorrecto', data.user);
+      return enviarError(res, 'ROL_INCORRECTO', { rol });
+    }
     
-    if (authError) {
-      console.error('Error Supabase:', authError);
-      let errorMsg = 'Error en registro';
-      
-      if (authError.message.includes('email')) {
-        errorMsg = 'El correo ya está registrado';
-      } else if (authError.message.includes('phone')) {
-        errorMsg = 'El teléfono ya está registrado';
+    // Cuentas pendientes de aprobación, rechazadas o suspendidas
+    const estadoCuenta = await comprobarEstadoCuenta(data.user.id, rol);
+    if (estadoCuenta.error) {
+      await auditarFallo('cuenta_no_activa', data.user);
+      return enviarError(res, estadoCuenta.error, estadoCuenta.datos);
+    }
+    
+    if (VERIFICAR_TELEFONO_REGISTRO && rol !== 'admin') {
+      const persona = await (rol === 'usuario' ? db.usuarios : db.mensajeros).obtener(data.user.id);
+      if (!persona.telefono_verificado_at) {
+        await auditarFallo('telefono_sin_verificar', data.user);
+        return enviarError(res, 'TELEFONO_SIN_VERIFICAR');
       }
-      
-      return res.status(400).json({ error: errorMsg });
-    }
-    
-    // Guardar en la tabla correspondiente de Supabase
-    const tabla = rol === 'usuario' ? 'usuarios' : 'mensajeros';
-    const { error: dbError } = await supabase
-      .from(tabla)
-      .insert({
-        id: authData.user.id,
-        nombres,
-        apellidos,
-        carnet,
-        telefono,
-        correo,
-        ...(rol === 'mensajero' && { tipo_vehiculo: vehiculo })
-      });
+    }
     
-    if (dbError) {
-      console.error('Error registrando usuario:', dbError);
-      
-      // Intentar eliminar usuario de Supabase Auth
-      await supabase.auth.admin.deleteUser(authData.user.id);
-      
-      if (dbError.code === '23505') { // Violación de unique constraint
-        if (dbError.details.includes('carnet')) {
-          return res.status(400).json({ error: 'El carnet ya está registrado' });
-        } else if (dbError.details.includes('telefono')) {
-          return res.status(400).json({ error: 'El teléfono ya está registrado' });
-        } else if (dbError.details.includes('correo')) {
-          return res.status(400).json({ error: 'El correo ya está registrado' });
-        }
+    await responderLogin(req, res, data.user, rol, 'contrasena');
+  } catch (error) {
+    console.error('Error inesperado en login:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Respuesta de un inicio de sesión correcto, con contraseña o con código por SMS
+async function responderLogin(req, res, user, rol, metodo) {
+  await registrarAuditoria({
+    entidad: 'sesion',
+    entidadId: user.id,
+    accion: 'login',
+    actor: { id: user.id, rol },
+    ip: req.ip,
+    despues: { metodo }
+  });
+  
+  // Generar tokens para nuestra API
+  const tokens = await emitirTokens({
+    id: user.id, 
+    rol,
+    telefono: user.user_metadata.telefono,
+    nombres: user.user_metadata.nombres,
+    apellidos: user.user_metadata.apellidos
+  }, req);
+  
+  res.json({ 
+    success: true, 
+    ...tokens,
+    nombres: user.user_metadata.nombres,
+    apellidos: user.user_metadata.apellidos
+  });
+}
+
+// Inicio de sesión sin contraseña: se envía un código por SMS al teléfono
+// registrado. La respuesta es la misma exista o no la cuenta.
+app.post('/api/login/otp/solicitar', limitesCodigoSms, validar({
+  body: objeto({
+    telefono: TELEFONO,
+    rol: enumeracion(['usuario', 'mensajero'])
+  })
+}), async (req, res) => {
+  try {
+    const { telefono, rol } = req.body;
+    const persona = await (rol === 'usuario' ? db.usuarios : db.mensajeros).buscarPorTelefono(telefono);
+    
+    if (persona) {
+      try {
+        await enviarCodigoVerificacion({
+          clave: `login:${rol}:${telefono}`,
+          personaId: persona.id,
+          canal: 'telefono',
+          destino: telefono,
+          idioma: idiomaDe(req),
+          plantilla: 'LOGIN_SMS',
+          minutos: MINUTOS_CODIGO_LOGIN
+        });
+      } catch (error) {
+        console.error('Error enviando código de inicio de sesión:', error);
+        return enviarError(res, 'CODIGO_NO_ENVIADO');
       }
-      
-      return res.status(500).json({ error: 'Error registrando usuario' });
     }
     
-    res.json({ 
+    res.json({
       success: true,
-      message: 'Registro exitoso. Por favor verifica tu correo electrónico.'
+      code: 'CODIGO_ENVIADO',
+      message: traducir(idiomaDe(req), 'exitos', 'CODIGO_ENVIADO'),
+      expiraEn: MINUTOS_CODIGO_LOGIN * 60
+    });
+  } catch (error) {
+    console.error('Error solicitando código de inicio de sesión:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Canjea el código por los mismos tokens que el login con contraseña. Los
+// fallos cuentan para el bloqueo progresivo del teléfono igual que allí.
+app.post('/api/login/otp/verificar', limitesLoginOtp, validar({
+  body: objeto({
+    telefono: TELEFONO,
+    codigo: texto({ max: 10 }),
+    rol: enumeracion(['usuario', 'mensajero'])
+  })
+}), async (req, res) => {
+  try {
+    const { telefono, codigo, rol } = req.body;
+    const identificador = normalizarIdentificador(telefono);
+    
+    const auditarFallo = (motivo, cuentaId = null) => registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: cuentaId,
+      accion: 'login_fallido',
+      ip: req.ip,
+      despues: { identificador: telefono, rol, motivo, metodo: 'sms' }
     });
     
+    const bloqueo = await proteccionLogin.bloqueo(identificador);
+    if (bloqueo) {
+      await auditarFallo('bloqueado');
+      return responderDemasiadas(res, segundosHasta(bloqueo.expiraAt), 'CUENTA_BLOQUEADA');
+    }
+    
+    const verificacion = await comprobarCodigoVerificacion(`login:${rol}:${telefono}`, codigo);
+    if (verificacion.error) {
+      await registrarFalloLogin(identificador, req);
+      await auditarFallo('codigo_invalido');
+      return enviarError(res, verificacion.error);
+    }
+    
+    // El teléfono pudo cambiar de dueño desde que se pidió el código
+    const repositorio = rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const persona = await repositorio.buscarPorTelefono(telefono);
+    if (!persona || persona.id !== verificacion.codigo.persona_id) {
+      await auditarFallo('identificador_desconocido', verificacion.codigo.persona_id);
+      return enviarError(res, 'CREDENCIALES_INVALIDAS');
+    }
+    
+    await proteccionLogin.registrarExito(identificador);
+    
+    const user = await db.auth.obtenerUsuario(persona.id);
+    if (!user.confirmed_at) {
+      await auditarFallo('correo_sin_confirmar', persona.id);
+      return enviarError(res, 'CORREO_SIN_CONFIRMAR');
+    }
+    
+    const estadoCuenta = await comprobarEstadoCuenta(persona.id, rol);
+    if (estadoCuenta.error) {
+      await auditarFallo('cuenta_no_activa', persona.id);
+      return enviarError(res, estadoCuenta.error, estadoCuenta.datos);
+    }
+    
+    // Recibir el código demuestra que el teléfono es suyo
+    if (!persona.telefono_verificado_at) {
+      await repositorio.actualizar(persona.id, { telefono_verificado_at: new Date().toISOString() });
+    }
+    
+    await responderLogin(req, res, user, rol, 'sms');
+  } catch (error) {
+    console.error('Error verificando código de inicio de sesión:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Perfil tal como lo ve su dueño
+async function vistaPerfil(persona, rol) {
+  return {
+    id: persona.id,
+    nombres: persona.nombres,
+    apellidos: persona.apellidos,
+    telefono: persona.telefono,
+    correo: persona.correo,
+    rol,
+    ...(rol === 'mensajero' && { tipo_vehiculo: persona.tipo_vehiculo }),
+    idioma: persona.idioma,
+    calificacion: await db.calificaciones.promedio(persona.id)
+  };
+}
+
+// Middleware de las rutas de perfil (los administradores no tienen perfil)
+function esUsuarioOMensajero(req, res, next) {
+  if (req.user.rol !== 'usuario' && req.user.rol !== 'mensajero') {
+    return enviarError(res, 'SOLO_USUARIOS_Y_MENSAJEROS');
+  }
+  next();
+}
+
+// Endpoint para obtener perfil de usuario autenticado
+app.get('/api/perfil', authenticate, esUsuarioOMensajero, async (req, res) => {
+  try {
+    // Obtener datos adicionales de la tabla correspondiente
+    const repositorio = req.user.rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const data = await repositorio.obtener(req.user.id);
+    
+    if (!data) throw new Error(`Perfil ${req.user.id} no encontrado`);
+    
+    res.json(await vistaPerfil(data, req.user.rol));
+  } catch (error) {
+    console.error('Error obteniendo perfil:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Cambios de teléfono y correo: se envía un código al valor nuevo y el cambio
+// solo se aplica al confirmarlo en /api/perfil/verificar
+const CAMPOS_CONTACTO = ['telefono', 'correo'];
+
+const limiteVerificacionContacto = limitar({
+  nombre: 'verificacion-contacto',
+  ...LIMITES.verificacionContacto,
+  clave: req => (req.body.telefono || req.body.correo) ? req.user.id : null
+});
+
+// Teléfono y correo deben ser únicos entre usuarios y mensajeros: el inicio de
+// sesión por teléfono busca en ambas tablas
+async function contactoEnUso(campo, valor, personaId) {
+  for (const repositorio of [db.usuarios, db.mensajeros]) {
+    const [persona] = await repositorio.listar({ [campo]: valor }, { columnas: ['id'], limite: 1 });
+    if (persona && persona.id !== personaId) return true;
+  }
+  return false;
+}
+
+const ERRORES_CONTACTO_EN_USO = { telefono: 'TELEFONO_REGISTRADO', correo: 'CORREO_REGISTRADO' };
+
+// Nombre, apellidos y tipo de vehículo se cambian al momento; teléfono y
+// correo quedan pendientes de verificación
+app.patch('/api/perfil', authenticate, esUsuarioOMensajero, validar({
+  body: req => objeto({
+    nombres: texto({ max: 100 }).opcional(),
+    apellidos: texto({ max: 100 }).opcional(),
+    telefono: TELEFONO.opcional(),
+    correo: texto({ max: 254, prueba: validarCorreo, codigo: 'CORREO_INVALIDO', minusculas: true }).opcional(),
+    ...(req.user.rol === 'mensajero' && { tipo_vehiculo: TIPO_VEHICULO.opcional() })
+  })
+}), limiteVerificacionContacto, async (req, res) => {
+  try {
+    const { telefono, correo, ...cambios } = req.body;
+    const repositorio = req.user.rol === 'usuario' ? db.usuarios : db.mensajeros;
+    let persona = await repositorio.obtener(req.user.id);
+    
+    const contacto = Object.entries({ telefono, correo })
+      .filter(([campo, valor]) => valor !== undefined && valor !== persona[campo]);
+    
+    for (const [campo, valor] of contacto) {
+      if (await contactoEnUso(campo, valor, persona.id)) {
+        return enviarError(res, ERRORES_CONTACTO_EN_USO[campo]);
+      }
+    }
+    
+    if (Object.keys(cambios).length > 0) {
+      const anterior = persona;
+      persona = await repositorio.actualizar(persona.id, cambios);
+      await db.auth.actualizarUsuario(persona.id, { metadatos: cambios });
+      
+      await registrarAuditoria({
+        entidad: req.user.rol,
+        entidadId: persona.id,
+        accion: 'actualizar_perfil',
+        actor: req.user,
+        ip: req.ip,
+        ...valoresCambiados(anterior, persona, Object.keys(cambios))
+      });
+    }
+    
+    const verificacionesPendientes = [];
+    for (const [campo, valor] of contacto) {
+      try {
+        await enviarCodigoVerificacion({
+          clave: `cambio_${campo}:${persona.id}`,
+          personaId: persona.id,
+          canal: campo,
+          destino: valor,
+          idioma: idiomaDe(req),
+          plantilla: 'VERIFICACION_CONTACTO'
+        });
+      } catch (error) {
+        console.error(`Error enviando código de verificación de ${campo}:`, error);
+        return enviarError(res, 'CODIGO_NO_ENVIADO');
+      }
+      verificacionesPendientes.push(campo);
+    }
+    
+    res.json({ ...await vistaPerfil(persona, req.user.rol), verificacionesPendientes });
+  } catch (error) {
+    console.error('Error actualizando perfil:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Confirma un cambio de teléfono o correo con el código recibido
+app.post('/api/perfil/verificar', authenticate, esUsuarioOMensajero, validar({
+  body: objeto({
+    campo: enumeracion(CAMPOS_CONTACTO),
+    codigo: texto({ max: 10 })
+  })
+}), async (req, res) => {
+  try {
+    const { campo, codigo } = req.body;
+    
+    const verificacion = await comprobarCodigoVerificacion(`cambio_${campo}:${req.user.id}`, codigo);
+    if (verificacion.error) {
+      return enviarError(res, verificacion.error);
+    }
+    
+    const valor = verificacion.codigo.destino;
+    if (await contactoEnUso(campo, valor, req.user.id)) {
+      return enviarError(res, ERRORES_CONTACTO_EN_USO[campo]);
+    }
+    
+    const repositorio = req.user.rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const anterior = await repositorio.obtener(req.user.id);
+    
+    let persona;
+    try {
+      persona = await repositorio.actualizar(req.user.id, {
+        [campo]: valor,
+        ...(campo === 'telefono' && { telefono_verificado_at: new Date().toISOString() })
+      });
+      await db.auth.actualizarUsuario(req.user.id, campo === 'correo' ? { correo: valor } : { metadatos: { telefono: valor } });
+    } catch (error) {
+      if (error.code === 'DUPLICADO' && ERRORES_DUPLICADO[error.campo]) {
+        // El valor anterior se restaura si la cuenta de acceso no aceptó el cambio
+        await repositorio.actualizar(req.user.id, { [campo]: anterior[campo] });
+        return enviarError(res, ERRORES_DUPLICADO[error.campo]);
+      }
+      throw error;
+    }
+    
+    await registrarAuditoria({
+      entidad: req.user.rol,
+      entidadId: persona.id,
+      accion: `verificar_${campo}`,
+      actor: req.user,
+      ip: req.ip,
+      ...valoresCambiados(anterior, persona, [campo])
+    });
+    
+    res.json(await vistaPerfil(persona, req.user.rol));
+  } catch (error) {
+    console.error('Error verificando contacto:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Cambia la contraseña y cierra las demás sesiones; devuelve tokens nuevos para este dispositivo
+app.post('/api/perfil/contrasena', authenticate, esUsuarioOMensajero, validar({
+  body: objeto({
+    actual: texto({ max: 200, recortar: false }),
+    nueva: CAMPOS_REGISTRO.contrasena
+  })
+}), async (req, res) => {
+  try {
+    const { actual, nueva } = req.body;
+    const repositorio = req.user.rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const persona = await repositorio.obtener(req.user.id);
+    
+    if (!await db.auth.iniciarSesion(persona.correo, actual)) {
+      return enviarError(res, 'CONTRASENA_INCORRECTA');
+    }
+    
+    await db.auth.actualizarUsuario(persona.id, { contrasena: nueva });
+    await revocarSesiones(persona.id);
+    
+    await registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: persona.id,
+      accion: 'cambiar_contrasena',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    const tokens = await emitirTokens({
+      id: persona.id,
+      rol: req.user.rol,
+      telefono: persona.telefono,
+      nombres: persona.nombres,
+      apellidos: persona.apellidos
+    }, req);
+    
+    res.json({
+      success: true,
+      code: 'CONTRASENA_ACTUALIZADA',
+      message: traducir(idiomaDe(req), 'exitos', 'CONTRASENA_ACTUALIZADA'),
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Error cambiando contraseña:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Copia en JSON de todos los datos de la cuenta
+app.get('/api/perfil/exportar', authenticate, esUsuarioOMensajero, async (req, res) => {
+  try {
+    const { id, rol } = req.user;
+    const persona = await (rol === 'usuario' ? db.usuarios : db.mensajeros).obtener(id);
+    
+    const pedidos = await db.pedidos.listar(
+      rol === 'usuario' ? { usuario_id: id } : { mensajero_id: id },
+      { orden: { columna: 'created_at' } }
+    );
+    const suscripciones = await db.notificaciones.listarSuscripcionesPush(id);
+    
+    const datos = {
+      exportado_at: new Date().toISOString(),
+      perfil: { ...persona, rol },
+      preferencias_notificacion: preferenciasEfectivas(await db.notificaciones.obtenerPreferencias(id), rol),
+      suscripciones_push: suscripciones.map(({ endpoint, created_at }) => ({ endpoint, created_at })),
+      pedidos: pedidos.map(pedido => vistaPedidoPara(pedido, req.user)),
+      calificaciones: {
+        recibidas: await db.calificaciones.listarRecibidas(id),
+        emitidas: await db.calificaciones.listarEmitidas(id)
+      },
+      sesiones: await db.sesiones.listarDePersona(id),
+      ...(rol === 'mensajero' && {
+        ganancias: await db.ganancias.listar({ mensajero_id: id }),
+        liquidaciones: await db.ganancias.listarLiquidaciones({ mensajero_id: id })
+      })
+    };
+    
+    await registrarAuditoria({
+      entidad: rol,
+      entidadId: id,
+      accion: 'exportar_datos',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    res.set('Content-Disposition', 'attachment; filename="mis-datos.json"');
+    res.json(datos);
+  } catch (error) {
+    console.error('Error exportando datos:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Estados de pedido que impiden eliminar la cuenta
+const ESTADOS_ACTIVOS_POR_ROL = {
+  usuario: ['disponible', 'en proceso', 'en camino'],
+  mensajero: ['en proceso', 'en camino']
+};
+
+// Elimina la cuenta propia. Los pedidos se conservan para el historial del
+// otro participante y las ganancias, pero sin nombre ni teléfono.
+app.delete('/api/perfil', authenticate, esUsuarioOMensajero, validar({
+  body: objeto({ contrasena: texto({ max: 200, recortar: false }) })
+}), async (req, res) => {
+  try {
+    const { id, rol } = req.user;
+    const repositorio = rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const persona = await repositorio.obtener(id);
+    
+    if (!await db.auth.iniciarSesion(persona.correo, req.body.contrasena)) {
+      return enviarError(res, 'CONTRASENA_INCORRECTA');
+    }
+    
+    const activos = await db.pedidos.listar({
+      [rol === 'usuario' ? 'usuario_id' : 'mensajero_id']: id,
+      estado: { in: ESTADOS_ACTIVOS_POR_ROL[rol] }
+    }, { columnas: ['id'], limite: 1 });
+    
+    if (activos.length > 0) {
+      return enviarError(res, 'CUENTA_CON_PEDIDOS_ACTIVOS');
+    }
+    
+    await revocarSesiones(id);
+    await db.pedidos.anonimizarParticipante(id);
+    await db.notificaciones.eliminarDePersona(id);
+    await db.codigos.eliminarDePersona(id);
+    await repositorio.eliminar(id);
+    await db.auth.eliminarUsuario(id);
+    
+    // Sin datos personales: solo queda constancia de la eliminación
+    await registrarAuditoria({
+      entidad: rol,
+      entidadId: id,
+      accion: 'eliminar_cuenta',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    console.log(`Cuenta ${id} (${rol}) eliminada por su titular`);
+    res.json({
+      success: true,
+      code: 'CUENTA_ELIMINADA',
+      message: traducir(idiomaDe(req), 'exitos', 'CUENTA_ELIMINADA')
+    });
+  } catch (error) {
+    console.error('Error eliminando cuenta:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Renueva los tokens a cambio del refresh token, que se rota en cada uso.
+// Presentar un refresh token ya rotado indica que fue robado: se revoca toda su familia.
+app.post('/api/renovar-token', validar({
+  body: objeto({ refreshToken: texto({ max: 200 }) })
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const sesion = await db.sesiones.obtenerPorHash(hashToken(refreshToken));
+    
+    if (!sesion || sesion.revocado_at) {
+      return enviarError(res, 'SESION_NO_VALIDA');
+    }
+    
+    const ahora = new Date().toISOString();
+    
+    const detectarReutilizacion = async () => {
+      await db.sesiones.revocarFamilia(sesion.familia, ahora);
+      await registrarAuditoria({
+        entidad: 'sesion',
+        entidadId: sesion.persona_id,
+        accion: 'refresh_reutilizado',
+        ip: req.ip,
+        despues: { familia: sesion.familia }
+      });
+      return enviarError(res, 'SESION_NO_VALIDA');
+    };
+    
+    if (sesion.rotado_at) {
+      return detectarReutilizacion();
+    }
+    
+    if (new Date(sesion.expira_at) <= new Date()) {
+      return enviarError(res, 'SESION_CADUCADA');
+    }
+    
+    const estadoCuenta = await comprobarEstadoCuenta(sesion.persona_id, sesion.rol);
+    if (estadoCuenta.error) {
+      return enviarError(res, estadoCuenta.error, estadoCuenta.datos);
+    }
+    
+    // Dos renovaciones simultáneas con el mismo token: solo una puede rotarlo
+    if (!await db.sesiones.marcarRotada(sesion.id, ahora)) {
+      return detectarReutilizacion();
+    }
+    
+    // Nombre y teléfono pueden haber cambiado desde el inicio de sesión
+    let datos = sesion.datos_token;
+    if (sesion.rol === 'usuario' || sesion.rol === 'mensajero') {
+      const persona = await (sesion.rol === 'usuario' ? db.usuarios : db.mensajeros).obtener(sesion.persona_id);
+      datos = { ...datos, telefono: persona.telefono, nombres: persona.nombres, apellidos: persona.apellidos };
+    }
+    
+    res.json({ success: true, ...await emitirTokens(datos, req, sesion.familia) });
+  } catch (error) {
+    console.error('Error al renovar token:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Cierra la sesión actual (su familia de refresh tokens). El token de acceso
+// deja de poder renovarse y caduca en pocos minutos.
+app.post('/api/logout', authenticate, async (req, res) => {
+  try {
+    const sesion = req.user.sid ? await db.sesiones.obtener(req.user.sid) : null;
+    
+    if (sesion && sesion.persona_id === req.user.id) {
+      await db.sesiones.revocarFamilia(sesion.familia, new Date().toISOString());
+    }
+    
+    await registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: req.user.id,
+      accion: 'logout',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al cerrar sesión:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Cierra la sesión en todos los dispositivos, incluidos los tokens de acceso vigentes
+app.post('/api/logout/todos', authenticate, async (req, res) => {
+  try {
+    await revocarSesiones(req.user.id);
+    
+    await registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: req.user.id,
+      accion: 'logout_todos',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al cerrar sesiones:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Límite de puntos intermedios de OpenRouteService (50 coordenadas por ruta)
+const MAX_PARADAS = 48;
+
+// Endpoint para calcular rutas
+// El perfil sale de tipo_vehiculo o, si lo pide un mensajero autenticado, de su vehículo
+app.post('/api/ruta', autenticacionOpcional, validar({
+  body: objeto({
+    origen: coordenadas(),
+    destino: coordenadas(),
+    paradas: lista(coordenadas(), { max: MAX_PARADAS }).porDefecto(() => []),
+    tipo_vehiculo: TIPO_VEHICULO.opcional()
+  })
+}), async (req, res) => {
+  try {
+    const { origen, destino, paradas, tipo_vehiculo } = req.body;
+
+    let tipoVehiculo = tipo_vehiculo;
+    if (!tipoVehiculo && req.user?.rol === 'mensajero') {
+      const mensajero = await db.mensajeros.obtener(req.user.id);
+      tipoVehiculo = mensajero?.tipo_vehiculo;
+    }
+
+    const ruta = await calcularRuta([origen, ...paradas, destino], { tipoVehiculo });
+
+    res.json(ruta);
+  } catch (error) {
+    console.error('Error al calcular ruta:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Tablas de tarifas vigentes. Sin tarifas de vehículo configuradas se usan las
+// de por defecto completas, recargo nocturno incluido; con ellas, los recargos
+// son los guardados aunque la lista esté vacía (el admin puede quitarlos todos)
+async function obtenerTablasTarifas() {
+  const vehiculos = await db.tarifas.listarVehiculos();
+  if (vehiculos.length === 0) {
+    return TARIFAS_POR_DEFECTO;
+  }
+  
+  return {
+    vehiculos,
+    recargos: await db.tarifas.listarRecargos()
+  };
+}
+
+// Calcula ruta y precio de una entrega entre el punto de venta y el de entrega
+// (origen, destino y tipoVehiculo ya validados por el esquema de la ruta)
+async function cotizarEntrega(origen, destino, tipoVehiculo) {
+  const tablas = await obtenerTablasTarifas();
+  if (!tablas.vehiculos.some(t => t.tipo_vehiculo === tipoVehiculo)) {
+    return { error: 'SIN_TARIFA_VEHICULO', datos: { tipoVehiculo } };
+  }
+  
+  const ruta = await calcularRuta([origen, destino], { tipoVehiculo });
+  
+  const { precio, desglose } = calcularTarifa({
+    distancia: ruta.distancia,
+    tipoVehiculo,
+    tablas
+  });
+  
+  return {
+    precio,
+    desglose,
+    distancia: ruta.distancia,
+    duracion: ruta.duracion,
+    geometria: ruta.geometria,
+    aproximada: ruta.aproximada
+  };
+}
+
+// Una cotización se firma para que el pedido creado con ella conserve su precio
+// aunque entretanto cambie la franja de recargo o la ruta pase a estimarse sin
+// conexión. Va ligada al cliente, a los dos puntos y al vehículo.
+const MINUTOS_COTIZACION = Number(process.env.COTIZACION_MINUTOS) || 15;
+
+function firmarCotizacion(usuarioId, { origen, destino, tipoVehiculo }, { precio, distancia }) {
+  return jwt.sign(
+    { origen, destino, tipo_vehiculo: tipoVehiculo, precio, distancia },
+    process.env.JWT_SECRET,
+    { audience: 'cotizacion', subject: usuarioId, expiresIn: MINUTOS_COTIZACION * 60 }
+  );
+}
+
+const mismaUbicacion = (a, b) => a.lat === b.lat && a.lng === b.lng;
+
+// Devuelve { precio, distancia } de la cotización o { error } si no vale para este pedido
+function leerCotizacion(cotizacionId, usuarioId, { origen, destino, tipoVehiculo }) {
+  let cotizacion;
+  try {
+    cotizacion = jwt.verify(cotizacionId, process.env.JWT_SECRET, { audience: 'cotizacion', subject: usuarioId });
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'COTIZACION_CADUCADA' : 'COTIZACION_NO_VALIDA' };
+  }
+  
+  if (cotizacion.tipo_vehiculo !== tipoVehiculo ||
+      !mismaUbicacion(cotizacion.origen, origen) ||
+      !mismaUbicacion(cotizacion.destino, destino)) {
+    return { error: 'COTIZACION_NO_VALIDA' };
+  }
+  
+  return { precio: cotizacion.precio, distancia: cotizacion.distancia };
+}
+
+// Cotizar una entrega
+app.post('/api/cotizar', authenticate, validar({
+  body: objeto({ origen: coordenadas(), destino: coordenadas(), tipo_vehiculo: TIPO_VEHICULO })
+}), async (req, res) => {
+  try {
+    const { origen, destino, tipo_vehiculo } = req.body;
+    
+    const { error, datos, ...cotizacion } = await cotizarEntrega(origen, destino, tipo_vehiculo);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json({
+      ...cotizacion,
+      cotizacion_id: firmarCotizacion(req.user.id, { origen, destino, tipoVehiculo: tipo_vehiculo }, cotizacion),
+      expira_at: new Date(Date.now() + MINUTOS_COTIZACION * 60 * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Error al cotizar entrega:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Máquina de estados de pedidos
+const ESTADOS_PEDIDO = ['programado', 'disponible', 'en proceso', 'en camino', 'entregado', 'cancelado'];
+
+// Cada acción indica desde qué estados se permite, el estado resultante,
+// qué roles pueden ejecutarla y la columna donde se guarda la fecha del cambio.
+const TRANSICIONES_PEDIDO = {
+  // Un pedido programado se publica para los mensajeros antes de su ventana
+  publicar: {
+    desde: ['programado'],
+    hacia: 'disponible',
+    roles: ['sistema'],
+    marca: 'publicado_at',
+    evento: 'pedido.publicado'
+  },
+  asignar: {
+    desde: ['disponible'],
+    hacia: 'en proceso',
+    roles: ['mensajero'],
+    marca: 'asignado_at',
+    evento: 'pedido.asignado'
+  },
+  en_camino: {
+    desde: ['en proceso'],
+    hacia: 'en camino',
+    roles: ['mensajero', 'admin'],
+    soloMensajeroAsignado: true,
+    marca: 'en_camino_at',
+    evento: 'pedido.en_camino'
+  },
+  entregar: {
+    desde: ['en camino'],
+    hacia: 'entregado',
+    roles: ['mensajero', 'admin'],
+    soloMensajeroAsignado: true,
+    marca: 'entregado_at',
+    evento: 'pedido.entregado'
+  },
+  // El cliente cancela su pedido mientras ningún mensajero lo haya recogido
+  cancelar: {
+    desde: ['programado', 'disponible', 'en proceso'],
+    hacia: 'cancelado',
+    roles: ['usuario'],
+    soloPropietario: true,
+    marca: 'cancelado_at',
+    evento: 'pedido.cancelado'
+  },
+  // El mensajero devuelve un pedido que había tomado
+  liberar: {
+    desde: ['en proceso'],
+    hacia: 'disponible',
+    roles: ['mensajero'],
+    soloMensajeroAsignado: true,
+    evento: 'pedido.liberado'
+  },
+  // El administrador puede cancelar desde cualquier estado no final
+  cancelar_admin: {
+    desde: ['programado', 'disponible', 'en proceso', 'en camino'],
+    hacia: 'cancelado',
+    roles: ['admin'],
+    marca: 'cancelado_at',
+    evento: 'pedido.cancelado'
+  }
+};
+
+// Aplica una transición comprobando rol, propiedad y estado actual.
+// La actualización se condiciona al estado leído para que dos peticiones
+// simultáneas no puedan aplicar la misma transición.
+// Opciones: cambios (columnas extra), motivo (para el historial),
+// validar(pedido), que puede devolver { error, datos } para impedir el cambio, y
+// revalidar(pedido), que se ejecuta ya aplicado para reglas que dependen de
+// otras filas (p. ej. la capacidad del recorrido): si rechaza, el cambio se deshace.
+async function transicionarPedido(pedidoId, accion, actor, { cambios = {}, motivo = null, validar, revalidar, ip = null } = {}) {
+  const transicion = TRANSICIONES_PEDIDO[accion];
+  
+  if (!transicion.roles.includes(actor.rol)) {
+    return { error: 'ACCION_NO_PERMITIDA' };
+  }
+  
+  const pedido = await db.pedidos.obtener(pedidoId);
+  
+  if (!pedido) {
+    return { error: 'PEDIDO_NO_ENCONTRADO' };
+  }
+  
+  if (transicion.soloMensajeroAsignado && actor.rol === 'mensajero' && pedido.mensajero_id !== actor.id) {
+    return { error: 'PEDIDO_DE_OTRO_MENSAJERO' };
+  }
+  
+  if (transicion.soloPropietario && pedido.usuario_id !== actor.id) {
+    return { error: 'SIN_PERMISO_PEDIDO' };
+  }
+  
+  if (!transicion.desde.includes(pedido.estado)) {
+    return { error: 'TRANSICION_NO_PERMITIDA', datos: { desde: pedido.estado, hacia: transicion.hacia } };
+  }
+  
+  if (validar) {
+    const rechazo = await validar(pedido);
+    if (rechazo) return rechazo;
+  }
+  
+  const ahora = new Date().toISOString();
+  const condiciones = { estado: pedido.estado };
+  
+  if (transicion.soloMensajeroAsignado && actor.rol === 'mensajero') {
+    condiciones.mensajero_id = actor.id;
+  }
+  
+  if (transicion.soloPropietario) {
+    condiciones.usuario_id = actor.id;
+  }
+  
+  const actualizacion = {
+    ...cambios,
+    estado: transicion.hacia,
+    ...(transicion.marca && { [transicion.marca]: ahora }),
+    actualizado_por: actor.id
+  };
+  
+  let actualizado;
+  try {
+    actualizado = await db.pedidos.actualizarSi(pedidoId, condiciones, actualizacion);
+  } catch (error) {
+    console.error(`Error aplicando transición ${accion}:`, error);
+    return { error: 'ERROR_INTERNO' };
+  }
+  
+  // Otra petición cambió el pedido entre la lectura y la actualización
+  if (!actualizado) {
+    return { error: 'PEDIDO_MODIFICADO' };
+  }
+  
+  // Se deshace antes del historial, la auditoría y los eventos, así que para
+  // el resto de la aplicación la transición nunca ocurrió
+  const rechazoFinal = revalidar && await revalidar(actualizado);
+  if (rechazoFinal) {
+    const restaurar = Object.fromEntries(Object.keys(actualizacion).map(columna => [columna, pedido[columna] ?? null]));
+    const restaurado = await db.pedidos.actualizarSi(pedidoId, { estado: transicion.hacia, actualizado_por: actor.id }, restaurar);
+    if (!restaurado) {
+      console.error(`No se pudo deshacer la transición ${accion} del pedido ${pedidoId}`);
+    }
+    return rechazoFinal;
+  }
+  
+  await db.pedidos.registrarTransicion({
+    pedido_id: pedidoId,
+    accion,
+    estado_anterior: pedido.estado,
+    estado_nuevo: transicion.hacia,
+    actor_id: actor.id,
+    actor_rol: actor.rol,
+    motivo,
+    created_at: ahora
+  }).catch(error => console.error('Error guardando historial de transición:', error));
+  
+  const { antes, despues } = valoresCambiados(pedido, actualizado, Object.keys(actualizacion));
+  await registrarAuditoria({
+    entidad: 'pedido',
+    entidadId: pedidoId,
+    accion,
+    actor,
+    ip,
+    antes,
+    despues: motivo ? { ...despues, motivo } : despues
+  });
+  
+  seguimiento.publicar(pedidoId, 'estado', { estado: transicion.hacia, fecha: ahora });
+  eventos.emitir(transicion.evento, { pedido: actualizado, anterior: pedido, actor: { id: actor.id, rol: actor.rol } });
+  
+  return { pedido: actualizado, anterior: pedido };
+}
+
+// Pedidos programados: con una ventana de recogida el pedido queda "programado"
+// y el programador lo publica ANTELACION minutos antes de que empiece. Al
+// mensajero que lo tome se le recuerda RECORDATORIO minutos antes y, si nadie lo
+// toma antes de que acabe la ventana, se marca como vencido para los administradores.
+const ANTELACION_PROGRAMADOS_MS = (Number(process.env.PROGRAMADOS_ANTELACION_MINUTOS) || 60) * 60 * 1000;
+const RECORDATORIO_PROGRAMADOS_MS = (Number(process.env.PROGRAMADOS_RECORDATORIO_MINUTOS) || 30) * 60 * 1000;
+const MAX_DIAS_PROGRAMACION = Number(process.env.PROGRAMADOS_MAX_DIAS) || 14;
+const INTERVALO_PROGRAMADOR_MS = (Number(process.env.PROGRAMADOR_INTERVALO_SEGUNDOS) || 60) * 1000;
+
+// Autor de los cambios que hace el propio servidor (las columnas de autor son uuid)
+const ACTOR_SISTEMA = { id: '00000000-0000-0000-0000-000000000000', rol: 'sistema' };
+
+// Devuelve el detalle del campo rechazado o null si la ventana es válida
+function comprobarVentana({ inicio, fin }) {
+  const ahora = Date.now();
+  
+  if (new Date(inicio) <= ahora) {
+    return { campo: 'ventana.inicio', codigo: 'FECHA_PASADA' };
+  }
+  
+  if (new Date(inicio) > ahora + MAX_DIAS_PROGRAMACION * 24 * 60 * 60 * 1000) {
+    return { campo: 'ventana.inicio', codigo: 'FECHA_DEMASIADO_LEJANA', datos: { dias: MAX_DIAS_PROGRAMACION } };
+  }
+  
+  if (new Date(fin) <= new Date(inicio)) {
+    return { campo: 'ventana.fin', codigo: 'VENTANA_FIN_ANTERIOR' };
+  }
+  
+  return null;
+}
+
+// Crear pedidos
+// Solo se guardan los campos declarados; estado, mensajero y precio los fija el servidor.
+// Con cotizacion_id (de /api/cotizar y sin caducar) se respeta el precio cotizado;
+// sin ella se cotiza en el momento.
+const ESQUEMA_PEDIDO = objeto({
+  descripcion: texto({ max: 1000 }).opcional(),
+  direccion_venta: texto({ max: 300 }).opcional(),
+  direccion_entrega: texto({ max: 300 }).opcional(),
+  ubicacion_venta: coordenadas(),
+  ubicacion_entrega: coordenadas(),
+  tipo_vehiculo: TIPO_VEHICULO,
+  cotizacion_id: texto({ max: 2000 }).opcional(),
+  ventana: objeto({ inicio: fecha(), fin: fecha() }).opcional()
+});
+
+app.post('/api/pedidos', authenticate, validar({ body: ESQUEMA_PEDIDO }), async (req, res) => {
+  try {
+    const usuarioId = req.user.id;
+    const { cotizacion_id, ventana, ...datosPedido } = req.body;
+    
+    const ventanaRechazada = ventana && comprobarVentana(ventana);
+    if (ventanaRechazada) {
+      return enviarError(res, 'VALIDACION', null, [ventanaRechazada]);
+    }
+    
+    const cotizacion = cotizacion_id
+      ? leerCotizacion(cotizacion_id, usuarioId, {
+        origen: datosPedido.ubicacion_venta,
+        destino: datosPedido.ubicacion_entrega,
+        tipoVehiculo: datosPedido.tipo_vehiculo
+      })
+      : await cotizarEntrega(
+        datosPedido.ubicacion_venta,
+        datosPedido.ubicacion_entrega,
+        datosPedido.tipo_vehiculo
+      );
+    
+    if (cotizacion.error) {
+      return enviarError(res, cotizacion.error, cotizacion.datos);
+    }
+    
+    const inicioVentana = ventana && new Date(ventana.inicio);
+    const programado = inicioVentana && inicioVentana - ANTELACION_PROGRAMADOS_MS > Date.now();
+    // Los programados entran en el despacho automático al publicarse
+    const despacho = programado ? {} : await cambiosDespacho();
+    
+    const pedido = {
+      ...datosPedido,
+      id: generarId(),
+      precio: cotizacion.precio,
+      distancia: cotizacion.distancia,
+      ventana_inicio: inicioVentana ? inicioVentana.toISOString() : null,
+      ventana_fin: ventana ? new Date(ventana.fin).toISOString() : null,
+      // El estado y el mensajero solo cambian mediante transiciones
+      estado: programado ? 'programado' : 'disponible',
+      ...despacho,
+      mensajero_id: null,
+      mensajero_nombre: null,
+      mensajero_telefono: null,
+      codigo_entrega: generarCodigoNumerico(),
+      usuario_id: usuarioId,
+      usuario_nombre: `${req.user.nombres} ${req.user.apellidos}`,
+      usuario_telefono: req.user.telefono
+    };
+    
+    console.log('Creando pedido:', pedido.id);
+    
+    try {
+      await db.pedidos.crear(pedido);
+    } catch (error) {
+      console.error('Error al crear pedido:', error);
+      return enviarError(res, 'ERROR_INTERNO');
+    }
+    
+    const { codigo_entrega, ...datosAuditados } = pedido;
+    await registrarAuditoria({
+      entidad: 'pedido',
+      entidadId: pedido.id,
+      accion: 'crear',
+      actor: req.user,
+      ip: req.ip,
+      despues: datosAuditados
+    });
+    
+    eventos.emitir('pedido.creado', { pedido, actor: { id: req.user.id, rol: req.user.rol } });
+    
+    res.json({ success: true, id: pedido.id, estado: pedido.estado, codigo_entrega: pedido.codigo_entrega });
+  } catch (error) {
+    console.error('Error inesperado en creación de pedido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Una pasada del programador. Las actualizaciones son condicionales, así que
+// varias instancias del servidor pueden ejecutarlo a la vez sin duplicar avisos.
+async function revisarPedidosProgramados() {
+  const ahora = Date.now();
+  const fechaAhora = new Date(ahora).toISOString();
+  
+  const porPublicar = await db.pedidos.listar({
+    estado: 'programado',
+    ventana_inicio: { lte: new Date(ahora + ANTELACION_PROGRAMADOS_MS).toISOString() }
+  });
+  for (const pedido of porPublicar) {
+    const { error } = await transicionarPedido(pedido.id, 'publicar', ACTOR_SISTEMA, {
+      cambios: await cambiosDespacho()
+    });
+    if (error && error !== 'PEDIDO_MODIFICADO') {
+      console.error(`No se pudo publicar el pedido programado ${pedido.id}: ${error}`);
+    }
+  }
+  
+  const porRecordar = await db.pedidos.listar({
+    estado: 'en proceso',
+    recordatorio_at: null,
+    ventana_inicio: { lte: new Date(ahora + RECORDATORIO_PROGRAMADOS_MS).toISOString() }
+  });
+  for (const pedido of porRecordar) {
+    const actualizado = await db.pedidos.actualizarSi(pedido.id, {
+      estado: 'en proceso',
+      mensajero_id: pedido.mensajero_id,
+      recordatorio_at: null
+    }, { recordatorio_at: fechaAhora });
+    
+    if (actualizado) {
+      eventos.emitir('pedido.recordatorio', { pedido: actualizado, actor: ACTOR_SISTEMA });
+    }
+  }
+  
+  const vencidos = await db.pedidos.listar({
+    estado: 'disponible',
+    vencido_at: null,
+    ventana_fin: { lte: fechaAhora }
+  });
+  for (const pedido of vencidos) {
+    const actualizado = await db.pedidos.actualizarSi(pedido.id, { estado: 'disponible', vencido_at: null }, { vencido_at: fechaAhora });
+    if (!actualizado) continue;
+    
+    console.warn(`Pedido programado ${pedido.id} sin mensajero al acabar su ventana`);
+    await registrarAuditoria({
+      entidad: 'pedido',
+      entidadId: pedido.id,
+      accion: 'vencer',
+      actor: ACTOR_SISTEMA,
+      despues: { vencido_at: fechaAhora, ventana_fin: pedido.ventana_fin }
+    });
+  }
+}
+
+function iniciarProgramador() {
+  const revisar = () => revisarPedidosProgramados()
+    .catch(error => console.error('Error revisando pedidos programados:', error));
+  
+  revisar();
+  return setInterval(revisar, INTERVALO_PROGRAMADOR_MS).unref();
+}
+
+// Mientras el pedido no está asignado el mensajero no ve el teléfono del cliente
+// ni la dirección exacta de entrega, solo una ubicación aproximada (~1 km)
+function vistaPreviaPedido(pedido) {
+  const { codigo_entrega, usuario_telefono, direccion_entrega, ubicacion_entrega, ...resto } = pedido;
+  return {
+    ...resto,
+    ubicacion_entrega_aproximada: ubicacion_entrega && {
+      lat: Math.round(ubicacion_entrega.lat * 100) / 100,
+      lng: Math.round(ubicacion_entrega.lng * 100) / 100
+    }
+  };
+}
+
+// Última posición conocida del mensajero (para avisarle de pedidos nuevos cercanos)
+async function actualizarPosicionMensajero(mensajeroId, { lat, lng }) {
+  await db.mensajeros.actualizar(mensajeroId, {
+    ultima_ubicacion: { lat, lng },
+    ultima_ubicacion_at: new Date().toISOString()
+  }).catch(error => console.error('Error actualizando posición del mensajero:', error));
+}
+
+// Disponibilidad de los mensajeros
+// Un mensajero se conecta para trabajar y mientras tanto envía latidos con su
+// posición. Si pasan LATIDO_MAX segundos sin latido, o termina el turno que
+// declaró, pasa a desconectado. Solo los conectados ven y toman pedidos.
+const LATIDO_MAX_MS = (Number(process.env.LATIDO_MAX_SEGUNDOS) || 120) * 1000;
+const INTERVALO_DISPONIBILIDAD_MS = (Number(process.env.DISPONIBILIDAD_REVISION_SEGUNDOS) || 30) * 1000;
+const MAX_HORAS_TURNO = 12;
+const MAX_DIAS_TURNOS = 14;
+
+function estaEnLinea(mensajero) {
+  return mensajero.disponibilidad === 'en_linea' &&
+    !!mensajero.ultimo_latido_at &&
+    Date.now() - new Date(mensajero.ultimo_latido_at) <= LATIDO_MAX_MS;
+}
+
+// Turno en curso del mensajero, si declaró alguno
+async function turnoActual(mensajeroId) {
+  const ahora = new Date().toISOString();
+  const [turno] = await db.turnos.listar({ mensajero_id: mensajeroId, inicio: { lte: ahora }, fin: { gt: ahora } });
+  return turno || null;
+}
+
+async function vistaDisponibilidad(mensajero) {
+  return {
+    enLinea: estaEnLinea(mensajero),
+    en_linea_desde: mensajero.en_linea_desde,
+    ultimo_latido_at: mensajero.ultimo_latido_at,
+    ultima_ubicacion: mensajero.ultima_ubicacion,
+    latidoMaxSegundos: LATIDO_MAX_MS / 1000,
+    turno: await turnoActual(mensajero.id)
+  };
+}
+
+// Pasa a desconectado a un mensajero en línea (si sigue cumpliendo las
+// condiciones) y ofrece a otros los pedidos que el despacho le estaba ofreciendo
+async function desconectarMensajero(mensajeroId, { actor, motivo, ip = null, condiciones = {} }) {
+  const actualizado = await db.mensajeros.actualizarSi(mensajeroId, { disponibilidad: 'en_linea', ...condiciones }, {
+    disponibilidad: 'desconectado',
+    en_linea_desde: null
+  });
+  if (!actualizado) return null;
+  
+  await registrarAuditoria({
+    entidad: 'mensajero',
+    entidadId: mensajeroId,
+    accion: 'desconectar',
+    actor,
+    ip,
+    despues: { motivo }
+  });
+  
+  await despachador.retirarMensajero(mensajeroId);
+  return actualizado;
+}
+
+// Una pasada de revisión: desconecta a quien dejó de enviar latidos y a quien
+// sigue conectado al acabar su turno (si se conectó antes de que acabara)
+async function revisarDisponibilidad() {
+  const ahora = new Date().toISOString();
+  const limite = new Date(Date.now() - LATIDO_MAX_MS).toISOString();
+  
+  const sinLatido = await db.mensajeros.listar(
+    { disponibilidad: 'en_linea', ultimo_latido_at: { lt: limite } },
+    { columnas: ['id'] }
+  );
+  for (const { id } of sinLatido) {
+    await desconectarMensajero(id, {
+      actor: ACTOR_SISTEMA,
+      motivo: 'latido_caducado',
+      condiciones: { ultimo_latido_at: { lt: limite } }
+    });
+  }
+  
+  const terminados = await db.turnos.listar({ finalizado_at: null, fin: { lte: ahora } });
+  for (const turno of terminados) {
+    if (!(await db.turnos.actualizarSi(turno.id, { finalizado_at: null }, { finalizado_at: ahora }))) continue;
+    
+    await desconectarMensajero(turno.mensajero_id, {
+      actor: ACTOR_SISTEMA,
+      motivo: 'fin_turno',
+      condiciones: { en_linea_desde: { lte: turno.fin } }
+    });
+  }
+}
+
+function iniciarRevisionDisponibilidad() {
+  return setInterval(() => {
+    revisarDisponibilidad().catch(error => console.error('Error revisando disponibilidad de mensajeros:', error));
+  }, INTERVALO_DISPONIBILIDAD_MS).unref();
+}
+
+// Estado de conexión del mensajero, su último latido y su turno en curso
+app.get('/api/disponibilidad', authenticate, async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const mensajero = await db.mensajeros.obtener(req.user.id);
+    if (!mensajero) {
+      return enviarError(res, 'MENSAJERO_NO_ENCONTRADO');
+    }
+    
+    res.json(await vistaDisponibilidad(mensajero));
+  } catch (error) {
+    console.error('Error al obtener disponibilidad:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Conectarse (con la posición actual, que cuenta como primer latido) o desconectarse
+app.put('/api/disponibilidad', authenticate, validar({
+  body: req => req.body && req.body.enLinea === true
+    ? objeto({ enLinea: booleano(), lat: LATITUD, lng: LONGITUD })
+    : objeto({ enLinea: booleano() })
+}), async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const { enLinea, lat, lng } = req.body;
+    const mensajero = await db.mensajeros.obtener(req.user.id);
+    if (!mensajero) {
+      return enviarError(res, 'MENSAJERO_NO_ENCONTRADO');
+    }
+    
+    if (!enLinea) {
+      await desconectarMensajero(req.user.id, { actor: req.user, motivo: 'manual', ip: req.ip });
+      return res.json(await vistaDisponibilidad(await db.mensajeros.obtener(req.user.id)));
+    }
+    
+    const ahora = new Date().toISOString();
+    const yaEnLinea = estaEnLinea(mensajero);
+    const actualizado = await db.mensajeros.actualizar(req.user.id, {
+      disponibilidad: 'en_linea',
+      en_linea_desde: yaEnLinea ? mensajero.en_linea_desde : ahora,
+      ultimo_latido_at: ahora,
+      ultima_ubicacion: { lat, lng },
+      ultima_ubicacion_at: ahora
+    });
+    
+    if (!yaEnLinea) {
+      await registrarAuditoria({
+        entidad: 'mensajero',
+        entidadId: req.user.id,
+        accion: 'conectar',
+        actor: req.user,
+        ip: req.ip
+      });
+    }
+    
+    res.json(await vistaDisponibilidad(actualizado));
+  } catch (error) {
+    console.error('Error al cambiar disponibilidad:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Latido del mensajero conectado con su posición. Si llega tarde (ya se le
+// considera desconectado) debe volver a conectarse
+app.post('/api/disponibilidad/latido', authenticate, validar({
+  body: objeto({ lat: LATITUD, lng: LONGITUD })
+}), async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const { lat, lng } = req.body;
+    const ahora = new Date().toISOString();
+    
+    const actualizado = await db.mensajeros.actualizarSi(req.user.id, {
+      disponibilidad: 'en_linea',
+      ultimo_latido_at: { gte: new Date(Date.now() - LATIDO_MAX_MS).toISOString() }
+    }, {
+      ultimo_latido_at: ahora,
+      ultima_ubicacion: { lat, lng },
+      ultima_ubicacion_at: ahora
+    });
+    
+    if (!actualizado) {
+      return enviarError(res, 'MENSAJERO_DESCONECTADO');
+    }
+    
+    res.json(await vistaDisponibilidad(actualizado));
+  } catch (error) {
+    console.error('Error al registrar latido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Devuelve el detalle del campo rechazado o null si el turno es válido.
+// Un turno puede haber empezado ya, pero no terminado.
+function comprobarTurno({ inicio, fin }) {
+  const ahora = Date.now();
+  
+  if (new Date(fin) <= ahora) {
+    return { campo: 'fin', codigo: 'FECHA_PASADA' };
+  }
+  
+  if (new Date(inicio) > ahora + MAX_DIAS_TURNOS * 24 * 60 * 60 * 1000) {
+    return { campo: 'inicio', codigo: 'FECHA_DEMASIADO_LEJANA', datos: { dias: MAX_DIAS_TURNOS } };
+  }
+  
+  if (new Date(fin) <= new Date(inicio)) {
+    return { campo: 'fin', codigo: 'FIN_ANTERIOR_AL_INICIO' };
+  }
+  
+  if (new Date(fin) - new Date(inicio) > MAX_HORAS_TURNO * 60 * 60 * 1000) {
+    return { campo: 'fin', codigo: 'TURNO_DEMASIADO_LARGO', datos: { horas: MAX_HORAS_TURNO } };
+  }
+  
+  return null;
+}
+
+// Turnos del mensajero en curso y por venir
+app.get('/api/turnos', authenticate, async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    res.json(await db.turnos.listar({ mensajero_id: req.user.id, fin: { gt: new Date().toISOString() } }));
+  } catch (error) {
+    console.error('Error al obtener turnos:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.post('/api/turnos', authenticate, validar({
+  body: objeto({ inicio: fecha(), fin: fecha() })
+}), async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const rechazo = comprobarTurno(req.body);
+    if (rechazo) {
+      return enviarError(res, 'VALIDACION', null, [rechazo]);
+    }
+    
+    const inicio = new Date(req.body.inicio).toISOString();
+    const fin = new Date(req.body.fin).toISOString();
+    
+    const solapados = await db.turnos.listar({ mensajero_id: req.user.id, inicio: { lt: fin }, fin: { gt: inicio } });
+    if (solapados.length > 0) {
+      return enviarError(res, 'TURNO_SOLAPADO');
+    }
+    
+    const turno = await db.turnos.crear({
+      mensajero_id: req.user.id,
+      inicio,
+      fin,
+      created_at: new Date().toISOString()
+    });
+    
+    res.json(turno);
+  } catch (error) {
+    console.error('Error al crear turno:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Solo se pueden quitar turnos que no han terminado
+app.delete('/api/turnos/:id', authenticate, validar({
+  params: objeto({ id: entero({ min: 1 }) })
+}), async (req, res) => {
+  try {
+    const turno = await db.turnos.obtener(req.params.id);
+    if (!turno || turno.mensajero_id !== req.user.id) {
+      return enviarError(res, 'TURNO_NO_ENCONTRADO');
+    }
+    
+    if (new Date(turno.fin) <= Date.now()) {
+      return enviarError(res, 'TURNO_FINALIZADO');
+    }
+    
+    await db.turnos.eliminar(turno.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar turno:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+const RADIO_POR_DEFECTO_METROS = 5000;
+const RADIO_MAXIMO_METROS = 50000;
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+const LIMITE = entero({ min: 1, max: LIMITE_MAXIMO }).porDefecto(LIMITE_POR_DEFECTO);
+
+// Obtener pedidos disponibles cerca del mensajero
+// Query: lat, lng (posición actual), radio en metros, pagina y limite.
+// Solo incluye pedidos adecuados a su vehículo, ordenados por distancia a la recogida.
+app.get('/api/pedidos/disponibles', authenticate, validar({
+  query: objeto({
+    lat: LATITUD,
+    lng: LONGITUD,
+    radio: entero({ min: 1, max: RADIO_MAXIMO_METROS }).porDefecto(RADIO_POR_DEFECTO_METROS),
+    pagina: entero({ min: 1 }).porDefecto(1),
+    limite: LIMITE
+  })
+}), async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const { lat, lng, radio, pagina, limite } = req.query;
+    const posicion = { lat, lng };
+    
+    const mensajero = await db.mensajeros.obtener(req.user.id);
+    if (!mensajero) {
+      return enviarError(res, 'MENSAJERO_NO_ENCONTRADO');
+    }
+    
+    if (!estaEnLinea(mensajero)) {
+      return enviarError(res, 'MENSAJERO_DESCONECTADO');
+    }
+    
+    await actualizarPosicionMensajero(req.user.id, posicion);
+    
+    const data = await db.pedidos.listar({ estado: 'disponible' });
+    const enRecorrido = await pedidosEnRecorrido(req.user.id);
+    
+    // Los que el despacho automático está ofreciendo a alguien no se listan
+    const cercanos = data
+      .filter(pedido => pedido.despacho_estado !== 'ofertando')
+      .filter(pedido => vehiculoAdecuado(mensajero.tipo_vehiculo, pedido))
+      .map(pedido => ({ pedido, distancia: distanciaEntre(posicion, pedido.ubicacion_venta) }))
+      .filter(({ distancia }) => distancia <= radio)
+      .sort((a, b) => a.distancia - b.distancia);
+    
+    const inicio = (pagina - 1) * limite;
+    
+    res.json({
+      pedidos: cercanos.slice(inicio, inicio + limite).map(({ pedido, distancia }) => ({
+        ...vistaPreviaPedido(pedido),
+        distancia_recogida: Math.round(distancia)
+      })),
+      total: cercanos.length,
+      pagina,
+      limite,
+      radio,
+      recorrido: { pedidos: enRecorrido.length, capacidad: capacidadVehiculo(mensajero.tipo_vehiculo) }
+    });
+  } catch (error) {
+    console.error('Error al obtener pedidos disponibles:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Pedidos que el mensajero lleva ahora mismo: su recorrido
+function pedidosEnRecorrido(mensajeroId) {
+  return db.pedidos.listar(
+    { mensajero_id: mensajeroId, estado: { in: ESTADOS_ACTIVOS_POR_ROL.mensajero } },
+    { orden: { columna: 'asignado_at' } }
+  );
+}
+
+// Para tomar un pedido el mensajero debe estar en línea y con hueco en su
+// recorrido: puede llevar varios a la vez hasta la capacidad de su vehículo.
+// Dos tomas simultáneas pueden pasar ambas la comprobación previa, así que se
+// repite ya asignado (yaAsignado: el pedido cuenta en el recorrido) y la
+// asignación se deshace si se pasó de la capacidad
+async function comprobarPuedeTomarPedido(mensajeroId, { yaAsignado = false } = {}) {
+  const mensajero = await db.mensajeros.obtener(mensajeroId);
+  if (!estaEnLinea(mensajero)) {
+    return { error: 'MENSAJERO_DESCONECTADO' };
+  }
+  
+  const capacidad = capacidadVehiculo(mensajero.tipo_vehiculo);
+  const enRecorrido = await pedidosEnRecorrido(mensajeroId);
+  const otros = enRecorrido.length - (yaAsignado ? 1 : 0);
+  
+  if (otros >= capacidad) {
+    return { error: 'CAPACIDAD_COMPLETA', datos: { capacidad, tipoVehiculo: mensajero.tipo_vehiculo } };
+  }
+  
+  return null;
+}
+
+// Asignar mensajero a pedido
+app.post('/api/pedidos/asignar', authenticate, validar({
+  body: objeto({ pedidoId: ID })
+}), async (req, res) => {
+  try {
+    const { pedidoId } = req.body;
+    const mensajeroId = req.user.id;
+    
+    console.log(`Asignando pedido ${pedidoId} a mensajero ${mensajeroId}`);
+    
+    // Obtener datos del mensajero
+    const mensajeroNombre = `${req.user.nombres} ${req.user.apellidos}`;
+    const mensajeroTelefono = req.user.telefono;
+    
+    // Solo se asigna si el pedido sigue disponible
+    const { pedido, error, datos } = await transicionarPedido(pedidoId, 'asignar', req.user, {
+      ip: req.ip,
+      cambios: {
+        mensajero_id: mensajeroId,
+        mensajero_nombre: mensajeroNombre,
+        mensajero_telefono: mensajeroTelefono
+      },
+      validar: pedidoActual => pedidoActual.despacho_estado === 'ofertando'
+        ? { error: 'PEDIDO_EN_OFERTA' }
+        : comprobarPuedeTomarPedido(mensajeroId),
+      revalidar: () => comprobarPuedeTomarPedido(mensajeroId, { yaAsignado: true })
+    });
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json(ocultarCodigoEntrega(pedido));
+  } catch (error) {
+    console.error('Error inesperado en asignación de pedido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Recorrido del mensajero: sus pedidos activos con las paradas de recogida y
+// entrega en el orden más corto y la ruta que las une. Con lat y lng el
+// recorrido empieza en su posición actual.
+app.get('/api/recorrido', authenticate, validar({
+  // lat y lng van juntas o ninguna
+  query: req => {
+    const conPosicion = req.query.lat !== undefined || req.query.lng !== undefined;
+    return objeto({
+      lat: conPosicion ? LATITUD : LATITUD.opcional(),
+      lng: conPosicion ? LONGITUD : LONGITUD.opcional()
+    });
+  }
+}), async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const { lat, lng } = req.query;
+    const origen = lat !== undefined ? { lat, lng } : null;
+    if (origen) {
+      await actualizarPosicionMensajero(req.user.id, origen);
+    }
+    
+    const mensajero = await db.mensajeros.obtener(req.user.id);
+    const pedidos = await pedidosEnRecorrido(req.user.id);
+    const plan = planificarRecorrido(pedidos, origen);
+    
+    const puntos = [...(origen ? [origen] : []), ...plan.paradas.map(parada => parada.ubicacion)];
+    const ruta = puntos.length >= 2
+      ? await calcularRuta(puntos, { tipoVehiculo: mensajero.tipo_vehiculo })
+      : null;
+    
+    res.json({
+      capacidad: capacidadVehiculo(mensajero.tipo_vehiculo),
+      pedidos: pedidos.map(ocultarCodigoEntrega),
+      paradas: plan.paradas.map(({ tipo, pedido, ubicacion, distancia }) => ({
+        tipo,
+        pedidoId: pedido.id,
+        ubicacion,
+        direccion: tipo === 'recogida' ? pedido.direccion_venta : pedido.direccion_entrega,
+        distancia_linea_recta: Math.round(distancia)
+      })),
+      ruta
+    });
+  } catch (error) {
+    console.error('Error al obtener el recorrido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Despacho automático (lib/despacho). Los administradores lo activan o desactivan
+// en /api/admin/despacho; DESPACHO_AUTOMATICO=true lo deja activo mientras no lo cambien.
+const INTERVALO_DESPACHO_MS = (Number(process.env.DESPACHO_REVISION_SEGUNDOS) || 5) * 1000;
+
+const despachador = crearDespachador({
+  db,
+  bus: eventos,
+  actor: ACTOR_SISTEMA,
+  pedidosEnRecorrido,
+  activoPorDefecto: process.env.DESPACHO_AUTOMATICO === 'true',
+  segundosOferta: Number(process.env.DESPACHO_SEGUNDOS_OFERTA) || 45,
+  radioMetros: Number(process.env.DESPACHO_RADIO_METROS) || 5000,
+  maxOfertas: Number(process.env.DESPACHO_MAX_OFERTAS) || 10,
+  latidoMaxMs: LATIDO_MAX_MS
+});
+despachador.conectar();
+
+// Columnas con las que un pedido que queda disponible entra (o no) en el despacho automático
+async function cambiosDespacho() {
+  return await despachador.estaActivo()
+    ? { despacho_estado: 'ofertando', despacho_at: new Date().toISOString() }
+    : { despacho_estado: null, despacho_at: null };
+}
+
+function iniciarDespacho() {
+  return setInterval(() => {
+    despachador.revisar().catch(error => console.error('Error revisando ofertas de pedidos:', error));
+  }, INTERVALO_DESPACHO_MS).unref();
+}
+
+const PARAMS_OFERTA = objeto({ id: entero({ min: 1 }) });
+
+// Oferta del mensajero autenticado; devuelve { oferta } o { error }
+async function obtenerOfertaPropia(ofertaId, user) {
+  if (user.rol !== 'mensajero') {
+    return { error: 'SOLO_MENSAJEROS' };
+  }
+  
+  const oferta = await db.ofertas.obtener(ofertaId);
+  if (!oferta || oferta.mensajero_id !== user.id) {
+    return { error: 'OFERTA_NO_ENCONTRADA' };
+  }
+  
+  return { oferta };
+}
+
+// Ofertas pendientes del mensajero con la vista previa de cada pedido
+app.get('/api/ofertas', authenticate, async (req, res) => {
+  try {
+    if (req.user.rol !== 'mensajero') {
+      return enviarError(res, 'SOLO_MENSAJEROS');
+    }
+    
+    const ofertas = await db.ofertas.listar({
+      mensajero_id: req.user.id,
+      estado: 'pendiente',
+      expira_at: { gt: new Date().toISOString() }
+    });
+    
+    const resultado = [];
+    for (const oferta of ofertas) {
+      const pedido = await db.pedidos.obtener(oferta.pedido_id);
+      if (pedido) {
+        resultado.push({ ...oferta, pedido: vistaPreviaPedido(pedido) });
+      }
+    }
+    
+    res.json(resultado);
+  } catch (error) {
+    console.error('Error al obtener ofertas:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Aceptar una oferta asigna el pedido al mensajero como /api/pedidos/asignar
+app.post('/api/ofertas/:id/aceptar', authenticate, validar({ params: PARAMS_OFERTA }), async (req, res) => {
+  try {
+    const { oferta, error: errorOferta } = await obtenerOfertaPropia(req.params.id, req.user);
+    if (errorOferta) {
+      return enviarError(res, errorOferta);
+    }
+    
+    // Si no puede tomarlo la oferta sigue pendiente: puede rechazarla
+    const impedimento = await comprobarPuedeTomarPedido(req.user.id);
+    if (impedimento) {
+      return enviarError(res, impedimento.error, impedimento.datos);
+    }
+    
+    if (!(await despachador.responder(oferta.id, req.user.id, 'aceptada'))) {
+      return enviarError(res, 'OFERTA_NO_DISPONIBLE');
+    }
+    
+    const { pedido, error, datos } = await transicionarPedido(oferta.pedido_id, 'asignar', req.user, {
+      ip: req.ip,
+      cambios: {
+        mensajero_id: req.user.id,
+        mensajero_nombre: `${req.user.nombres} ${req.user.apellidos}`,
+        mensajero_telefono: req.user.telefono,
+        despacho_estado: 'asignado'
+      },
+      validar: () => comprobarPuedeTomarPedido(req.user.id),
+      revalidar: () => comprobarPuedeTomarPedido(req.user.id, { yaAsignado: true })
+    });
+    
+    // El pedido cambió mientras tanto (p. ej. el cliente lo canceló): la oferta
+    // se anula y, si sigue disponible, se ofrece al siguiente
+    if (error) {
+      await db.ofertas.actualizarSi(oferta.id, { estado: 'aceptada' }, { estado: 'anulada' });
+      await despachador.ofrecerSiguiente(oferta.pedido_id);
+      return enviarError(res, error, datos);
+    }
+    
+    res.json(ocultarCodigoEntrega(pedido));
+  } catch (error) {
+    console.error('Error al aceptar oferta:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.post('/api/ofertas/:id/rechazar', authenticate, validar({ params: PARAMS_OFERTA }), async (req, res) => {
+  try {
+    const { oferta, error } = await obtenerOfertaPropia(req.params.id, req.user);
+    if (error) {
+      return enviarError(res, error);
+    }
+    
+    if (!(await despachador.responder(oferta.id, req.user.id, 'rechazada'))) {
+      return enviarError(res, 'OFERTA_NO_DISPONIBLE');
+    }
+    
+    await despachador.ofrecerSiguiente(oferta.pedido_id);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al rechazar oferta:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Geocercas de recogida y entrega
+const MARGEN_METROS = Number(process.env.MARGEN_GEOCERCA_METROS) || 30;
+const MAX_INTENTOS_CODIGO = 5;
+
+// El código de entrega solo lo ve el cliente que creó el pedido
+function ocultarCodigoEntrega(pedido) {
+  const { codigo_entrega, ...resto } = pedido;
+  return resto;
+}
+
+async function registrarIntentoFallido(pedido, actor, tipo, motivo, ubicacion, distancia = null) {
+  await db.pedidos.registrarIntentoFallido({
+    pedido_id: pedido.id,
+    actor_id: actor.id,
+    tipo,
+    motivo,
+    lat: ubicacion?.lat ?? null,
+    lng: ubicacion?.lng ?? null,
+    distancia,
+    created_at: new Date().toISOString()
+  }).catch(error => console.error('Error registrando intento fallido:', error));
+}
+
+async function contarIntentosCodigo(pedidoId) {
+  return db.pedidos.contarIntentosFallidos(pedidoId, 'codigo_incorrecto');
+}
+
+// Comprueba que el mensajero está dentro de la geocerca del punto indicado
+async function comprobarGeocerca(pedido, actor, tipo, ubicacion) {
+  const punto = tipo === 'recogida' ? pedido.ubicacion_venta : pedido.ubicacion_entrega;
+  
+  if (!validarCoordenadas(ubicacion)) {
+    return { error: 'UBICACION_REQUERIDA' };
+  }
+  
+  const distancia = distanciaEntre(ubicacion, punto);
+  if (distancia > MARGEN_METROS) {
+    await registrarIntentoFallido(pedido, actor, tipo, 'fuera_de_geocerca', ubicacion, distancia);
+    return {
+      error: tipo === 'recogida' ? 'FUERA_DE_RECOGIDA' : 'FUERA_DE_ENTREGA',
+      datos: { margen: MARGEN_METROS, distancia: Math.round(distancia) }
+    };
+  }
+  
+  return null;
+}
+
+// Body de los cambios de estado del mensajero, que envía su posición actual.
+// Un administrador puede forzarlos sin posición indicando un motivo.
+function esquemaCambioEstado(campos = {}) {
+  return req => req.user.rol === 'admin'
+    ? objeto({ pedidoId: ID, motivo: MOTIVO })
+    : objeto({ pedidoId: ID, lat: LATITUD, lng: LONGITUD, ...campos });
+}
+
+// Verificar ubicación
+app.post('/api/pedidos/verificar-ubicacion', authenticate, validar({
+  body: objeto({ pedidoId: ID, lat: LATITUD, lng: LONGITUD })
+}), async (req, res) => {
+  try {
+    const { pedidoId, lat, lng } = req.body;
+
+    // Obtener el pedido
+    const pedido = await db.pedidos.obtener(pedidoId);
+    
+    if (!pedido) {
+      return enviarError(res, 'PEDIDO_NO_ENCONTRADO');
+    }
+
+    if (req.user.rol !== 'admin' && pedido.mensajero_id !== req.user.id) {
+      return enviarError(res, 'PEDIDO_DE_OTRO_MENSAJERO');
+    }
+
+    const distanciaVenta = distanciaEntre({ lat, lng }, pedido.ubicacion_venta);
+    const distanciaEntrega = distanciaEntre({ lat, lng }, pedido.ubicacion_entrega);
+
+    res.json({ 
+      success: true,
+      estado: pedido.estado,
+      distanciaVenta,
+      distanciaEntrega,
+      margen: MARGEN_METROS,
+      enPuntoVenta: distanciaVenta <= MARGEN_METROS,
+      enPuntoEntrega: distanciaEntrega <= MARGEN_METROS
+    });
+    
+  } catch (error) {
+    console.error('Error verificando ubicación:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Marcar como en camino
+// El mensajero debe estar en el punto de venta; un administrador puede forzarlo indicando un motivo
+app.post('/api/pedidos/en-camino', authenticate, validar({ body: esquemaCambioEstado() }), async (req, res) => {
+  try {
+    const { pedidoId, lat, lng, motivo } = req.body;
+    
+    const { error, datos } = await transicionarPedido(pedidoId, 'en_camino', req.user, {
+      ip: req.ip,
+      motivo: motivo || null,
+      validar: pedido => req.user.rol === 'admin'
+        ? null
+        : comprobarGeocerca(pedido, req.user, 'recogida', { lat, lng })
+    });
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error inesperado en actualizar estado:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Marcar como entregado
+// Requiere estar en el punto de entrega y el código que ve el cliente
+app.post('/api/pedidos/entregado', authenticate, validar({
+  body: esquemaCambioEstado({ codigo: texto({ max: 20 }) })
+}), async (req, res) => {
+  try {
+    const { pedidoId, lat, lng, codigo, motivo } = req.body;
+    
+    const validarEntrega = async pedido => {
+      const rechazo = await comprobarGeocerca(pedido, req.user, 'entrega', { lat, lng });
+      if (rechazo) return rechazo;
+      
+      if (await contarIntentosCodigo(pedido.id) >= MAX_INTENTOS_CODIGO) {
+        return { error: 'DEMASIADOS_INTENTOS_CODIGO' };
+      }
+      
+      if (codigo !== pedido.codigo_entrega) {
+        await registrarIntentoFallido(pedido, req.user, 'entrega', 'codigo_incorrecto', { lat, lng });
+        return { error: 'CODIGO_ENTREGA_INCORRECTO' };
+      }
+      
+      return null;
+    };
+    
+    const { pedido, error, datos } = await transicionarPedido(pedidoId, 'entregar', req.user, {
+      ip: req.ip,
+      motivo: motivo || null,
+      validar: req.user.rol === 'admin' ? null : validarEntrega
+    });
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    await registrarGanancia(pedido);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error en entregado:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Ganancias de los mensajeros
+const PORCENTAJE_COMISION = process.env.COMISION_PLATAFORMA_PORCENTAJE !== undefined
+  ? Number(process.env.COMISION_PLATAFORMA_PORCENTAJE)
+  : 15;
+
+function redondearImporte(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+// Abona al mensajero su parte del precio del pedido entregado y anota la comisión.
+// pedido_id es único, así que un pedido nunca se abona dos veces.
+async function registrarGanancia(pedido) {
+  if (!pedido.mensajero_id || pedido.precio === null || pedido.precio === undefined) {
+    console.error(`Pedido ${pedido.id} entregado sin mensajero o sin precio; no se registra ganancia`);
+    return;
+  }
+  
+  const importeTotal = Number(pedido.precio);
+  const comision = redondearImporte(importeTotal * PORCENTAJE_COMISION / 100);
+  
+  try {
+    await db.ganancias.registrar({
+      pedido_id: pedido.id,
+      mensajero_id: pedido.mensajero_id,
+      importe_total: importeTotal,
+      porcentaje_comision: PORCENTAJE_COMISION,
+      comision,
+      importe_mensajero: redondearImporte(importeTotal - comision),
+      created_at: pedido.entregado_at || new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code !== 'DUPLICADO') {
+      console.error(`Error registrando ganancia del pedido ${pedido.id} (se reintentará al conciliar):`, error);
+    }
+  }
+}
+
+// La ganancia se escribe después de confirmar la entrega; si esa escritura
+// falla, esta pasada la registra más tarde. Revisa los pedidos entregados en
+// los últimos días sin entrada en el libro; como pedido_id es único, puede
+// ejecutarse en varias instancias a la vez sin abonar nada dos veces.
+const DIAS_CONCILIACION_GANANCIAS = Number(process.env.GANANCIAS_CONCILIACION_DIAS) || 7;
+const INTERVALO_CONCILIACION_MS = (Number(process.env.GANANCIAS_CONCILIACION_MINUTOS) || 10) * 60 * 1000;
+
+async function conciliarGanancias() {
+  const desde = new Date(Date.now() - DIAS_CONCILIACION_GANANCIAS * 24 * 60 * 60 * 1000).toISOString();
+  
+  const entregados = await db.pedidos.listar(
+    { estado: 'entregado', entregado_at: { gte: desde } },
+    { columnas: ['id', 'mensajero_id', 'precio', 'entregado_at'] }
+  );
+  if (entregados.length === 0) return 0;
+  
+  // created_at de cada ganancia es el entregado_at de su pedido
+  const abonadas = await db.ganancias.listar({ created_at: { gte: desde } }, { columnas: ['pedido_id'] });
+  const conGanancia = new Set(abonadas.map(g => g.pedido_id));
+  
+  const pendientes = entregados.filter(pedido => !conGanancia.has(pedido.id));
+  for (const pedido of pendientes) {
+    console.warn(`Pedido ${pedido.id} entregado sin ganancia registrada; se registra ahora`);
+    await registrarGanancia(pedido);
+  }
+  return pendientes.length;
+}
+
+function iniciarConciliacionGanancias() {
+  const conciliar = () => conciliarGanancias()
+    .catch(error => console.error('Error conciliando ganancias:', error));
+  
+  conciliar();
+  return setInterval(conciliar, INTERVALO_CONCILIACION_MS).unref();
+}
+
+function resumirGanancias(entradas) {
+  const resumen = { entregas: 0, importe_total: 0, comision: 0, importe_mensajero: 0, liquidado: 0, pendiente: 0 };
+  for (const g of entradas) {
+    resumen.entregas++;
+    resumen.importe_total += Number(g.importe_total);
+    resumen.comision += Number(g.comision);
+    resumen.importe_mensajero += Number(g.importe_mensajero);
+    resumen[g.liquidacion_id ? 'liquidado' : 'pendiente'] += Number(g.importe_mensajero);
+  }
+  for (const campo of ['importe_total', 'comision', 'importe_mensajero', 'liquidado', 'pendiente']) {
+    resumen[campo] = redondearImporte(resumen[campo]);
+  }
+  return resumen;
+}
+
+function enviarCsv(res, nombreArchivo, filas, columnas) {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${nombreArchivo}"`
+  });
+  res.send(aCsv(filas, columnas));
+}
+
+const COLUMNAS_GANANCIA = [
+  'created_at', 'pedido_id', 'importe_total', 'porcentaje_comision',
+  'comision', 'importe_mensajero', 'liquidacion_id'
+];
+
+// Saldo acumulado del mensajero autenticado
+app.get('/api/ganancias/saldo', authenticate, esMensajero, async (req, res) => {
+  try {
+    const entradas = await db.ganancias.listar({ mensajero_id: req.user.id });
+    const { entregas, importe_mensajero, liquidado, pendiente } = resumirGanancias(entradas);
+    
+    res.json({
+      entregas,
+      ganado: importe_mensajero,
+      liquidado,
+      pendiente
+    });
+  } catch (error) {
+    console.error('Error al obtener saldo:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Extracto del mensajero para un periodo (desde, hasta; formato=csv para descargar)
+app.get('/api/ganancias/extracto', authenticate, esMensajero, validar({
+  query: objeto({ ...RANGO_FECHAS, formato: FORMATO })
+}), async (req, res) => {
+  try {
+    const rango = filtroRangoFechas(req.query.desde, req.query.hasta);
+    
+    const entradas = await db.ganancias.listar({
+      mensajero_id: req.user.id,
+      ...(rango && { created_at: rango })
+    });
+    
+    if (req.query.formato === 'csv') {
+      return enviarCsv(res, 'extracto-ganancias.csv', entradas, COLUMNAS_GANANCIA);
+    }
+    
+    res.json({
+      desde: req.query.desde || null,
+      hasta: req.query.hasta || null,
+      resumen: resumirGanancias(entradas),
+      movimientos: entradas
+    });
+  } catch (error) {
+    console.error('Error al obtener extracto:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Preferencias de notificación por evento y canal (email, sms, push)
+app.get('/api/notificaciones/preferencias', authenticate, async (req, res) => {
+  try {
+    if (!EVENTOS_POR_ROL[req.user.rol]) {
+      return enviarError(res, 'SOLO_USUARIOS_Y_MENSAJEROS');
+    }
+    
+    const persona = await (req.user.rol === 'usuario' ? db.usuarios : db.mensajeros).obtener(req.user.id);
+    const guardadas = await db.notificaciones.obtenerPreferencias(req.user.id);
+    res.json({ idioma: persona.idioma, preferencias: preferenciasEfectivas(guardadas, req.user.rol) });
+  } catch (error) {
+    console.error('Error al obtener preferencias:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Cambia el idioma o solo los eventos y canales indicados:
+// { idioma: "en", preferencias: { "pedido.entregado": { "sms": true } } }
+app.put('/api/notificaciones/preferencias', authenticate, validar({
+  body: req => esquemaPreferencias(req.user.rol)
+}), async (req, res) => {
+  try {
+    if (!EVENTOS_POR_ROL[req.user.rol]) {
+      return enviarError(res, 'SOLO_USUARIOS_Y_MENSAJEROS');
+    }
+    
+    const { idioma, preferencias } = req.body;
+    
+    const repositorio = req.user.rol === 'usuario' ? db.usuarios : db.mensajeros;
+    const persona = idioma
+      ? await repositorio.actualizar(req.user.id, { idioma })
+      : await repositorio.obtener(req.user.id);
+    
+    const guardadas = await db.notificaciones.obtenerPreferencias(req.user.id);
+    if (preferencias) {
+      for (const [evento, canales] of Object.entries(preferencias)) {
+        guardadas[evento] = { ...guardadas[evento], ...canales };
+      }
+      await db.notificaciones.guardarPreferencias(req.user.id, guardadas);
+    }
+    
+    res.json({ idioma: persona.idioma, preferencias: preferenciasEfectivas(guardadas, req.user.rol) });
+  } catch (error) {
+    console.error('Error al guardar preferencias:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Clave pública VAPID que el navegador necesita para suscribirse a Web Push
+app.get('/api/notificaciones/push/clave', (req, res) => {
+  if (!process.env.VAPID_PUBLICA) {
+    return enviarError(res, 'PUSH_NO_CONFIGURADO');
+  }
+  res.json({ clave: process.env.VAPID_PUBLICA });
+});
+
+// Registra la suscripción devuelta por PushManager.subscribe()
+const ENDPOINT_PUSH = texto({ max: 1000, patron: /^https:\/\//, codigo: 'URL_INVALIDA' });
+
+app.post('/api/notificaciones/push', authenticate, validar({
+  body: objeto({
+    suscripcion: objeto({
+      endpoint: ENDPOINT_PUSH,
+      keys: objeto({ p256dh: texto({ max: 200 }), auth: texto({ max: 100 }) })
+    })
+  })
+}), async (req, res) => {
+  try {
+    const { suscripcion } = req.body;
+    
+    await db.notificaciones.guardarSuscripcionPush({
+      endpoint: suscripcion.endpoint,
+      persona_id: req.user.id,
+      claves: { p256dh: suscripcion.keys.p256dh, auth: suscripcion.keys.auth },
+      created_at: new Date().toISOString()
+    });
+    
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('Error al registrar suscripción push:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.delete('/api/notificaciones/push', authenticate, validar({
+  body: objeto({ endpoint: ENDPOINT_PUSH })
+}), async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    
+    await db.notificaciones.eliminarSuscripcionPush(endpoint, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar suscripción push:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Código de entrega para el cliente
+app.get('/api/pedidos/:id/codigo', authenticate, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const pedido = await db.pedidos.obtener(req.params.id);
+    
+    if (!pedido || pedido.usuario_id !== req.user.id) {
+      return enviarError(res, 'PEDIDO_NO_ENCONTRADO');
+    }
+    
+    res.json({ codigo_entrega: pedido.codigo_entrega });
+  } catch (error) {
+    console.error('Error al obtener código de entrega:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Intentos fallidos de recogida o entrega
+app.get('/api/admin/pedidos/:id/intentos', authenticate, esAdmin, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    res.json(await db.pedidos.listarIntentosFallidos(req.params.id));
+  } catch (error) {
+    console.error('Error al obtener intentos fallidos:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Obtiene un pedido si el usuario es su cliente, su mensajero o un administrador
+async function obtenerPedidoParticipante(pedidoId, user) {
+  const pedido = await db.pedidos.obtener(pedidoId);
+  
+  if (!pedido) {
+    return { error: 'PEDIDO_NO_ENCONTRADO' };
+  }
+  
+  const participante = user.rol === 'admin' ||
+    pedido.usuario_id === user.id ||
+    (pedido.mensajero_id && pedido.mensajero_id === user.id);
+  
+  if (!participante) {
+    return { error: 'SIN_ACCESO_PEDIDO' };
+  }
+  
+  return { pedido };
+}
+
+// Seguimiento en vivo
+const ESTADOS_CON_SEGUIMIENTO = ['en proceso', 'en camino'];
+const INTERVALO_ETA_MS = 30 * 1000;
+const ultimoCalculoEta = new Map();
+
+// Al salir de los estados con seguimiento el pedido ya no recalcula ETA
+for (const evento of ['pedido.entregado', 'pedido.cancelado', 'pedido.liberado']) {
+  eventos.escuchar(evento, ({ pedido }) => ultimoCalculoEta.delete(pedido.id));
+}
+
+// Recalcula la ETA como mucho cada INTERVALO_ETA_MS por pedido.
+// Hacia el punto de venta antes de recoger y hacia la entrega después.
+async function publicarEta(pedido, ubicacion) {
+  const ahora = Date.now();
+  if (ahora - (ultimoCalculoEta.get(pedido.id) || 0) < INTERVALO_ETA_MS) return;
+  ultimoCalculoEta.set(pedido.id, ahora);
+  
+  const destino = pedido.estado === 'en camino' ? pedido.ubicacion_entrega : pedido.ubicacion_venta;
+  const { distancia, duracion, aproximada } = await calcularRuta([ubicacion, destino], {
+    tipoVehiculo: pedido.tipo_vehiculo
+  });
+  
+  seguimiento.publicar(pedido.id, 'eta', {
+    destino: pedido.estado === 'en camino' ? 'entrega' : 'recogida',
+    distancia,
+    segundos: duracion,
+    llegada: new Date(ahora + duracion * 1000).toISOString(),
+    aproximada
+  });
+}
+
+// El mensajero asignado envía su posición
+app.post('/api/pedidos/:id/ubicacion', authenticate, validar({
+  params: PARAMS_ID,
+  body: objeto({ lat: LATITUD, lng: LONGITUD })
+}), async (req, res) => {
+  try {
+    const { lat, lng } = req.body;
+    
+    const pedido = await db.pedidos.obtener(req.params.id);
+    
+    if (!pedido) {
+      return enviarError(res, 'PEDIDO_NO_ENCONTRADO');
+    }
+    
+    if (req.user.rol !== 'mensajero' || pedido.mensajero_id !== req.user.id) {
+      return enviarError(res, 'SOLO_MENSAJERO_ASIGNADO');
+    }
+    
+    if (!ESTADOS_CON_SEGUIMIENTO.includes(pedido.estado)) {
+      return enviarError(res, 'SEGUIMIENTO_NO_DISPONIBLE', { estado: pedido.estado });
+    }
+    
+    const punto = { lat, lng, fecha: new Date().toISOString() };
+    
+    try {
+      await db.pedidos.registrarUbicacion({
+        pedido_id: pedido.id,
+        mensajero_id: req.user.id,
+        lat,
+        lng,
+        created_at: punto.fecha
+      });
+    } catch (error) {
+      console.error('Error guardando ubicación:', error);
+      return enviarError(res, 'ERROR_INTERNO');
+    }
+    
+    await db.pedidos.actualizar(pedido.id, { ultima_ubicacion: punto })
+      .catch(error => console.error('Error actualizando última ubicación:', error));
+    await actualizarPosicionMensajero(req.user.id, { lat, lng });
+    
+    seguimiento.publicar(pedido.id, 'ubicacion', punto);
+    
+    // La ETA depende del servicio de rutas; no se hace esperar al mensajero
+    if (seguimiento.suscriptores(pedido.id) > 0) {
+      publicarEta(pedido, { lat, lng }).catch(err => console.error('Error publicando ETA:', err));
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error inesperado al registrar ubicación:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Recorrido registrado del pedido
+app.get('/api/pedidos/:id/recorrido', authenticate, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { pedido, error, datos } = await obtenerPedidoParticipante(req.params.id, req.user);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json(await db.pedidos.listarUbicaciones(pedido.id));
+  } catch (error) {
+    console.error('Error al obtener recorrido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Stream SSE con ubicación, cambios de estado y ETA del pedido
+app.get('/api/pedidos/:id/seguimiento', tokenDesdeQuery, authenticate, validar({
+  params: PARAMS_ID,
+  query: objeto({ token: texto({ max: 2000 }).opcional() })
+}), async (req, res) => {
+  try {
+    const { pedido, error, datos } = await obtenerPedidoParticipante(req.params.id, req.user);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const enviar = (tipo, datos) => {
+      res.write(`event: ${tipo}\ndata: ${JSON.stringify(datos)}\n\n`);
+    };
+    
+    // Estado inicial para que el cliente no espere al primer evento
+    enviar('estado', { estado: pedido.estado });
+    if (pedido.ultima_ubicacion) {
+      enviar('ubicacion', pedido.ultima_ubicacion);
+    }
+    
+    if (['entregado', 'cancelado'].includes(pedido.estado)) {
+      return res.end();
+    }
+    
+    const latido = setInterval(() => res.write(': ping\n\n'), 25000);
+    
+    const cerrar = () => {
+      clearInterval(latido);
+      cancelarSuscripcion();
+    };
+    
+    const cancelarSuscripcion = seguimiento.suscribir(pedido.id, ({ tipo, datos }) => {
+      enviar(tipo, datos);
+      if (tipo === 'estado' && ['entregado', 'cancelado'].includes(datos.estado)) {
+        cerrar();
+        res.end();
+      }
+    });
+    
+    req.on('close', cerrar);
+  } catch (error) {
+    console.error('Error abriendo seguimiento:', error);
+    if (!res.headersSent) {
+      enviarError(res, 'ERROR_INTERNO');
+    }
+  }
+});
+
+// Cancelar pedido o, si es el mensajero asignado, devolverlo a disponibles
+app.post('/api/pedidos/:id/cancelar', authenticate, validar({
+  params: PARAMS_ID,
+  body: objeto({ motivo: MOTIVO })
+}), async (req, res) => {
+  try {
+    const pedidoId = req.params.id;
+    const { motivo } = req.body;
+    
+    let resultado;
+    if (req.user.rol === 'mensajero') {
+      resultado = await transicionarPedido(pedidoId, 'liberar', req.user, {
+        ip: req.ip,
+        cambios: {
+          mensajero_id: null,
+          mensajero_nombre: null,
+          mensajero_telefono: null,
+          asignado_at: null,
+          recordatorio_at: null,
+          ...(await cambiosDespacho())
+        },
+        motivo
+      });
+    } else {
+      const accion = req.user.rol === 'admin' ? 'cancelar_admin' : 'cancelar';
+      resultado = await transicionarPedido(pedidoId, accion, req.user, {
+        ip: req.ip,
+        cambios: {
+          motivo_cancelacion: motivo,
+          cancelado_por: req.user.id,
+          cancelado_por_rol: req.user.rol
+        },
+        motivo
+      });
+    }
+    
+    const { pedido, error, datos } = resultado;
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json({ success: true, estado: pedido.estado });
+  } catch (error) {
+    console.error('Error inesperado al cancelar pedido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// El cliente ve su código de entrega; el resto de participantes no
+function vistaPedidoPara(pedido, user) {
+  return pedido.usuario_id === user.id ? pedido : ocultarCodigoEntrega(pedido);
+}
+
+// Obtener pedido por ID (solo cliente, mensajero asignado o administrador)
+app.get('/api/pedidos/:id', authenticate, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { pedido, error, datos } = await obtenerPedidoParticipante(req.params.id, req.user);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json(vistaPedidoPara(pedido, req.user));
+  } catch (error) {
+    console.error('Error al obtener pedido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Calificaciones tras la entrega: el cliente califica al mensajero y el mensajero al cliente
+const UMBRAL_CALIFICACION_MENSAJERO = Number(process.env.UMBRAL_CALIFICACION_MENSAJERO) || 3.5;
+const MIN_CALIFICACIONES_MARCADO = Number(process.env.MIN_CALIFICACIONES_MARCADO) || 5;
+const MAX_LONGITUD_COMENTARIO = 500;
+
+// Un mensajero se marca solo cuando tiene suficientes calificaciones para que el promedio sea fiable
+function calificacionBaja(calificacion, umbral = UMBRAL_CALIFICACION_MENSAJERO, minimo = MIN_CALIFICACIONES_MARCADO) {
+  return calificacion.total >= minimo && calificacion.promedio < umbral;
+}
+
+app.post('/api/pedidos/:id/calificacion', authenticate, validar({
+  params: PARAMS_ID,
+  body: objeto({
+    puntuacion: entero({ min: 1, max: 5 }),
+    comentario: texto({ max: MAX_LONGITUD_COMENTARIO }).opcional()
+  })
+}), async (req, res) => {
+  try {
+    const { puntuacion, comentario } = req.body;
+    
+    if (!['usuario', 'mensajero'].includes(req.user.rol)) {
+      return enviarError(res, 'SOLO_PARTICIPANTES_CALIFICAN');
+    }
+    
+    const { pedido, error, datos } = await obtenerPedidoParticipante(req.params.id, req.user);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    if (pedido.estado !== 'entregado') {
+      return enviarError(res, 'PEDIDO_NO_ENTREGADO');
+    }
+    
+    const esCliente = req.user.rol === 'usuario';
+    const calificadoId = esCliente ? pedido.mensajero_id : pedido.usuario_id;
+    
+    if (!calificadoId) {
+      return enviarError(res, 'SIN_CALIFICADO');
+    }
+    
+    const calificacion = await db.calificaciones.crear({
+      pedido_id: pedido.id,
+      autor_id: req.user.id,
+      autor_rol: req.user.rol,
+      calificado_id: calificadoId,
+      calificado_rol: esCliente ? 'mensajero' : 'usuario',
+      puntuacion,
+      comentario: comentario || null,
+      created_at: new Date().toISOString()
+    });
+    
+    res.status(201).json(calificacion);
+  } catch (error) {
+    if (error.code === 'DUPLICADO') {
+      return enviarError(res, 'YA_CALIFICADO');
+    }
+    console.error('Error al calificar pedido:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.get('/api/pedidos/:id/calificaciones', authenticate, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { error, datos } = await obtenerPedidoParticipante(req.params.id, req.user);
+    
+    if (error) {
+      return enviarError(res, error, datos);
+    }
+    
+    res.json(await db.calificaciones.listarPorPedido(req.params.id));
+  } catch (error) {
+    console.error('Error al obtener calificaciones:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Filtro sobre created_at para desde/hasta, ya validados como fechas
+// (ISO 8601; una fecha sin hora incluye el día entero). null si no hay ninguno.
+function filtroRangoFechas(desde, hasta) {
+  const filtro = {};
+  
+  if (desde) {
+    filtro.gte = new Date(desde).toISOString();
+  }
+  
+  if (hasta) {
+    const fin = new Date(hasta);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(hasta)) {
+      fin.setUTCDate(fin.getUTCDate() + 1);
+      filtro.lt = fin.toISOString();
+    } else {
+      filtro.lte = fin.toISOString();
+    }
+  }
+  
+  return Object.keys(filtro).length > 0 ? filtro : null;
+}
+
+// El cursor apunta al último pedido devuelto (created_at e id)
+function codificarCursor(pedido) {
+  return Buffer.from(JSON.stringify([pedido.created_at, pedido.id])).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || typeof id !== 'string') return null;
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Historial de pedidos del usuario (creados) o del mensajero (asignados)
+// Query: estado (uno o varios separados por comas), desde, hasta,
+// orden (asc | desc por fecha de creación), limite y cursor.
+app.get('/api/mis-pedidos', authenticate, validar({
+  query: objeto({
+    estado: separadoPorComas(enumeracion(ESTADOS_PEDIDO)).opcional(),
+    ...RANGO_FECHAS,
+    orden: enumeracion(['asc', 'desc']).porDefecto('desc'),
+    limite: LIMITE,
+    cursor: texto({ max: 500, prueba: decodificarCursor, codigo: 'CURSOR_INVALIDO' }).opcional()
+  })
+}), async (req, res) => {
+  try {
+    const { estado, desde, hasta, orden, limite, cursor } = req.query;
+    
+    let filtros;
+    if (req.user.rol === 'usuario') {
+      filtros = { usuario_id: req.user.id };
+    } else if (req.user.rol === 'mensajero') {
+      filtros = { mensajero_id: req.user.id };
+    } else {
+      return enviarError(res, 'SOLO_USUARIOS_Y_MENSAJEROS');
+    }
+    
+    if (estado && estado.length > 0) {
+      filtros.estado = { in: estado };
+    }
+    
+    const rango = filtroRangoFechas(desde, hasta);
+    if (rango) {
+      filtros.created_at = rango;
+    }
+    
+    if (cursor) {
+      const posicion = decodificarCursor(cursor);
+      const operador = orden === 'asc' ? 'gt' : 'lt';
+      filtros.$o = [
+        { created_at: { [operador]: posicion.createdAt } },
+        { created_at: posicion.createdAt, id: { [operador]: posicion.id } }
+      ];
+    }
+    
+    // Se pide uno más para saber si hay otra página
+    const pedidos = await db.pedidos.listar(filtros, {
+      orden: [
+        { columna: 'created_at', descendente: orden === 'desc' },
+        { columna: 'id', descendente: orden === 'desc' }
+      ],
+      limite: limite + 1
+    });
+    
+    const pagina = pedidos.slice(0, limite);
+    
+    res.json({
+      pedidos: pagina.map(pedido => vistaPedidoPara(pedido, req.user)),
+      siguienteCursor: pedidos.length > limite ? codificarCursor(pagina[pagina.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Error al obtener historial de pedidos:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Middleware de administrador
+function esAdmin(req, res, next) {
+  if (req.user.rol !== 'admin') {
+    return enviarError(res, 'ACCESO_DENEGADO');
+  }
+  next();
+}
+
+// Middleware de mensajero
+function esMensajero(req, res, next) {
+  if (req.user.rol !== 'mensajero') {
+    return enviarError(res, 'ACCESO_DENEGADO');
+  }
+  next();
+}
+
+// Endpoints de administración
+// Estado de cuenta por id para completar los listados de cuentas
+async function estadosDeCuenta(repositorio) {
+  const filas = await repositorio.listar({}, { columnas: ['id', 'estado_cuenta', 'motivo_estado'] });
+  return Object.fromEntries(filas.map(({ id, ...estado }) => [id, estado]));
+}
+
+app.get('/api/admin/usuarios', authenticate, esAdmin, async (req, res) => {
+  try {
+    const cuentas = await db.auth.listarUsuarios();
+    
+    // Filtrar solo usuarios normales
+    const usuarios = cuentas.filter(u => u.user_metadata.rol === 'usuario');
+    const estados = await estadosDeCuenta(db.usuarios);
+    
+    res.json(usuarios.map(u => ({ ...u, ...estados[u.id] })));
+  } catch (error) {
+    console.error('Error al obtener usuarios:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.get('/api/admin/mensajeros', authenticate, esAdmin, async (req, res) => {
+  try {
+    const cuentas = await db.auth.listarUsuarios();
+    
+    // Filtrar solo mensajeros
+    const mensajeros = cuentas.filter(u => u.user_metadata.rol === 'mensajero');
+    const promedios = await db.calificaciones.promedios({ rol: 'mensajero' });
+    const estados = await estadosDeCuenta(db.mensajeros);
+    
+    res.json(mensajeros.map(m => {
+      const calificacion = promedios[m.id] || { promedio: null, total: 0 };
+      return { ...m, ...estados[m.id], calificacion, calificacion_baja: calificacionBaja(calificacion) };
+    }));
+  } catch (error) {
+    console.error('Error al obtener mensajeros:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Mensajeros con promedio por debajo del umbral (umbral y minimo de calificaciones opcionales)
+app.get('/api/admin/mensajeros/calificacion-baja', authenticate, esAdmin, validar({
+  query: objeto({
+    umbral: numero({ min: 1, max: 5 }).porDefecto(UMBRAL_CALIFICACION_MENSAJERO),
+    minimo: entero({ min: 1 }).porDefecto(MIN_CALIFICACIONES_MARCADO)
+  })
+}), async (req, res) => {
+  try {
+    const { umbral, minimo } = req.query;
+    
+    const promedios = await db.calificaciones.promedios({ rol: 'mensajero' });
+    const marcados = [];
+    
+    for (const [id, calificacion] of Object.entries(promedios)) {
+      if (!calificacionBaja(calificacion, umbral, minimo)) continue;
+      
+      const mensajero = await db.mensajeros.obtener(id);
+      marcados.push({
+        id,
+        nombres: mensajero ? mensajero.nombres : null,
+        apellidos: mensajero ? mensajero.apellidos : null,
+        telefono: mensajero ? mensajero.telefono : null,
+        ...calificacion
+      });
+    }
+    
+    marcados.sort((a, b) => a.promedio - b.promedio);
+    res.json({ umbral, minimo, mensajeros: marcados });
+  } catch (error) {
+    console.error('Error al obtener mensajeros con calificación baja:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Mensajeros en línea ahora mismo con su última posición, su turno en curso y
+// su carga (pedidos activos frente a la capacidad de su vehículo)
+app.get('/api/admin/mensajeros/en-linea', authenticate, esAdmin, async (req, res) => {
+  try {
+    const ahora = new Date().toISOString();
+    const mensajeros = await db.mensajeros.listar({
+      estado_cuenta: 'activo',
+      disponibilidad: 'en_linea',
+      ultimo_latido_at: { gte: new Date(Date.now() - LATIDO_MAX_MS).toISOString() }
+    }, { orden: { columna: 'en_linea_desde' } });
+    
+    const ids = mensajeros.map(m => m.id);
+    const activos = ids.length > 0
+      ? await db.pedidos.listar(
+        { mensajero_id: { in: ids }, estado: { in: ESTADOS_ACTIVOS_POR_ROL.mensajero } },
+        { columnas: ['id', 'mensajero_id', 'estado'] }
+      )
+      : [];
+    const turnos = ids.length > 0
+      ? await db.turnos.listar({ mensajero_id: { in: ids }, inicio: { lte: ahora }, fin: { gt: ahora } })
+      : [];
+    
+    res.json({
+      total: mensajeros.length,
+      mensajeros: mensajeros.map(m => {
+        const pedidos = activos.filter(pedido => pedido.mensajero_id === m.id);
+        const turno = turnos.find(t => t.mensajero_id === m.id);
+        return {
+          id: m.id,
+          nombres: m.nombres,
+          apellidos: m.apellidos,
+          telefono: m.telefono,
+          tipo_vehiculo: m.tipo_vehiculo,
+          en_linea_desde: m.en_linea_desde,
+          ultimo_latido_at: m.ultimo_latido_at,
+          ultima_ubicacion: m.ultima_ubicacion,
+          ultima_ubicacion_at: m.ultima_ubicacion_at,
+          carga: {
+            pedidos: pedidos.map(({ id, estado }) => ({ id, estado })),
+            capacidad: capacidadVehiculo(m.tipo_vehiculo)
+          },
+          turno: turno ? { id: turno.id, inicio: turno.inicio, fin: turno.fin } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error al obtener mensajeros en línea:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Turnos declarados que se solapan con el rango indicado (por defecto, los que no han terminado)
+app.get('/api/admin/turnos', authenticate, esAdmin, validar({
+  query: objeto({ mensajeroId: ID.opcional(), ...RANGO_FECHAS })
+}), async (req, res) => {
+  try {
+    const { mensajeroId, desde, hasta } = req.query;
+    
+    const filtros = { fin: { gt: desde ? new Date(desde).toISOString() : new Date().toISOString() } };
+    if (hasta) filtros.inicio = { lte: new Date(hasta).toISOString() };
+    if (mensajeroId) filtros.mensajero_id = mensajeroId;
+    
+    res.json(await db.turnos.listar(filtros));
+  } catch (error) {
+    console.error('Error al obtener turnos:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+app.delete('/api/admin/mensajeros/:id', authenticate, esAdmin, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mensajero = await db.mensajeros.obtener(id);
+    
+    await db.auth.eliminarUsuario(id);
+    await revocarSesiones(id);
+    
+    // Eliminar de la tabla mensajeros
+    await db.mensajeros.eliminar(id)
+      .catch(dbError => console.error('Error eliminando mensajero de la tabla', dbError));
+    
+    await registrarAuditoria({
+      entidad: 'mensajero',
+      entidadId: id,
+      accion: 'eliminar',
+      actor: req.user,
+      ip: req.ip,
+      antes: mensajero
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar mensajero:', error);
+    enviarError(res, 'ERROR_INTERNO');
+  }
+});
+
+// Aprobación de mensajeros y suspensión de cuentas.
+// Cada acción indica desde qué estados se puede aplicar y si exige motivo.
+const TRANSICIONES_CUENTA = {
+  aprobar: { desde: ['pendiente', 'rechazado'], hacia: 'activo', tablas: ['mensajeros'] },
+  rechazar: { desde: ['pendiente'], hacia: 'rechazado', tablas: ['mensajeros'], motivoObligatorio: true },
+  suspender: { desde: ['activo'], hacia: 'suspendido', tablas: ['usuarios', 'mensajeros'], motivoObligatorio: true },
+  reactivar: { desde: ['suspendido'], hacia: 'activo', tablas: ['usuarios', 'mensajeros'] }
+};
+
+async function cambiarEstadoCuenta(tabla, id, accion, admin, motivo, ip) {
+  const transicion = TRANSICIONES_CUENTA[accion];
+  
+  if (!transicion.tablas.includes(tabla)) {
+    return { error: 'ACCION_NO_DISPONIBLE' };
+  }
+  
+  const repositorio = db[tabla];
+  const persona = await repositorio.obtener(id);
+  
+  if (!persona) {
+    return { error: 'CUENTA_NO_ENCONTRADA' };
+  }
+  
+  if (!transicion.desde.includes(persona.estado_cuenta)) {
+    return { error: 'ESTADO_CUENTA_INCOMPATIBLE', datos: { accion, estado: persona.estado_cuenta } };
+  }
+  
+  const actualizada = await repositorio.actualizarSi(id, { estado_cuenta: persona.estado_cuenta }, {
+    estado_cuenta: transicion.hacia,
+    motivo_estado: transicion.hacia === 'activo' ? null : motivo,
+    estado_actualizado_por: admin.id,
+    estado_actualizado_at: new Date().toISOString()
+  });
+  
+  if (!actualizada) {
+    return { error: 'CUENTA_MODIFICADA' };
+  }
+  
+  if (transicion.hacia !== 'activo') {
+    await revocarSesiones(id);
+  }
+  
+  await registrarAuditoria({
+    entidad: tabla === 'usuarios' ? 'usuario' : 'mensajero',
+    entidadId: id,
+    accion,
+    actor: admin,
+    ip,
+    ...valoresCambiados(persona, actualizada, ['estado_cuenta', 'motivo_estado'])
+  });
+  
+  return { persona: actualizada };
+}
+
+// Solicitudes de mensajeros pendientes de revisión (las más antiguas primero)
+app.get('/api/admin/mensajeros/solicitudes', authenticate, esAdmin, validar({
+  query: objeto({ estado: enumeracion(['pendiente', 'rechazado']).porDefecto('pendiente') })
+}), async (req, res) => {
+  try {
+    const { estado } = req.query;
+    const solicitudes = await db.mensajeros.listar(
+      { estado_cuenta: estado },
+      { orden: { columna: 'created_at' } }
+    );
+    
+    res.json(solicitudes);
   } catch (error) {
-    console.error('Error en registro:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al obtener solicitudes de mensajeros:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Registro de mensajero (endpoint específico)
-app.post('/api/registro/mensajero', async (req, res) => {
+// POST /api/admin/{usuarios|mensajeros}/:id/{aprobar|rechazar|suspender|reactivar}
+app.post('/api/admin/:tabla(usuarios|mensajeros)/:id/:accion(aprobar|rechazar|suspender|reactivar)', authenticate, esAdmin, validar({
+  params: objeto({
+    tabla: enumeracion(['usuarios', 'mensajeros']),
+    id: ID,
+    accion: enumeracion(Object.keys(TRANSICIONES_CUENTA))
+  }),
+  body: req => objeto({
+    motivo: TRANSICIONES_CUENTA[req.params.accion].motivoObligatorio ? MOTIVO : MOTIVO.opcional()
+  })
+}), async (req, res) => {
   try {
-    const { nombres, apellidos, carnet, telefono, vehiculo, correo, contrasena } = req.body;
-    const rol = 'mensajero';
-    
-    // Validar campos
-    if (!nombres || !apellidos || !carnet || !telefono || !vehiculo || !correo || !contrasena) {
-      return res.status(400).json({ error: 'Todos los campos son obligatorios' });
-    }
-    
-    if (!validarCarnet(carnet)) {
-      return res.status(400).json({ error: 'Carnet debe tener 11 dígitos' });
-    }
-    
-    if (!validarTelefono(telefono)) {
-      return res.status(400).json({ error: 'Teléfono inválido' });
-    }
+    const { tabla, id, accion } = req.params;
     
-    if (!validarCorreo(correo)) {
-      return res.status(400).json({ error: 'Correo inválido' });
-    }
-    
-    // Construir URL de redirección para verificación de correo
-    const frontendUrl = process.env.FRONTEND_URL || 'https://tu-frontend.com';
-    const emailRedirectTo = `${frontendUrl}/confirmar.html?type=signup&rol=mensajero`;
-    
-    // Registrar en Supabase Auth
-    const { data: authData, error: authError } = await supabase.auth.signUp({
-      email: correo,
-      password: contrasena,
-      options: {
-        data: {
-          nombres,
-          apellidos,
-          carnet,
-          telefono,
-          rol,
-          tipo_vehiculo: vehiculo
-        },
-        emailRedirectTo
-      }
-    });
-    
-    if (authError) {
-      console.error('Error Supabase:', authError);
-      let errorMsg = 'Error en registro';
-      
-      if (authError.message.includes('email')) {
-        errorMsg = 'El correo ya está registrado';
-      } else if (authError.message.includes('phone')) {
-        errorMsg = 'El teléfono ya está registrado';
-      }
-      
-      return res.status(400).json({ error: errorMsg });
-    }
-    
-    // Guardar en la tabla de mensajeros de Supabase
-    const { error: dbError } = await supabase
-      .from('mensajeros')
-      .insert({
-        id: authData.user.id,
-        nombres,
-        apellidos,
-        carnet,
-        telefono,
-        tipo_vehiculo: vehiculo,
-        correo
-      });
+    const { persona, error, datos } = await cambiarEstadoCuenta(tabla, id, accion, req.user, req.body.motivo, req.ip);
     
-    if (dbError) {
-      console.error('Error registrando mensajero:', dbError);
-      
-      // Intentar eliminar usuario de Supabase Auth
-      await supabase.auth.admin.deleteUser(authData.user.id);
-      
-      if (dbError.code === '23505') { // Violación de unique constraint
-        if (dbError.details.includes('carnet')) {
-          return res.status(400).json({ error: 'El carnet ya está registrado' });
-        } else if (dbError.details.includes('telefono')) {
-          return res.status(400).json({ error: 'El teléfono ya está registrado' });
-        } else if (dbError.details.includes('correo')) {
-          return res.status(400).json({ error: 'El correo ya está registrado' });
-        }
-      }
-      
-      return res.status(500).json({ error: 'Error registrando mensajero' });
+    if (error) {
+      return enviarError(res, error, datos);
     }
     
-    res.json({ 
-      success: true,
-      message: 'Registro exitoso. Por favor verifica tu correo electrónico.'
-    });
-    
+    console.log(`Cuenta ${id} (${tabla}): ${accion} por ${req.user.id}`);
+    res.json(persona);
   } catch (error) {
-    console.error('Error en registro de mensajero:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al cambiar estado de la cuenta:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Función auxiliar para obtener correo por teléfono
-async function obtenerCorreoPorTelefono(telefono) {
-  // Buscar en usuarios
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('correo')
-    .eq('telefono', telefono)
-    .single();
+// Filtros comunes de los listados de administración: estado (uno o varios separados
+// por comas), desde, hasta (o fecha para un solo día), mensajeroId y usuarioId
+function filtrosPedidosAdmin({ estado, desde, hasta, fecha, mensajeroId, usuarioId, vencido }) {
+  const filtros = {};
   
-  if (usuario) return usuario.correo;
+  if (estado && estado.length > 0) {
+    filtros.estado = { in: estado };
+  }
   
-  // Buscar en mensajeros
-  const { data: mensajero } = await supabase
-    .from('mensajeros')
-    .select('correo')
-    .eq('telefono', telefono)
-    .single();
+  const rango = fecha ? filtroRangoFechas(fecha, fecha) : filtroRangoFechas(desde, hasta);
+  if (rango) {
+    filtros.created_at = rango;
+  }
   
-  return mensajero ? mensajero.correo : null;
+  if (mensajeroId) {
+    filtros.mensajero_id = mensajeroId;
+  }
+  
+  if (usuarioId) {
+    filtros.usuario_id = usuarioId;
+  }
+  
+  // Pedidos programados que nadie tomó antes de que acabara su ventana
+  if (vencido !== undefined) {
+    filtros.vencido_at = vencido ? { neq: null } : null;
+  }
+  
+  return filtros;
 }
 
-// Login mejorado para aceptar teléfono o correo
-app.post('/api/login', async (req, res) => {
+const QUERY_PEDIDOS_ADMIN = {
+  estado: separadoPorComas(enumeracion(ESTADOS_PEDIDO)).opcional(),
+  ...RANGO_FECHAS,
+  fecha: fecha().opcional(),
+  mensajeroId: ID.opcional(),
+  usuarioId: ID.opcional(),
+  vencido: booleano().opcional(),
+  formato: FORMATO
+};
+
+const COLUMNAS_PEDIDO_ADMIN = [
+  'id', 'created_at', 'estado', 'usuario_id', 'usuario_nombre', 'mensajero_id', 'mensajero_nombre',
+  'tipo_vehiculo', 'direccion_venta', 'direccion_entrega', 'distancia', 'precio',
+  'asignado_at', 'en_camino_at', 'entregado_at', 'cancelado_at', 'motivo_cancelacion',
+  'ventana_inicio', 'ventana_fin', 'vencido_at', 'despacho_estado'
+];
+
+app.get('/api/admin/pedidos', authenticate, esAdmin, validar({
+  query: objeto(QUERY_PEDIDOS_ADMIN)
+}), async (req, res) => {
   try {
-    const { identificador, contrasena, rol } = req.body;
-    
-    // Determinar si el identificador es un correo o teléfono
-    let email;
-    if (identificador.includes('@')) {
-      email = identificador;
-    } else {
-      email = await obtenerCorreoPorTelefono(identificador);
-      if (!email) {
-        return res.status(401).json({ error: 'Credenciales inválidas' });
-      }
-    }
+    const filtros = filtrosPedidosAdmin(req.query);
     
-    // Autenticar con Supabase
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email: email,
-      password: contrasena
+    const data = await db.pedidos.listar(filtros, {
+      orden: { columna: 'created_at', descendente: true }
     });
     
-    if (error) {
-      console.error('Error en Supabase login:', error);
-      return res.status(401).json({ error: 'Credenciales inválidas' });
-    }
-    
-    // Verificar si el correo está confirmado
-    if (!data.user.confirmed_at) {
-      return res.status(401).json({ error: 'Por favor verifica tu correo electrónico antes de iniciar sesión' });
-    }
-    
-    // Verificar rol
-    if (data.user.user_metadata.rol !== rol) {
-      await supabase.auth.signOut();
-      return res.status(401).json({ error: 'No tienes permisos para acceder como ' + rol });
+    if (req.query.formato === 'csv') {
+      return enviarCsv(res, 'pedidos.csv', data, COLUMNAS_PEDIDO_ADMIN);
     }
     
-    // Generar token JWT para nuestra API
-    const token = jwt.sign({ 
-      id: data.user.id, 
-      rol,
-      telefono: data.user.user_metadata.telefono,
-      nombres: data.user.user_metadata.nombres,
-      apellidos: data.user.user_metadata.apellidos
-    }, process.env.JWT_SECRET, {
-      expiresIn: '8h'
-    });
-    
-    res.json({ 
-      success: true, 
-      token,
-      nombres: data.user.user_metadata.nombres,
-      apellidos: data.user.user_metadata.apellidos
-    });
+    res.json(data);
   } catch (error) {
-    console.error('Error inesperado en login:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al obtener pedidos:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Endpoint para obtener perfil de usuario autenticado
-app.get('/api/perfil', authenticate, async (req, res) => {
+const COLUMNAS_ESTADISTICAS = [
+  'pedidos', 'entregados', 'cancelados', 'ingresos', 'distancia_km',
+  'tiempo_medio_entrega_min', 'tasa_cancelacion'
+];
+
+// Tablas disponibles en la exportación CSV de estadísticas (parámetro "serie")
+const SERIES_ESTADISTICAS = {
+  dia: { clave: 'por_dia', columnas: ['dia', ...COLUMNAS_ESTADISTICAS] },
+  estado: { clave: 'por_estado', columnas: ['estado', 'pedidos'] },
+  mensajero: { clave: 'por_mensajero', columnas: ['mensajero_id', 'mensajero_nombre', ...COLUMNAS_ESTADISTICAS] }
+};
+
+// Agregados de pedidos con los mismos filtros que /api/admin/pedidos
+// (formato=csv y serie=dia|estado|mensajero para descargar una de las tablas)
+app.get('/api/admin/estadisticas', authenticate, esAdmin, validar({
+  query: objeto({
+    ...QUERY_PEDIDOS_ADMIN,
+    serie: enumeracion(Object.keys(SERIES_ESTADISTICAS)).porDefecto('dia')
+  })
+}), async (req, res) => {
   try {
-    // Obtener datos adicionales de la tabla correspondiente
-    const tabla = req.user.rol === 'usuario' ? 'usuarios' : 'mensajeros';
-    const { data, error } = await supabase
-      .from(tabla)
-      .select('*')
-      .eq('id', req.user.id)
-      .single();
+    const filtros = filtrosPedidosAdmin(req.query);
+    const nombreSerie = req.query.serie;
+    const serie = SERIES_ESTADISTICAS[nombreSerie];
+    
+    const pedidos = await db.pedidos.listar(filtros, {
+      columnas: [
+        'id', 'estado', 'precio', 'distancia', 'mensajero_id', 'mensajero_nombre',
+        'created_at', 'en_camino_at', 'entregado_at'
+      ]
+    });
+    const estadisticas = calcularEstadisticas(pedidos);
     
-    if (error) throw error;
+    if (req.query.formato === 'csv') {
+      return enviarCsv(res, `estadisticas-${nombreSerie}.csv`, estadisticas[serie.clave], serie.columnas);
+    }
     
     res.json({
-      id: req.user.id,
-      nombres: data.nombres,
-      apellidos: data.apellidos,
-      telefono: data.telefono,
-      rol: req.user.rol,
-      ...(req.user.rol === 'mensajero' && { tipo_vehiculo: data.tipo_vehiculo })
+      desde: req.query.fecha || req.query.desde || null,
+      hasta: req.query.fecha || req.query.hasta || null,
+      ...estadisticas
     });
   } catch (error) {
-    console.error('Error obteniendo perfil:', error);
-    res.status(500).json({ error: 'Error obteniendo perfil' });
+    console.error('Error al calcular estadísticas:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Endpoint para renovar token
-app.post('/api/renovar-token', authenticate, (req, res) => {
-  // Crear un nuevo token con los mismos datos
-  const token = jwt.sign(
-    { 
-      id: req.user.id, 
-      rol: req.user.rol,
-      telefono: req.user.telefono,
-      nombres: req.user.nombres,
-      apellidos: req.user.apellidos
-    }, 
-    process.env.JWT_SECRET, 
-    { expiresIn: '8h' }
-  );
-  
-  res.json({ token });
-});
-
-// Endpoint para calcular rutas
-app.post('/api/ruta', async (req, res) => {
+app.get('/api/admin/tarifas', authenticate, esAdmin, async (req, res) => {
   try {
-    const { origen, destino } = req.body;
-    console.log('Solicitud de ruta recibida:', { origen, destino });
-
-    const OPENROUTE_API_KEY = process.env.OPENROUTE_API_KEY;
-    if (!OPENROUTE_API_KEY) {
-      return res.status(500).json({ error: 'Clave ORS no configurada' });
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000);
-
-    const response = await fetch('https://api.openrouteservice.org/v2/directions/driving-car', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': OPENROUTE_API_KEY
-      },
-      body: JSON.stringify({
-        coordinates: [
-          [origen.lng, origen.lat],
-          [destino.lng, destino.lat]
-        ]
-      }),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(500).json({ error: `Error ORS: ${errorText}` });
-    }
-
-    const data = await response.json();
-    const distancia = data.routes[0].summary.distance;
-    const geometria = data.routes[0].geometry;
-
-    res.json({
-      distancia,
-      geometria
-    });
+    res.json(await obtenerTablasTarifas());
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('Timeout al calcular ruta');
-      return res.status(500).json({ error: 'Timeout al calcular la ruta' });
-    }
-    console.error('Error al calcular ruta:', error);
-    res.status(500).json({ error: 'Error al calcular la ruta' });
+    console.error('Error al obtener tarifas:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Crear pedidos
-app.post('/api/pedidos', authenticate, async (req, res) => {
+const PARAMS_TIPO_VEHICULO = objeto({ tipo: TIPO_VEHICULO });
+
+app.put('/api/admin/tarifas/vehiculos/:tipo', authenticate, esAdmin, validar({
+  params: PARAMS_TIPO_VEHICULO,
+  body: ESQUEMA_TARIFA_VEHICULO
+}), async (req, res) => {
   try {
-    const usuarioId = req.user.id;
-    const pedido = {
-      ...req.body,
-      usuario_id: usuarioId,
-      usuario_nombre: `${req.user.nombres} ${req.user.apellidos}`,
-      usuario_telefono: req.user.telefono
-    };
-    
-    console.log('Creando pedido:', pedido.id);
+    const tarifa = { tipo_vehiculo: req.params.tipo, ...req.body };
     
-    const { data, error } = await supabase
-      .from('pedidos')
-      .insert([pedido])
-      .select();
+    const anterior = (await db.tarifas.listarVehiculos()).find(t => t.tipo_vehiculo === tarifa.tipo_vehiculo);
+    const guardada = await db.tarifas.guardarVehiculo({ ...tarifa, updated_at: new Date().toISOString() });
     
-    if (error) {
-      console.error('Error al crear pedido:', error);
-      return res.status(500).json({ error: 'Error al crear pedido' });
-    }
+    await registrarAuditoria({
+      entidad: 'tarifa',
+      entidadId: tarifa.tipo_vehiculo,
+      accion: anterior ? 'actualizar' : 'crear',
+      actor: req.user,
+      ip: req.ip,
+      antes: anterior || null,
+      despues: guardada
+    });
     
-    res.json({ success: true, id: pedido.id });
+    res.json(guardada);
   } catch (error) {
-    console.error('Error inesperado en creación de pedido:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al actualizar tarifa:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Obtener pedidos disponibles
-app.get('/api/pedidos/disponibles', async (req, res) => {
+app.delete('/api/admin/tarifas/vehiculos/:tipo', authenticate, esAdmin, validar({ params: PARAMS_TIPO_VEHICULO }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('pedidos')
-      .select('*')
-      .eq('estado', 'disponible');
+    const anterior = (await db.tarifas.listarVehiculos()).find(t => t.tipo_vehiculo === req.params.tipo);
+    await db.tarifas.eliminarVehiculo(req.params.tipo);
     
-    if (error) throw error;
+    if (anterior) {
+      await registrarAuditoria({
+        entidad: 'tarifa',
+        entidadId: req.params.tipo,
+        accion: 'eliminar',
+        actor: req.user,
+        ip: req.ip,
+        antes: anterior
+      });
+    }
     
-    res.json(data);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error al obtener pedidos disponibles:', error);
-    res.status(500).json({ error: 'Error al obtener pedidos' });
+    console.error('Error al eliminar tarifa:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Asignar mensajero a pedido
-app.post('/api/pedidos/asignar', authenticate, async (req, res) => {
+// Reemplaza la lista completa de recargos horarios
+app.put('/api/admin/tarifas/recargos', authenticate, esAdmin, validar({
+  body: objeto({ recargos: lista(ESQUEMA_RECARGO, { max: 50 }) })
+}), async (req, res) => {
   try {
-    const { pedidoId } = req.body;
-    const mensajeroId = req.user.id;
-    
-    console.log(`Asignando pedido ${pedidoId} a mensajero ${mensajeroId}`);
-    
-    // Obtener datos del mensajero
-    const mensajeroNombre = `${req.user.nombres} ${req.user.apellidos}`;
-    const mensajeroTelefono = req.user.telefono;
+    const { recargos } = req.body;
     
-    // Actualizar el pedido
-    const { data, error } = await supabase
-      .from('pedidos')
-      .update({
-        estado: 'en proceso',
-        mensajero_id: mensajeroId,
-        mensajero_nombre: mensajeroNombre,
-        mensajero_telefono: mensajeroTelefono
-      })
-      .eq('id', pedidoId)
-      .select();
+    const anteriores = await db.tarifas.listarRecargos();
+    const guardados = await db.tarifas.reemplazarRecargos(recargos);
     
-    if (error) {
-      console.error('Error al asignar pedido:', error);
-      return res.status(500).json({ error: 'Error al asignar pedido' });
-    }
-    
-    if (!data || data.length === 0) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
-    }
+    await registrarAuditoria({
+      entidad: 'recargos',
+      accion: 'reemplazar',
+      actor: req.user,
+      ip: req.ip,
+      antes: anteriores,
+      despues: guardados
+    });
     
-    res.json(data[0]);
+    res.json({ success: true, recargos: guardados });
   } catch (error) {
-    console.error('Error inesperado en asignación de pedido:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al actualizar recargos:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Verificar ubicación
-app.post('/api/pedidos/verificar-ubicacion', async (req, res) => {
+// Liquida al mensajero todas sus ganancias pendientes hasta la fecha indicada (por defecto, ahora)
+app.post('/api/admin/liquidaciones', authenticate, esAdmin, validar({
+  body: objeto({
+    mensajeroId: ID,
+    hasta: fecha().opcional(),
+    referencia: texto({ max: 200 }).opcional()
+  })
+}), async (req, res) => {
   try {
-    const { pedidoId, lat, lng } = req.body;
-    const MARGEN_METROS = 30;
-
-    // Obtener el pedido
-    const { data: pedido, error } = await supabase
-      .from('pedidos')
-      .select('*')
-      .eq('id', pedidoId)
-      .single();
+    const { mensajeroId, hasta, referencia } = req.body;
+    const fechaHasta = hasta ? new Date(hasta) : new Date();
     
-    if (error || !pedido) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
-    }
-
-    const ubicacionEntrega = pedido.ubicacion_entrega;
-    const puntoVenta = pedido.ubicacion_venta;
-
-    function calcularDistancia(lat1, lon1, lat2, lon2) {
-      const R = 6371e3;
-      const φ1 = lat1 * Math.PI/180;
-      const φ2 = lat2 * Math.PI/180;
-      const Δφ = (lat2-lat1) * Math.PI/180;
-      const Δλ = (lon2-lon1) * Math.PI/180;
-
-      const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                Math.cos(φ1) * Math.cos(φ2) *
-                Math.sin(Δλ/2) * Math.sin(Δλ/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-      return R * c;
+    const liquidacion = await db.ganancias.liquidar(mensajeroId, fechaHasta.toISOString(), {
+      referencia: referencia || null,
+      liquidado_por: req.user.id,
+      created_at: new Date().toISOString()
+    });
+    
+    if (!liquidacion) {
+      return enviarError(res, 'SIN_GANANCIAS_PENDIENTES');
     }
-
-    const distanciaVenta = calcularDistancia(
-      lat, lng, 
-      puntoVenta.lat, puntoVenta.lng
-    );
     
-    const distanciaEntrega = calcularDistancia(
-      lat, lng, 
-      ubicacionEntrega.lat, ubicacionEntrega.lng
-    );
-
-    res.json({ 
-      success: true,
-      estado: pedido.estado,
-      distanciaVenta,
-      distanciaEntrega
+    await registrarAuditoria({
+      entidad: 'liquidacion',
+      entidadId: String(liquidacion.id),
+      accion: 'crear',
+      actor: req.user,
+      ip: req.ip,
+      despues: liquidacion
     });
     
+    res.json(liquidacion);
   } catch (error) {
-    console.error('Error verificando ubicación:', error);
-    res.status(500).json({ error: 'Error verificando ubicación' });
+    console.error('Error al liquidar ganancias:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Marcar como en camino
-app.post('/api/pedidos/en-camino', authenticate, async (req, res) => {
+app.get('/api/admin/liquidaciones', authenticate, esAdmin, validar({
+  query: objeto({ mensajeroId: ID.opcional() })
+}), async (req, res) => {
   try {
-    const { pedidoId } = req.body;
-    
-    const { error } = await supabase
-      .from('pedidos')
-      .update({ estado: 'en camino' })
-      .eq('id', pedidoId);
-    
-    if (error) {
-      console.error('Error al actualizar estado a en camino:', error);
-      return res.status(500).json({ error: 'Error al actualizar estado' });
-    }
-    
-    res.json({ success: true });
+    const { mensajeroId } = req.query;
+    res.json(await db.ganancias.listarLiquidaciones(mensajeroId ? { mensajero_id: mensajeroId } : {}));
   } catch (error) {
-    console.error('Error inesperado en actualizar estado:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error al obtener liquidaciones:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Marcar como entregado
-app.post('/api/pedidos/entregado', authenticate, async (req, res) => {
+// Informe de pagos por mensajero (mensajeroId, desde, hasta; formato=csv para descargar)
+app.get('/api/admin/reportes/pagos', authenticate, esAdmin, validar({
+  query: objeto({ mensajeroId: ID.opcional(), ...RANGO_FECHAS, formato: FORMATO })
+}), async (req, res) => {
   try {
-    const { pedidoId } = req.body;
+    const { mensajeroId, desde, hasta, formato } = req.query;
     
-    // Obtener el pedido
-    const { data: pedido, error: pedidoError } = await supabase
-      .from('pedidos')
-      .select('*')
-      .eq('id', pedidoId)
-      .single();
+    const rango = filtroRangoFechas(desde, hasta);
+    
+    const entradas = await db.ganancias.listar({
+      ...(mensajeroId && { mensajero_id: mensajeroId }),
+      ...(rango && { created_at: rango })
+    });
     
-    if (pedidoError || !pedido) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
+    const porMensajero = new Map();
+    for (const entrada of entradas) {
+      if (!porMensajero.has(entrada.mensajero_id)) porMensajero.set(entrada.mensajero_id, []);
+      porMensajero.get(entrada.mensajero_id).push(entrada);
     }
-
-    // Guardar en Supabase (ya estamos usando Supabase, no necesitamos hacer esto adicionalmente)
-    // Pero si quieres mantener un historial, podrías tener una tabla de pedidos_entregados
-    // Por ahora, simplemente actualizamos el estado
-
-    // Actualizar estado a entregado
-    const { error } = await supabase
-      .from('pedidos')
-      .update({ estado: 'entregado' })
-      .eq('id', pedidoId);
     
-    if (error) {
-      console.error('Error al actualizar estado:', error);
-      return res.status(500).json({ error: 'Error al actualizar estado' });
+    const filas = [];
+    for (const [id, entradasMensajero] of porMensajero) {
+      const mensajero = await db.mensajeros.obtener(id);
+      filas.push({
+        mensajero_id: id,
+        mensajero_nombre: mensajero ? `${mensajero.nombres} ${mensajero.apellidos}` : null,
+        ...resumirGanancias(entradasMensajero)
+      });
     }
     
-    res.json({ success: true });
+    if (formato === 'csv') {
+      return enviarCsv(res, 'informe-pagos.csv', filas, [
+        'mensajero_id', 'mensajero_nombre', 'entregas', 'importe_total',
+        'comision', 'importe_mensajero', 'liquidado', 'pendiente'
+      ]);
+    }
+    
+    res.json({
+      desde: desde || null,
+      hasta: hasta || null,
+      mensajeros: filas,
+      totales: resumirGanancias(entradas)
+    });
   } catch (error) {
-    console.error('Error en entregado:', error);
-    res.status(500).json({ error: error.message || 'Error interno del servidor' });
+    console.error('Error al generar informe de pagos:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Obtener pedido por ID
-app.get('/api/pedidos/:id', async (req, res) => {
-  const pedidoId = req.params.id;
-  
-  if (!pedidoId) {
-    return res.status(400).json({ error: 'ID de pedido requerido' });
-  }
-  
+// Bloqueos de inicio de sesión registrados (desde, hasta, limite); "activo" indica si sigue vigente
+app.get('/api/admin/bloqueos', authenticate, esAdmin, validar({
+  query: objeto({ ...RANGO_FECHAS, limite: LIMITE })
+}), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('pedidos')
-      .select('*')
-      .eq('id', pedidoId)
-      .single();
+    const { desde, hasta, limite } = req.query;
+    const rango = filtroRangoFechas(desde, hasta);
     
-    if (error || !data) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
-    }
+    const entradas = await db.auditoria.listar({
+      entidad: 'sesion',
+      accion: 'bloqueo',
+      ...(rango && { created_at: rango })
+    }, { limite });
     
-    res.json(data);
+    // Solo la entrada más reciente de cada identificador puede seguir activa
+    const vistos = new Set();
+    const bloqueos = await Promise.all(entradas.map(async entrada => {
+      const masReciente = !vistos.has(entrada.entidad_id);
+      vistos.add(entrada.entidad_id);
+      const vigente = masReciente && await proteccionLogin.bloqueo(entrada.entidad_id);
+      return {
+        identificador: entrada.entidad_id,
+        ip: entrada.ip,
+        nivel: entrada.despues.nivel,
+        bloqueado_hasta: entrada.despues.bloqueado_hasta,
+        created_at: entrada.created_at,
+        activo: Boolean(vigente) && vigente.nivel === entrada.despues.nivel
+      };
+    }));
+    
+    res.json(bloqueos);
   } catch (error) {
-    console.error('Error al obtener pedido:', error);
-    res.status(500).json({ error: 'Error al obtener pedido' });
+    console.error('Error al obtener bloqueos:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-// Middleware de administrador
-function esAdmin(req, res, next) {
-  if (req.user.rol !== 'admin') {
-    return res.status(403).json({ error: 'Acceso denegado' });
+// Levanta el bloqueo de un identificador (correo o teléfono)
+app.delete('/api/admin/bloqueos/:identificador', authenticate, esAdmin, validar({
+  params: objeto({ identificador: texto({ prueba: normalizarIdentificador }) })
+}), async (req, res) => {
+  try {
+    const identificador = normalizarIdentificador(req.params.identificador);
+    
+    await proteccionLogin.desbloquear(identificador);
+    
+    await registrarAuditoria({
+      entidad: 'sesion',
+      entidadId: identificador,
+      accion: 'desbloqueo',
+      actor: req.user,
+      ip: req.ip
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al desbloquear:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
-  next();
-}
+});
 
-// Endpoints de administración
-app.get('/api/admin/usuarios', authenticate, esAdmin, async (req, res) => {
+// Despacho automático: si está activo y los parámetros de las ofertas
+app.get('/api/admin/despacho', authenticate, esAdmin, async (req, res) => {
   try {
-    const { data, error } = await supabaseAdmin.auth.admin.listUsers();
-    if (error) throw error;
-    
-    // Filtrar solo usuarios normales
-    const usuarios = data.users.filter(u => u.user_metadata.rol === 'usuario');
-    res.json(usuarios);
+    res.json(await despachador.configuracion());
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error al obtener configuración de despacho:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-app.get('/api/admin/mensajeros', authenticate, esAdmin, async (req, res) => {
+// Al desactivarlo, los pedidos que se estaban ofreciendo vuelven a la lista de disponibles
+app.put('/api/admin/despacho', authenticate, esAdmin, validar({
+  body: objeto({ activo: booleano() })
+}), async (req, res) => {
   try {
-    const { data, error } = await supabaseAdmin.auth.admin.listUsers();
-    if (error) throw error;
+    const anterior = await despachador.configuracion();
+    const liberados = await despachador.cambiarActivo(req.body.activo, req.user.id);
     
-    // Filtrar solo mensajeros
-    const mensajeros = data.users.filter(u => u.user_metadata.rol === 'mensajero');
-    res.json(mensajeros);
+    await registrarAuditoria({
+      entidad: 'configuracion',
+      entidadId: 'despacho',
+      accion: 'actualizar',
+      actor: req.user,
+      ip: req.ip,
+      antes: { activo: anterior.activo },
+      despues: { activo: req.body.activo }
+    });
+    
+    res.json({ ...(await despachador.configuracion()), liberados });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error al cambiar configuración de despacho:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-app.delete('/api/admin/mensajeros/:id', authenticate, esAdmin, async (req, res) => {
+// Historial de ofertas del despacho automático, de la más reciente a la más antigua
+app.get('/api/admin/ofertas', authenticate, esAdmin, validar({
+  query: objeto({
+    pedidoId: ID.opcional(),
+    mensajeroId: ID.opcional(),
+    estado: separadoPorComas(enumeracion(ESTADOS_OFERTA)).opcional(),
+    ...RANGO_FECHAS,
+    limite: LIMITE,
+    cursor: entero({ min: 1 }).opcional()
+  })
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { error } = await supabaseAdmin.auth.admin.deleteUser(id);
+    const { pedidoId, mensajeroId, estado, desde, hasta, limite, cursor } = req.query;
     
-    if (error) throw error;
+    const filtros = {};
+    if (pedidoId) filtros.pedido_id = pedidoId;
+    if (mensajeroId) filtros.mensajero_id = mensajeroId;
+    if (estado && estado.length > 0) filtros.estado = { in: estado };
     
-    // Eliminar de la tabla mensajeros
-    const { error: dbError } = await supabase
-      .from('mensajeros')
-      .delete()
-      .eq('id', id);
+    const rango = filtroRangoFechas(desde, hasta);
+    if (rango) {
+      filtros.created_at = rango;
+    }
+    
+    if (cursor) {
+      filtros.id = { lt: cursor };
+    }
     
-    if (dbError) console.error('Error eliminando mensajero de la tabla', dbError);
+    const ofertas = await db.ofertas.listar(filtros, { limite: limite + 1 });
+    const hayMas = ofertas.length > limite;
+    const pagina = ofertas.slice(0, limite);
     
-    res.json({ success: true });
+    res.json({
+      ofertas: pagina,
+      siguienteCursor: hayMas ? String(pagina[pagina.length - 1].id) : null
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error al consultar ofertas:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
-app.get('/api/admin/pedidos', authenticate, esAdmin, async (req, res) => {
+// Consulta del registro de auditoría
+// Query: entidad, entidadId, actorId, accion, desde, hasta, limite y cursor (id de la última entrada devuelta)
+app.get('/api/admin/auditoria', authenticate, esAdmin, validar({
+  query: objeto({
+    entidad: texto({ max: 50 }).opcional(),
+    entidadId: ID.opcional(),
+    actorId: ID.opcional(),
+    accion: texto({ max: 50 }).opcional(),
+    ...RANGO_FECHAS,
+    limite: LIMITE,
+    cursor: entero({ min: 1 }).opcional()
+  })
+}), async (req, res) => {
   try {
-    const { fecha, mensajeroId, usuarioId } = req.query;
+    const { entidad, entidadId, actorId, accion, desde, hasta, limite, cursor } = req.query;
     
-    let query = supabase
-      .from('pedidos')
-      .select('*')
-      .eq('estado', 'entregado');
-    
-    if (fecha) {
-      query = query.eq('created_at', fecha);
-    }
+    const filtros = {};
+    if (entidad) filtros.entidad = entidad;
+    if (entidadId) filtros.entidad_id = entidadId;
+    if (actorId) filtros.actor_id = actorId;
+    if (accion) filtros.accion = accion;
     
-    if (mensajeroId) {
-      query = query.eq('mensajero_id', mensajeroId);
+    const rango = filtroRangoFechas(desde, hasta);
+    if (rango) {
+      filtros.created_at = rango;
     }
     
-    if (usuarioId) {
-      query = query.eq('usuario_id', usuarioId);
+    if (cursor) {
+      filtros.id = { lt: cursor };
     }
     
-    const { data, error } = await query;
+    // Se pide una más para saber si hay otra página
+    const entradas = await db.auditoria.listar(filtros, { limite: limite + 1 });
+    const hayMas = entradas.length > limite;
+    const pagina = entradas.slice(0, limite);
     
-    if (error) throw error;
-    
-    res.json(data);
+    res.json({
+      entradas: pagina,
+      siguienteCursor: hayMas ? String(pagina[pagina.length - 1].id) : null
+    });
   } catch (error) {
-    console.error('Error al obtener pedidos:', error);
-    res.status(500).json({ error: 'Error al obtener pedidos' });
+    console.error('Error al consultar auditoría:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
 // Recuperación de contraseña
-app.post('/api/recuperar-contrasena', async (req, res) => {
+app.post('/api/recuperar-contrasena', limitesRecuperacion, validar({
+  body: objeto({ correo: CORREO })
+}), async (req, res) => {
   try {
     const { correo } = req.body;
     
-    if (!validarCorreo(correo)) {
-      return res.status(400).json({ error: 'Correo inválido' });
+    try {
+      await db.auth.enviarRecuperacion(
+        correo,
+        `${process.env.FRONTEND_URL || 'https://tudominio.com'}/restablecer-contrasena?lang=${idiomaDe(req)}`
+      );
+    } catch (error) {
+      console.error('Error enviando correo de recuperación:', error);
+      return enviarError(res, 'RECUPERACION_FALLIDA');
     }
     
-    const { data, error } = await supabase.auth.resetPasswordForEmail(correo, {
-      redirectTo: `${process.env.FRONTEND_URL || 'https://tudominio.com'}/restablecer-contrasena`
+    await registrarAuditoria({
+      entidad: 'sesion',
+      accion: 'recuperar_contrasena',
+      ip: req.ip,
+      despues: { correo }
     });
     
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
-    
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error en recuperación de contraseña:', error);
+    enviarError(res, 'ERROR_INTERNO');
   }
 });
 
 // Manejo de rutas no encontradas
 app.use((req, res) => {
-  res.status(404).json({ error: 'Ruta no encontrada' });
+  enviarError(res, 'RUTA_NO_ENCONTRADA');
 });
 
 // Manejo de errores global
 app.use((err, req, res, next) => {
+  // Errores de express.json() al leer el cuerpo
+  if (err.type === 'entity.parse.failed') {
+    return enviarError(res, 'JSON_INVALIDO');
+  }
+  if (err.type === 'entity.too.large') {
+    return enviarError(res, 'CUERPO_DEMASIADO_GRANDE');
+  }
+  
   console.error('Error global no manejado:', err.stack);
-  res.status(500).json({ error: 'Error interno del servidor' });
+  enviarError(res, 'ERROR_INTERNO');
 });
 
 // Iniciar servidor
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log(`\n=== Servidor backend iniciado ===`);
-  console.log(`Puerto: ${PORT}`);
-  console.log(`Entorno: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Base de datos: Supabase PostgreSQL`);
-  console.log(`OpenRouteService: ${process.env.OPENROUTE_API_KEY ? 'Configurado' : 'NO configurado'}`);
-  console.log(`Supabase: ${supabaseUrl ? 'Configurado' : 'NO configurado'}`);
-  console.log(`JWT: ${process.env.JWT_SECRET ? 'Configurado' : 'NO configurado'}`);
-  console.log(`FRONTEND_URL: ${process.env.FRONTEND_URL || 'No configurado'}`);
-  console.log(`=================================\n`);
-});
\ No newline at end of file
+// Solo se escucha al ejecutar el archivo directamente; las pruebas importan app y db
+async function iniciarServidor() {
+  await db.iniciar();
+  iniciarProgramador();
+  iniciarDespacho();
+  iniciarRevisionDisponibilidad();
+  iniciarConciliacionGanancias();
+  
+  const PORT = process.env.PORT || 10000;
+  return app.listen(PORT, () => {
+    console.log(`\n=== Servidor backend iniciado ===`);
+    console.log(`Puerto: ${PORT}`);
+    console.log(`Entorno: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Base de datos: ${db.descripcion}`);
+    console.log(`OpenRouteService: ${process.env.OPENROUTE_API_KEY ? 'Configurado' : 'NO configurado'}`);
+    if ((process.env.DB_DRIVER || 'supabase') === 'supabase') {
+      console.log(`Supabase: ${process.env.SUPABASE_URL ? 'Configurado' : 'NO configurado'}`);
+    }
+    console.log(`JWT: ${process.env.JWT_SECRET ? 'Configurado' : 'NO configurado'}`);
+    console.log(`FRONTEND_URL: ${process.env.FRONTEND_URL || 'No configurado'}`);
+    console.log(`Notificaciones: email ${transportesNotificacion.email.descripcion}, SMS ${transportesNotificacion.sms.descripcion}, push ${transportesNotificacion.push.descripcion}`);
+    console.log(`=================================\n`);
+  });
+}
+
+if (require.main === module) {
+  iniciarServidor().catch(error => {
+    console.error('No se pudo iniciar el servidor:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, db, iniciarServidor };
\ No newline at end of file
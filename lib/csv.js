@@ -0,0 +1,21 @@
+// Exportación CSV para hojas de cálculo
+
+function escapar(valor) {
+  if (valor === null || valor === undefined) return '';
+  const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+  return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// Convierte filas en CSV con las columnas indicadas. El BOM inicial hace que
+// Excel detecte UTF-8 y muestre bien las tildes.
+function aCsv(filas, columnas) {
+  const lineas = [
+    columnas.join(','),
+    ...filas.map(fila => columnas.map(columna => escapar(fila[columna])).join(','))
+  ];
+  return '﻿' + lineas.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  aCsv
+};
@@ -0,0 +1,14 @@
+// Errores comunes a todos los drivers de almacenamiento
+
+// Violación de una restricción única; campo indica la columna afectada si se conoce
+function errorDuplicado(campo, causa) {
+  const error = new Error(`Valor duplicado${campo ? ` en ${campo}` : ''}`);
+  error.code = 'DUPLICADO';
+  error.campo = campo || null;
+  error.causa = causa;
+  return error;
+}
+
+module.exports = {
+  errorDuplicado
+};
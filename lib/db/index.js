@@ -0,0 +1,74 @@
+// Capa de almacenamiento
+// Los repositorios trabajan sobre un driver que expone tabla(nombre) con
+// buscar/obtener/contar/insertar/upsert/actualizar/eliminar y auth para las
+// cuentas. El driver se elige con DB_DRIVER: "supabase" (por defecto) o "sqlite".
+//
+// Filtros: { columna: valor } compara por igualdad (null equivale a IS NULL),
+// { columna: { gt, gte, lt, lte, neq, in } } aplica operadores y
+// { $o: [filtros, filtros] } une alternativas con OR.
+const path = require('path');
+const { crearDriverSupabase } = require('./supabase');
+const { crearRepositorioPersonas } = require('./repositorios/personas');
+const { crearRepositorioPedidos } = require('./repositorios/pedidos');
+const { crearRepositorioTarifas } = require('./repositorios/tarifas');
+const { crearRepositorioGanancias } = require('./repositorios/ganancias');
+const { crearRepositorioCalificaciones } = require('./repositorios/calificaciones');
+const { crearRepositorioAuditoria } = require('./repositorios/auditoria');
+const { crearRepositorioNotificaciones } = require('./repositorios/notificaciones');
+const { crearRepositorioSesiones } = require('./repositorios/sesiones');
+const { crearRepositorioLimites } = require('./repositorios/limites');
+const { crearRepositorioCodigos } = require('./repositorios/codigos');
+const { crearRepositorioConfiguracion } = require('./repositorios/configuracion');
+const { crearRepositorioOfertas } = require('./repositorios/ofertas');
+const { crearRepositorioTurnos } = require('./repositorios/turnos');
+
+const RUTA_SQLITE_POR_DEFECTO = path.join(__dirname, '..', '..', 'data', 'a-tu-puerta.db');
+
+function crearDriver(config) {
+  const nombre = config.DB_DRIVER || 'supabase';
+
+  if (nombre === 'sqlite') {
+    // sqlite3 es un módulo nativo; solo se carga si se usa
+    const { crearDriverSqlite } = require('./sqlite');
+    return crearDriverSqlite({ ruta: config.SQLITE_PATH || RUTA_SQLITE_POR_DEFECTO });
+  }
+
+  if (nombre === 'supabase') {
+    return crearDriverSupabase({
+      url: config.SUPABASE_URL,
+      anonKey: config.SUPABASE_ANON_KEY,
+      serviceKey: config.SUPABASE_SERVICE_ROLE_KEY
+    });
+  }
+
+  throw new Error(`DB_DRIVER desconocido: ${nombre}`);
+}
+
+function crearAlmacen(config = process.env) {
+  const driver = crearDriver(config);
+
+  return {
+    descripcion: driver.descripcion,
+    iniciar: () => driver.iniciar(),
+    cerrar: () => driver.cerrar(),
+    auth: driver.auth,
+    usuarios: crearRepositorioPersonas(driver, 'usuarios'),
+    mensajeros: crearRepositorioPersonas(driver, 'mensajeros'),
+    pedidos: crearRepositorioPedidos(driver),
+    tarifas: crearRepositorioTarifas(driver),
+    ganancias: crearRepositorioGanancias(driver),
+    calificaciones: crearRepositorioCalificaciones(driver),
+    auditoria: crearRepositorioAuditoria(driver),
+    notificaciones: crearRepositorioNotificaciones(driver),
+    sesiones: crearRepositorioSesiones(driver),
+    limites: crearRepositorioLimites(driver),
+    codigos: crearRepositorioCodigos(driver),
+    configuracion: crearRepositorioConfiguracion(driver),
+    ofertas: crearRepositorioOfertas(driver),
+    turnos: crearRepositorioTurnos(driver)
+  };
+}
+
+module.exports = {
+  crearAlmacen
+};
@@ -0,0 +1,130 @@
+-- Esquema local equivalente a las tablas de Supabase
+-- Las columnas JSON y BOOLEAN se convierten automáticamente en el driver.
+
+-- Sustituto local de Supabase Auth
+CREATE TABLE auth_usuarios (
+  id TEXT PRIMARY KEY,
+  correo TEXT NOT NULL UNIQUE,
+  contrasena_hash TEXT NOT NULL,
+  metadatos JSON NOT NULL DEFAULT '{}',
+  confirmed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE usuarios (
+  id TEXT PRIMARY KEY,
+  nombres TEXT NOT NULL,
+  apellidos TEXT NOT NULL,
+  carnet TEXT NOT NULL UNIQUE,
+  telefono TEXT NOT NULL UNIQUE,
+  correo TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE mensajeros (
+  id TEXT PRIMARY KEY,
+  nombres TEXT NOT NULL,
+  apellidos TEXT NOT NULL,
+  carnet TEXT NOT NULL UNIQUE,
+  telefono TEXT NOT NULL UNIQUE,
+  correo TEXT NOT NULL UNIQUE,
+  tipo_vehiculo TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE pedidos (
+  id TEXT PRIMARY KEY,
+  estado TEXT NOT NULL DEFAULT 'disponible',
+  descripcion TEXT,
+  direccion_venta TEXT,
+  direccion_entrega TEXT,
+  ubicacion_venta JSON NOT NULL,
+  ubicacion_entrega JSON NOT NULL,
+  usuario_id TEXT NOT NULL,
+  usuario_nombre TEXT,
+  usuario_telefono TEXT,
+  mensajero_id TEXT,
+  mensajero_nombre TEXT,
+  mensajero_telefono TEXT,
+  tipo_vehiculo TEXT,
+  precio REAL,
+  distancia REAL,
+  codigo_entrega TEXT,
+  ultima_ubicacion JSON,
+  asignado_at TEXT,
+  en_camino_at TEXT,
+  entregado_at TEXT,
+  cancelado_at TEXT,
+  actualizado_por TEXT,
+  motivo_cancelacion TEXT,
+  cancelado_por TEXT,
+  cancelado_por_rol TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX pedidos_estado_idx ON pedidos (estado);
+CREATE INDEX pedidos_usuario_idx ON pedidos (usuario_id);
+CREATE INDEX pedidos_mensajero_idx ON pedidos (mensajero_id);
+
+CREATE TABLE pedido_transiciones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL REFERENCES pedidos (id) ON DELETE CASCADE,
+  accion TEXT NOT NULL,
+  estado_anterior TEXT NOT NULL,
+  estado_nuevo TEXT NOT NULL,
+  actor_id TEXT NOT NULL,
+  actor_rol TEXT NOT NULL,
+  motivo TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX pedido_transiciones_pedido_idx ON pedido_transiciones (pedido_id, created_at);
+
+CREATE TABLE tarifas_vehiculo (
+  tipo_vehiculo TEXT PRIMARY KEY,
+  tarifa_base REAL NOT NULL CHECK (tarifa_base >= 0),
+  precio_km REAL NOT NULL CHECK (precio_km >= 0),
+  tarifa_minima REAL NOT NULL CHECK (tarifa_minima >= 0),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE tarifas_recargos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  nombre TEXT NOT NULL,
+  hora_inicio TEXT NOT NULL,
+  hora_fin TEXT NOT NULL,
+  porcentaje REAL NOT NULL CHECK (porcentaje >= 0)
+);
+
+INSERT INTO tarifas_vehiculo (tipo_vehiculo, tarifa_base, precio_km, tarifa_minima) VALUES
+  ('bicicleta', 80, 30, 100),
+  ('moto', 120, 45, 150),
+  ('carro', 200, 70, 250);
+
+INSERT INTO tarifas_recargos (nombre, hora_inicio, hora_fin, porcentaje) VALUES
+  ('Nocturno', '22:00', '06:00', 20);
+
+CREATE TABLE pedido_intentos_fallidos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL REFERENCES pedidos (id) ON DELETE CASCADE,
+  actor_id TEXT NOT NULL,
+  tipo TEXT NOT NULL CHECK (tipo IN ('recogida', 'entrega')),
+  motivo TEXT NOT NULL,
+  lat REAL,
+  lng REAL,
+  distancia REAL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX pedido_intentos_fallidos_pedido_idx ON pedido_intentos_fallidos (pedido_id, created_at);
+
+CREATE TABLE pedido_ubicaciones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL REFERENCES pedidos (id) ON DELETE CASCADE,
+  mensajero_id TEXT NOT NULL,
+  lat REAL NOT NULL,
+  lng REAL NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX pedido_ubicaciones_pedido_idx ON pedido_ubicaciones (pedido_id, created_at);
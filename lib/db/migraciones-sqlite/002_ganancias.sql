@@ -0,0 +1,26 @@
+CREATE TABLE liquidaciones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mensajero_id TEXT NOT NULL,
+  hasta TEXT NOT NULL,
+  importe REAL NOT NULL DEFAULT 0,
+  entregas INTEGER NOT NULL DEFAULT 0,
+  referencia TEXT,
+  liquidado_por TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX liquidaciones_mensajero_idx ON liquidaciones (mensajero_id, created_at);
+
+CREATE TABLE ganancias (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL UNIQUE REFERENCES pedidos (id),
+  mensajero_id TEXT NOT NULL,
+  importe_total REAL NOT NULL,
+  porcentaje_comision REAL NOT NULL,
+  comision REAL NOT NULL,
+  importe_mensajero REAL NOT NULL,
+  liquidacion_id INTEGER REFERENCES liquidaciones (id),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX ganancias_mensajero_idx ON ganancias (mensajero_id, created_at);
@@ -0,0 +1,14 @@
+CREATE TABLE calificaciones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL REFERENCES pedidos (id) ON DELETE CASCADE,
+  autor_id TEXT NOT NULL,
+  autor_rol TEXT NOT NULL CHECK (autor_rol IN ('usuario', 'mensajero')),
+  calificado_id TEXT NOT NULL,
+  calificado_rol TEXT NOT NULL CHECK (calificado_rol IN ('usuario', 'mensajero')),
+  puntuacion INTEGER NOT NULL CHECK (puntuacion BETWEEN 1 AND 5),
+  comentario TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (pedido_id, autor_id)
+);
+
+CREATE INDEX calificaciones_calificado_idx ON calificaciones (calificado_id, created_at);
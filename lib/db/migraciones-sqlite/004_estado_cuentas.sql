@@ -0,0 +1,13 @@
+-- Aprobación de mensajeros y suspensión de cuentas
+ALTER TABLE usuarios ADD COLUMN estado_cuenta TEXT NOT NULL DEFAULT 'activo'
+  CHECK (estado_cuenta IN ('pendiente', 'activo', 'rechazado', 'suspendido'));
+ALTER TABLE usuarios ADD COLUMN motivo_estado TEXT;
+ALTER TABLE usuarios ADD COLUMN estado_actualizado_por TEXT;
+ALTER TABLE usuarios ADD COLUMN estado_actualizado_at TEXT;
+
+ALTER TABLE mensajeros ADD COLUMN estado_cuenta TEXT NOT NULL DEFAULT 'activo'
+  CHECK (estado_cuenta IN ('pendiente', 'activo', 'rechazado', 'suspendido'));
+ALTER TABLE mensajeros ADD COLUMN motivo_estado TEXT;
+ALTER TABLE mensajeros ADD COLUMN estado_actualizado_por TEXT;
+ALTER TABLE mensajeros ADD COLUMN estado_actualizado_at TEXT;
+ALTER TABLE mensajeros ADD COLUMN documentos JSON NOT NULL DEFAULT '[]';
@@ -0,0 +1,27 @@
+-- Registro de auditoría: solo admite inserciones
+CREATE TABLE auditoria (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entidad TEXT NOT NULL,
+  entidad_id TEXT,
+  accion TEXT NOT NULL,
+  actor_id TEXT,
+  actor_rol TEXT,
+  ip TEXT,
+  antes JSON,
+  despues JSON,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX auditoria_entidad_idx ON auditoria (entidad, entidad_id, created_at);
+CREATE INDEX auditoria_actor_idx ON auditoria (actor_id, created_at);
+CREATE INDEX auditoria_fecha_idx ON auditoria (created_at);
+
+CREATE TRIGGER auditoria_sin_modificaciones BEFORE UPDATE ON auditoria
+BEGIN
+  SELECT RAISE(ABORT, 'El registro de auditoría no se puede modificar');
+END;
+
+CREATE TRIGGER auditoria_sin_borrados BEFORE DELETE ON auditoria
+BEGIN
+  SELECT RAISE(ABORT, 'El registro de auditoría no se puede modificar');
+END;
@@ -0,0 +1,19 @@
+-- Última posición conocida del mensajero, para avisarle de pedidos cercanos
+ALTER TABLE mensajeros ADD COLUMN ultima_ubicacion JSON;
+ALTER TABLE mensajeros ADD COLUMN ultima_ubicacion_at TEXT;
+
+-- Preferencias por evento y canal: { "pedido.asignado": { "email": true, "sms": false, "push": true } }
+CREATE TABLE preferencias_notificacion (
+  persona_id TEXT PRIMARY KEY,
+  preferencias JSON NOT NULL DEFAULT '{}',
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE suscripciones_push (
+  endpoint TEXT PRIMARY KEY,
+  persona_id TEXT NOT NULL,
+  claves JSON NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX suscripciones_push_persona_idx ON suscripciones_push (persona_id);
@@ -0,0 +1,27 @@
+-- Refresh tokens. Solo se guarda el hash; cada renovación crea un token nuevo
+-- en la misma familia y marca el anterior como rotado.
+CREATE TABLE sesiones (
+  id TEXT PRIMARY KEY,
+  persona_id TEXT NOT NULL,
+  rol TEXT NOT NULL,
+  familia TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  datos_token JSON NOT NULL DEFAULT '{}',
+  ip TEXT,
+  agente TEXT,
+  expira_at TEXT NOT NULL,
+  rotado_at TEXT,
+  revocado_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX sesiones_persona_idx ON sesiones (persona_id);
+CREATE INDEX sesiones_familia_idx ON sesiones (familia);
+
+-- Versión de los tokens de acceso de cada cuenta; al incrementarla se
+-- invalidan todos los tokens emitidos antes
+CREATE TABLE versiones_token (
+  persona_id TEXT PRIMARY KEY,
+  version INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
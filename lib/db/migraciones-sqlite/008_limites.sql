@@ -0,0 +1,8 @@
+-- Contadores de límites de peticiones y bloqueos compartidos entre instancias
+CREATE TABLE limites (
+  clave TEXT PRIMARY KEY,
+  cuenta INTEGER NOT NULL,
+  expira_at TEXT NOT NULL
+);
+
+CREATE INDEX limites_expira_idx ON limites (expira_at);
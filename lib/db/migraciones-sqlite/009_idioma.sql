@@ -0,0 +1,3 @@
+-- Idioma de las notificaciones de cada persona (catálogos de lib/idiomas)
+ALTER TABLE usuarios ADD COLUMN idioma TEXT NOT NULL DEFAULT 'es' CHECK (idioma IN ('es', 'en'));
+ALTER TABLE mensajeros ADD COLUMN idioma TEXT NOT NULL DEFAULT 'es' CHECK (idioma IN ('es', 'en'));
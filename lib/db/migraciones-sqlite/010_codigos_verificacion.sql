@@ -0,0 +1,13 @@
+-- Códigos de un solo uso enviados por SMS o correo (p. ej. al cambiar el teléfono
+-- o el correo). clave identifica el propósito y la cuenta; solo se guarda el hash.
+CREATE TABLE codigos_verificacion (
+  clave TEXT PRIMARY KEY,
+  persona_id TEXT NOT NULL,
+  destino TEXT NOT NULL,
+  codigo_hash TEXT NOT NULL,
+  intentos INTEGER NOT NULL DEFAULT 0,
+  expira_at TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX codigos_verificacion_persona_idx ON codigos_verificacion (persona_id);
@@ -0,0 +1,3 @@
+-- Momento en que se confirmó el teléfono con un código por SMS
+ALTER TABLE usuarios ADD COLUMN telefono_verificado_at TEXT;
+ALTER TABLE mensajeros ADD COLUMN telefono_verificado_at TEXT;
@@ -0,0 +1,9 @@
+-- Pedidos programados: ventana de recogida pedida por el cliente, publicación
+-- para los mensajeros, recordatorio al mensajero y marca de vencido
+ALTER TABLE pedidos ADD COLUMN ventana_inicio TEXT;
+ALTER TABLE pedidos ADD COLUMN ventana_fin TEXT;
+ALTER TABLE pedidos ADD COLUMN publicado_at TEXT;
+ALTER TABLE pedidos ADD COLUMN recordatorio_at TEXT;
+ALTER TABLE pedidos ADD COLUMN vencido_at TEXT;
+
+CREATE INDEX pedidos_estado_ventana_idx ON pedidos (estado, ventana_inicio);
@@ -0,0 +1,28 @@
+-- Despacho automático: configuración editable por los administradores y
+-- ofertas de cada pedido a un mensajero cada vez
+CREATE TABLE configuracion (
+  clave TEXT PRIMARY KEY,
+  valor JSON NOT NULL,
+  actualizado_por TEXT,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE ofertas_pedido (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pedido_id TEXT NOT NULL REFERENCES pedidos (id) ON DELETE CASCADE,
+  mensajero_id TEXT NOT NULL,
+  orden INTEGER NOT NULL,
+  estado TEXT NOT NULL DEFAULT 'pendiente',
+  distancia REAL,
+  calificacion REAL,
+  expira_at TEXT NOT NULL,
+  respondida_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX ofertas_pedido_pedido_idx ON ofertas_pedido (pedido_id, orden);
+CREATE INDEX ofertas_pedido_mensajero_idx ON ofertas_pedido (mensajero_id, estado);
+CREATE INDEX ofertas_pedido_estado_idx ON ofertas_pedido (estado, expira_at);
+
+ALTER TABLE pedidos ADD COLUMN despacho_estado TEXT;
+ALTER TABLE pedidos ADD COLUMN despacho_at TEXT;
@@ -0,0 +1,19 @@
+-- Disponibilidad de los mensajeros: en línea o desconectado, último latido y
+-- turnos declarados
+ALTER TABLE mensajeros ADD COLUMN disponibilidad TEXT NOT NULL DEFAULT 'desconectado';
+ALTER TABLE mensajeros ADD COLUMN en_linea_desde TEXT;
+ALTER TABLE mensajeros ADD COLUMN ultimo_latido_at TEXT;
+
+CREATE INDEX mensajeros_disponibilidad_idx ON mensajeros (disponibilidad, ultimo_latido_at);
+
+CREATE TABLE turnos_mensajero (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mensajero_id TEXT NOT NULL,
+  inicio TEXT NOT NULL,
+  fin TEXT NOT NULL,
+  finalizado_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX turnos_mensajero_mensajero_idx ON turnos_mensajero (mensajero_id, inicio);
+CREATE INDEX turnos_mensajero_fin_idx ON turnos_mensajero (finalizado_at, fin);
@@ -0,0 +1,16 @@
+// Repositorio del registro de auditoría (solo inserciones y consultas)
+function crearRepositorioAuditoria(driver) {
+  const auditoria = () => driver.tabla('auditoria');
+
+  return {
+    registrar: entrada => auditoria().insertar(entrada),
+    listar: (filtros, opciones = {}) => auditoria().buscar(filtros, {
+      orden: { columna: 'id', descendente: true },
+      ...opciones
+    })
+  };
+}
+
+module.exports = {
+  crearRepositorioAuditoria
+};
@@ -0,0 +1,57 @@
+// Repositorio de calificaciones entre clientes y mensajeros
+function crearRepositorioCalificaciones(driver) {
+  const calificaciones = () => driver.tabla('calificaciones');
+
+  // Agrupa las puntuaciones por persona calificada: { id: { promedio, total } }
+  function resumir(filas) {
+    const sumas = {};
+    for (const { calificado_id: id, puntuacion } of filas) {
+      sumas[id] = sumas[id] || { suma: 0, total: 0 };
+      sumas[id].suma += puntuacion;
+      sumas[id].total++;
+    }
+
+    const resumen = {};
+    for (const [id, { suma, total }] of Object.entries(sumas)) {
+      resumen[id] = { promedio: Math.round(suma / total * 100) / 100, total };
+    }
+    return resumen;
+  }
+
+  return {
+    crear: calificacion => calificaciones().insertar(calificacion),
+    listarPorPedido: pedidoId => calificaciones().buscar(
+      { pedido_id: pedidoId },
+      { orden: { columna: 'created_at' } }
+    ),
+    listarRecibidas: (calificadoId, opciones = {}) => calificaciones().buscar(
+      { calificado_id: calificadoId },
+      { orden: { columna: 'created_at', descendente: true }, ...opciones }
+    ),
+    listarEmitidas: autorId => calificaciones().buscar(
+      { autor_id: autorId },
+      { orden: { columna: 'created_at', descendente: true } }
+    ),
+
+    async promedio(calificadoId) {
+      const filas = await calificaciones().buscar(
+        { calificado_id: calificadoId },
+        { columnas: ['calificado_id', 'puntuacion'] }
+      );
+      return resumir(filas)[calificadoId] || { promedio: null, total: 0 };
+    },
+
+    // Promedios de varias personas a la vez (o de todas las de un rol si no se indican ids)
+    async promedios({ ids, rol } = {}) {
+      const filas = await calificaciones().buscar(
+        { ...(ids && { calificado_id: { in: ids } }), ...(rol && { calificado_rol: rol }) },
+        { columnas: ['calificado_id', 'puntuacion'] }
+      );
+      return resumir(filas);
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioCalificaciones
+};
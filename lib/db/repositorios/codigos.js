@@ -0,0 +1,22 @@
+// Repositorio de códigos de verificación de un solo uso
+function crearRepositorioCodigos(driver) {
+  const codigos = () => driver.tabla('codigos_verificacion');
+
+  return {
+    // Un código nuevo sustituye al pendiente con la misma clave
+    guardar: codigo => codigos().upsert(codigo, 'clave'),
+    obtener: clave => codigos().obtener({ clave }),
+    eliminar: clave => codigos().eliminar({ clave }),
+    eliminarDePersona: personaId => codigos().eliminar({ persona_id: personaId }),
+
+    // Cuenta un intento fallido si nadie lo contó a la vez; devuelve null si no
+    async sumarIntento(clave, intentos) {
+      const [codigo] = await codigos().actualizar({ clave, intentos }, { intentos: intentos + 1 });
+      return codigo || null;
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioCodigos
+};
@@ -0,0 +1,22 @@
+// Repositorio de la configuración que los administradores cambian sin reiniciar
+function crearRepositorioConfiguracion(driver) {
+  const configuracion = () => driver.tabla('configuracion');
+
+  return {
+    async obtener(clave) {
+      const fila = await configuracion().obtener({ clave });
+      return fila ? fila.valor : null;
+    },
+
+    guardar: (clave, valor, actorId) => configuracion().upsert({
+      clave,
+      valor,
+      actualizado_por: actorId,
+      updated_at: new Date().toISOString()
+    }, 'clave')
+  };
+}
+
+module.exports = {
+  crearRepositorioConfiguracion
+};
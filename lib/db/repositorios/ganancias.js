@@ -0,0 +1,52 @@
+// Repositorio del libro de ganancias de los mensajeros y sus liquidaciones
+function crearRepositorioGanancias(driver) {
+  const ganancias = () => driver.tabla('ganancias');
+  const liquidaciones = () => driver.tabla('liquidaciones');
+
+  return {
+    registrar: entrada => ganancias().insertar(entrada),
+    obtenerPorPedido: pedidoId => ganancias().obtener({ pedido_id: pedidoId }),
+    listar: (filtros, opciones = {}) => ganancias().buscar(filtros, {
+      orden: { columna: 'created_at' },
+      ...opciones
+    }),
+
+    // Marca como liquidadas las ganancias pendientes del mensajero hasta la fecha
+    // indicada. La liquidación se crea primero para que las entradas que lleguen
+    // mientras tanto no se cuenten sin quedar marcadas. Devuelve null si no había nada pendiente.
+    async liquidar(mensajeroId, hasta, datos) {
+      const liquidacion = await liquidaciones().insertar({
+        ...datos,
+        mensajero_id: mensajeroId,
+        hasta,
+        importe: 0,
+        entregas: 0
+      });
+
+      const marcadas = await ganancias().actualizar(
+        { mensajero_id: mensajeroId, liquidacion_id: null, created_at: { lte: hasta } },
+        { liquidacion_id: liquidacion.id }
+      );
+
+      if (marcadas.length === 0) {
+        await liquidaciones().eliminar({ id: liquidacion.id });
+        return null;
+      }
+
+      const importe = marcadas.reduce((total, g) => total + Number(g.importe_mensajero), 0);
+      const [actualizada] = await liquidaciones().actualizar(
+        { id: liquidacion.id },
+        { importe: Math.round(importe * 100) / 100, entregas: marcadas.length }
+      );
+      return actualizada;
+    },
+
+    listarLiquidaciones: filtros => liquidaciones().buscar(filtros, {
+      orden: { columna: 'created_at', descendente: true }
+    })
+  };
+}
+
+module.exports = {
+  crearRepositorioGanancias
+};
@@ -0,0 +1,65 @@
+// Almacén compartido de contadores para lib/limites.js
+// Los incrementos son condicionales sobre el valor leído, así que dos
+// instancias que cuentan a la vez no pierden incrementos.
+const MAX_REINTENTOS = 5;
+
+function crearRepositorioLimites(driver) {
+  const limites = () => driver.tabla('limites');
+  const aEntrada = fila => ({ cuenta: fila.cuenta, expiraAt: new Date(fila.expira_at).getTime() });
+
+  return {
+    descripcion: 'compartido (base de datos)',
+
+    async incrementar(clave, ventanaMs) {
+      for (let intento = 0; intento < MAX_REINTENTOS; intento++) {
+        const fila = await limites().obtener({ clave });
+        const ahora = Date.now();
+
+        if (!fila) {
+          try {
+            return aEntrada(await limites().insertar({
+              clave,
+              cuenta: 1,
+              expira_at: new Date(ahora + ventanaMs).toISOString()
+            }));
+          } catch (error) {
+            if (error.code === 'DUPLICADO') continue;
+            throw error;
+          }
+        }
+
+        // Una ventana caducada se reinicia; si no, se suma uno
+        const caducada = new Date(fila.expira_at).getTime() <= ahora;
+        const [actualizada] = await limites().actualizar(
+          { clave, cuenta: fila.cuenta, expira_at: fila.expira_at },
+          caducada
+            ? { cuenta: 1, expira_at: new Date(ahora + ventanaMs).toISOString() }
+            : { cuenta: fila.cuenta + 1 }
+        );
+        if (actualizada) return aEntrada(actualizada);
+      }
+
+      throw new Error(`No se pudo incrementar el contador ${clave}`);
+    },
+
+    async obtener(clave) {
+      const fila = await limites().obtener({ clave });
+      if (!fila || new Date(fila.expira_at).getTime() <= Date.now()) return null;
+      return aEntrada(fila);
+    },
+
+    async fijar(clave, cuenta, ttlMs) {
+      await limites().upsert({ clave, cuenta, expira_at: new Date(Date.now() + ttlMs).toISOString() }, 'clave');
+    },
+
+    async eliminar(clave) {
+      await limites().eliminar({ clave });
+    },
+
+    purgarCaducados: () => limites().eliminar({ expira_at: { lte: new Date().toISOString() } })
+  };
+}
+
+module.exports = {
+  crearRepositorioLimites
+};
@@ -0,0 +1,37 @@
+// Repositorio de preferencias de notificación y suscripciones Web Push
+function crearRepositorioNotificaciones(driver) {
+  const preferencias = () => driver.tabla('preferencias_notificacion');
+  const suscripciones = () => driver.tabla('suscripciones_push');
+
+  return {
+    async obtenerPreferencias(personaId) {
+      const fila = await preferencias().obtener({ persona_id: personaId });
+      return fila ? fila.preferencias : {};
+    },
+
+    async guardarPreferencias(personaId, valores) {
+      const fila = await preferencias().upsert({
+        persona_id: personaId,
+        preferencias: valores,
+        updated_at: new Date().toISOString()
+      }, 'persona_id');
+      return fila.preferencias;
+    },
+
+    listarSuscripcionesPush: personaId => suscripciones().buscar({ persona_id: personaId }),
+    guardarSuscripcionPush: suscripcion => suscripciones().upsert(suscripcion, 'endpoint'),
+    eliminarSuscripcionPush: (endpoint, personaId) => suscripciones().eliminar({
+      endpoint,
+      ...(personaId && { persona_id: personaId })
+    }),
+
+    async eliminarDePersona(personaId) {
+      await preferencias().eliminar({ persona_id: personaId });
+      await suscripciones().eliminar({ persona_id: personaId });
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioNotificaciones
+};
@@ -0,0 +1,29 @@
+// Repositorio de las ofertas de pedidos del despacho automático
+function crearRepositorioOfertas(driver) {
+  const ofertas = () => driver.tabla('ofertas_pedido');
+
+  return {
+    crear: oferta => ofertas().insertar(oferta),
+    obtener: id => ofertas().obtener({ id }),
+    listar: (filtros, opciones = {}) => ofertas().buscar(filtros, {
+      orden: { columna: 'id', descendente: true },
+      ...opciones
+    }),
+    listarDePedido: pedidoId => ofertas().buscar({ pedido_id: pedidoId }, { orden: { columna: 'orden' } }),
+
+    // Actualiza la oferta solo si sigue cumpliendo las condiciones; devuelve null si no
+    async actualizarSi(id, condiciones, cambios) {
+      const [oferta] = await ofertas().actualizar({ ...condiciones, id }, cambios);
+      return oferta || null;
+    },
+
+    anularPendientes: (filtros, fecha) => ofertas().actualizar(
+      { ...filtros, estado: 'pendiente' },
+      { estado: 'anulada', respondida_at: fecha }
+    )
+  };
+}
+
+module.exports = {
+  crearRepositorioOfertas
+};
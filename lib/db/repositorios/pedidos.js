@@ -0,0 +1,46 @@
+// Repositorio de pedidos y de los registros asociados a cada pedido
+function crearRepositorioPedidos(driver) {
+  const pedidos = () => driver.tabla('pedidos');
+
+  return {
+    obtener: id => pedidos().obtener({ id }),
+    crear: pedido => pedidos().insertar(pedido),
+    listar: (filtros, opciones) => pedidos().buscar(filtros, opciones),
+
+    async actualizar(id, cambios) {
+      const [pedido] = await pedidos().actualizar({ id }, cambios);
+      return pedido || null;
+    },
+
+    // Actualiza solo si el pedido sigue cumpliendo las condiciones; devuelve null si no
+    async actualizarSi(id, condiciones, cambios) {
+      const [pedido] = await pedidos().actualizar({ ...condiciones, id }, cambios);
+      return pedido || null;
+    },
+
+    // Quita nombre y teléfono de una cuenta eliminada de sus pedidos, que se conservan
+    async anonimizarParticipante(personaId) {
+      await pedidos().actualizar({ usuario_id: personaId }, { usuario_nombre: null, usuario_telefono: null });
+      await pedidos().actualizar({ mensajero_id: personaId }, { mensajero_nombre: null, mensajero_telefono: null });
+    },
+
+    registrarTransicion: transicion => driver.tabla('pedido_transiciones').insertar(transicion),
+
+    registrarIntentoFallido: intento => driver.tabla('pedido_intentos_fallidos').insertar(intento),
+    contarIntentosFallidos: (pedidoId, motivo) => driver.tabla('pedido_intentos_fallidos').contar({ pedido_id: pedidoId, motivo }),
+    listarIntentosFallidos: pedidoId => driver.tabla('pedido_intentos_fallidos').buscar(
+      { pedido_id: pedidoId },
+      { orden: { columna: 'created_at', descendente: true } }
+    ),
+
+    registrarUbicacion: ubicacion => driver.tabla('pedido_ubicaciones').insertar(ubicacion),
+    listarUbicaciones: pedidoId => driver.tabla('pedido_ubicaciones').buscar(
+      { pedido_id: pedidoId },
+      { columnas: ['lat', 'lng', 'created_at'], orden: { columna: 'created_at' } }
+    )
+  };
+}
+
+module.exports = {
+  crearRepositorioPedidos
+};
@@ -0,0 +1,27 @@
+// Repositorio de usuarios y mensajeros; ambas tablas comparten la misma forma
+function crearRepositorioPersonas(driver, nombreTabla) {
+  const tabla = () => driver.tabla(nombreTabla);
+
+  return {
+    obtener: id => tabla().obtener({ id }),
+    buscarPorTelefono: telefono => tabla().obtener({ telefono }),
+    listar: (filtros, opciones) => tabla().buscar(filtros, opciones),
+    crear: datos => tabla().insertar(datos),
+    eliminar: id => tabla().eliminar({ id }),
+
+    async actualizar(id, cambios) {
+      const [fila] = await tabla().actualizar({ id }, cambios);
+      return fila || null;
+    },
+
+    // Actualiza solo si la fila sigue cumpliendo las condiciones; devuelve null si no
+    async actualizarSi(id, condiciones, cambios) {
+      const [fila] = await tabla().actualizar({ ...condiciones, id }, cambios);
+      return fila || null;
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioPersonas
+};
@@ -0,0 +1,72 @@
+// Repositorio de sesiones (refresh tokens) y versiones de token por cuenta
+const MAX_REINTENTOS = 5;
+
+function crearRepositorioSesiones(driver) {
+  const sesiones = () => driver.tabla('sesiones');
+  const versiones = () => driver.tabla('versiones_token');
+
+  return {
+    crear: sesion => sesiones().insertar(sesion),
+    obtener: id => sesiones().obtener({ id }),
+    obtenerPorHash: tokenHash => sesiones().obtener({ token_hash: tokenHash }),
+    listarDePersona: personaId => sesiones().buscar(
+      { persona_id: personaId },
+      { columnas: ['id', 'ip', 'agente', 'expira_at', 'rotado_at', 'revocado_at', 'created_at'], orden: { columna: 'created_at' } }
+    ),
+
+    // Solo una petición puede rotar el token; devuelve null si ya estaba rotado o revocado
+    async marcarRotada(id, fecha) {
+      const [sesion] = await sesiones().actualizar(
+        { id, rotado_at: null, revocado_at: null },
+        { rotado_at: fecha }
+      );
+      return sesion || null;
+    },
+
+    revocarFamilia: (familia, fecha) => sesiones().actualizar(
+      { familia, revocado_at: null },
+      { revocado_at: fecha }
+    ),
+    revocarDePersona: (personaId, fecha) => sesiones().actualizar(
+      { persona_id: personaId, revocado_at: null },
+      { revocado_at: fecha }
+    ),
+
+    async obtenerVersion(personaId) {
+      const fila = await versiones().obtener({ persona_id: personaId });
+      return fila ? fila.version : 0;
+    },
+
+    // La subida se condiciona a la versión leída; si otra revocación la cambió
+    // a la vez se vuelve a leer, de modo que cada llamada suma exactamente una
+    async incrementarVersion(personaId) {
+      for (let intento = 0; intento < MAX_REINTENTOS; intento++) {
+        const fila = await versiones().obtener({ persona_id: personaId });
+        const ahora = new Date().toISOString();
+
+        if (!fila) {
+          try {
+            const creada = await versiones().insertar({ persona_id: personaId, version: 1, updated_at: ahora });
+            return creada.version;
+          } catch (error) {
+            // Otra revocación creó la fila entre la lectura y la inserción
+            if (error.code !== 'DUPLICADO') throw error;
+            continue;
+          }
+        }
+
+        const [actualizada] = await versiones().actualizar(
+          { persona_id: personaId, version: fila.version },
+          { version: fila.version + 1, updated_at: ahora }
+        );
+        if (actualizada) return actualizada.version;
+      }
+
+      throw new Error(`No se pudo incrementar la versión de token de ${personaId}`);
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioSesiones
+};
@@ -0,0 +1,35 @@
+// Repositorio de las tablas de tarifas
+const COLUMNAS_VEHICULO = ['tipo_vehiculo', 'tarifa_base', 'precio_km', 'tarifa_minima'];
+const COLUMNAS_RECARGO = ['nombre', 'hora_inicio', 'hora_fin', 'porcentaje'];
+
+const soloColumnasRecargo = recargo => Object.fromEntries(COLUMNAS_RECARGO.map(c => [c, recargo[c]]));
+
+function crearRepositorioTarifas(driver) {
+  const vehiculos = () => driver.tabla('tarifas_vehiculo');
+  const recargos = () => driver.tabla('tarifas_recargos');
+
+  return {
+    listarVehiculos: () => vehiculos().buscar({}, { columnas: COLUMNAS_VEHICULO }),
+    guardarVehiculo: tarifa => vehiculos().upsert(tarifa, 'tipo_vehiculo'),
+    eliminarVehiculo: tipoVehiculo => vehiculos().eliminar({ tipo_vehiculo: tipoVehiculo }),
+
+    listarRecargos: () => recargos().buscar({}, { columnas: COLUMNAS_RECARGO }),
+
+    // Sustituye la lista completa de recargos horarios en un solo paso, para
+    // que ninguna cotización vea la tabla vacía o a medias; devuelve los guardados
+    async reemplazarRecargos(lista) {
+      const filas = lista.map(soloColumnasRecargo);
+
+      // Supabase lo hace con una función de la base de datos; SQLite, en un solo exec
+      const guardados = driver.rpc
+        ? await driver.rpc('reemplazar_recargos', { recargos: filas })
+        : await recargos().reemplazarTodo(filas);
+
+      return guardados.map(soloColumnasRecargo);
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioTarifas
+};
@@ -0,0 +1,24 @@
+// Repositorio de los turnos que declaran los mensajeros
+function crearRepositorioTurnos(driver) {
+  const turnos = () => driver.tabla('turnos_mensajero');
+
+  return {
+    crear: turno => turnos().insertar(turno),
+    obtener: id => turnos().obtener({ id }),
+    eliminar: id => turnos().eliminar({ id }),
+    listar: (filtros, opciones = {}) => turnos().buscar(filtros, {
+      orden: { columna: 'inicio' },
+      ...opciones
+    }),
+
+    // Actualiza solo si el turno sigue cumpliendo las condiciones; devuelve null si no
+    async actualizarSi(id, condiciones, cambios) {
+      const [turno] = await turnos().actualizar({ ...condiciones, id }, cambios);
+      return turno || null;
+    }
+  };
+}
+
+module.exports = {
+  crearRepositorioTurnos
+};
@@ -0,0 +1,399 @@
+// Driver de almacenamiento sobre SQLite para desarrollo, demos y pruebas
+// Implementa la misma interfaz que el driver de Supabase: tabla(nombre) para
+// consultas y auth para el registro e inicio de sesión (sustituto local de
+// Supabase Auth con contraseñas cifradas con bcrypt).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const bcrypt = require('bcrypt');
+const { errorDuplicado } = require('./errores');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migraciones-sqlite');
+const OPERADORES = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function abrir(ruta) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(ruta, error => (error ? reject(error) : resolve(db)));
+  });
+}
+
+// Envoltorio con promesas sobre la API de callbacks de sqlite3
+function crearConexion(db) {
+  const ejecutar = metodo => (sql, parametros = []) => new Promise((resolve, reject) => {
+    db[metodo](sql, parametros, function (error, resultado) {
+      if (error) return reject(traducirError(error));
+      resolve(metodo === 'run' ? this : resultado);
+    });
+  });
+
+  return {
+    all: ejecutar('all'),
+    get: ejecutar('get'),
+    run: ejecutar('run'),
+    exec: sql => new Promise((resolve, reject) => {
+      db.exec(sql, error => (error ? reject(traducirError(error)) : resolve()));
+    }),
+    close: () => new Promise((resolve, reject) => {
+      db.close(error => (error ? reject(error) : resolve()));
+    })
+  };
+}
+
+function traducirError(error) {
+  const unico = /UNIQUE constraint failed: \w+\.(\w+)/.exec(error.message);
+  if (error.code === 'SQLITE_CONSTRAINT' && unico) {
+    return errorDuplicado(unico[1], error);
+  }
+  return error;
+}
+
+// Aplica en orden los scripts de migraciones-sqlite que aún no se hayan ejecutado
+async function migrar(conexion) {
+  await conexion.exec(`
+    CREATE TABLE IF NOT EXISTS migraciones (
+      nombre TEXT PRIMARY KEY,
+      aplicada_at TEXT NOT NULL
+    )
+  `);
+
+  const aplicadas = new Set((await conexion.all('SELECT nombre FROM migraciones')).map(m => m.nombre));
+  const pendientes = fs.readdirSync(DIRECTORIO_MIGRACIONES)
+    .filter(archivo => archivo.endsWith('.sql') && !aplicadas.has(archivo))
+    .sort();
+
+  for (const archivo of pendientes) {
+    const sql = fs.readFileSync(path.join(DIRECTORIO_MIGRACIONES, archivo), 'utf8');
+    await conexion.exec('BEGIN');
+    try {
+      await conexion.exec(sql);
+      await conexion.run('INSERT INTO migraciones (nombre, aplicada_at) VALUES (?, ?)', [archivo, new Date().toISOString()]);
+      await conexion.exec('COMMIT');
+      console.log(`Migración SQLite aplicada: ${archivo}`);
+    } catch (error) {
+      await conexion.exec('ROLLBACK');
+      throw new Error(`Error aplicando la migración ${archivo}: ${error.message}`);
+    }
+  }
+
+  return pendientes;
+}
+
+// Columnas de cada tabla con su tipo declarado (JSON y BOOLEAN se convierten)
+async function leerEsquema(conexion) {
+  const tablas = await conexion.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+  );
+  const esquema = {};
+  for (const { name } of tablas) {
+    const columnas = await conexion.all(`PRAGMA table_info("${name}")`);
+    esquema[name] = Object.fromEntries(columnas.map(c => [c.name, c.type.toUpperCase()]));
+  }
+  return esquema;
+}
+
+function crearTabla(conexion, nombre, columnas) {
+  const comprobarColumna = columna => {
+    if (!columnas[columna]) {
+      throw new Error(`Columna desconocida "${columna}" en la tabla ${nombre}`);
+    }
+    return `"${columna}"`;
+  };
+
+  const aSqlite = (columna, valor) => {
+    if (valor === undefined || valor === null) return null;
+    if (columnas[columna] === 'JSON') return JSON.stringify(valor);
+    if (columnas[columna] === 'BOOLEAN') return valor ? 1 : 0;
+    if (valor instanceof Date) return valor.toISOString();
+    return valor;
+  };
+
+  const desdeSqlite = fila => {
+    if (!fila) return fila;
+    for (const [columna, valor] of Object.entries(fila)) {
+      if (valor === null) continue;
+      if (columnas[columna] === 'JSON') fila[columna] = JSON.parse(valor);
+      else if (columnas[columna] === 'BOOLEAN') fila[columna] = valor === 1;
+    }
+    return fila;
+  };
+
+  const construirCondiciones = (filtros = {}) => {
+    const condiciones = [];
+    const parametros = [];
+
+    for (const [columna, condicion] of Object.entries(filtros)) {
+      // $o: lista de filtros alternativos unidos con OR
+      if (columna === '$o') {
+        const alternativas = condicion.map(construirCondiciones);
+        condiciones.push(`(${alternativas.map(a => `(${a.condiciones.join(' AND ') || '1'})`).join(' OR ')})`);
+        alternativas.forEach(a => parametros.push(...a.parametros));
+        continue;
+      }
+
+      const col = comprobarColumna(columna);
+
+      if (condicion === null) {
+        condiciones.push(`${col} IS NULL`);
+      } else if (typeof condicion === 'object' && !(condicion instanceof Date)) {
+        for (const [operador, valor] of Object.entries(condicion)) {
+          if (operador === 'in') {
+            condiciones.push(`${col} IN (${valor.map(() => '?').join(', ')})`);
+            parametros.push(...valor.map(v => aSqlite(columna, v)));
+          } else if (operador === 'neq' && valor === null) {
+            condiciones.push(`${col} IS NOT NULL`);
+          } else if (OPERADORES[operador]) {
+            condiciones.push(`${col} ${OPERADORES[operador]} ?`);
+            parametros.push(aSqlite(columna, valor));
+          } else {
+            throw new Error(`Operador de filtro desconocido: ${operador}`);
+          }
+        }
+      } else {
+        condiciones.push(`${col} = ?`);
+        parametros.push(aSqlite(columna, condicion));
+      }
+    }
+
+    return { condiciones, parametros };
+  };
+
+  const construirWhere = filtros => {
+    const { condiciones, parametros } = construirCondiciones(filtros);
+    return {
+      sql: condiciones.length > 0 ? ` WHERE ${condiciones.join(' AND ')}` : '',
+      parametros
+    };
+  };
+
+  const construirOrden = orden => {
+    if (!orden) return '';
+    const criterios = Array.isArray(orden) ? orden : [orden];
+    return ' ORDER BY ' + criterios
+      .map(({ columna, descendente }) => `${comprobarColumna(columna)} ${descendente ? 'DESC' : 'ASC'}`)
+      .join(', ');
+  };
+
+  const insertarUna = async (fila, conflicto) => {
+    const entradas = Object.entries(fila).filter(([, valor]) => valor !== undefined);
+    const cols = entradas.map(([columna]) => comprobarColumna(columna));
+    const valores = entradas.map(([columna, valor]) => aSqlite(columna, valor));
+    let sql = `INSERT INTO "${nombre}" (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`;
+
+    if (conflicto) {
+      const actualizables = cols.filter(c => c !== `"${conflicto}"`);
+      sql += ` ON CONFLICT (${comprobarColumna(conflicto)}) DO ` + (actualizables.length > 0
+        ? `UPDATE SET ${actualizables.map(c => `${c} = excluded.${c}`).join(', ')}`
+        : 'NOTHING');
+    }
+
+    return desdeSqlite(await conexion.get(`${sql} RETURNING *`, valores));
+  };
+
+  return {
+    async buscar(filtros = {}, { columnas: seleccion, orden, limite, desplazamiento } = {}) {
+      const where = construirWhere(filtros);
+      const cols = seleccion ? seleccion.map(comprobarColumna).join(', ') : '*';
+      let sql = `SELECT ${cols} FROM "${nombre}"${where.sql}${construirOrden(orden)}`;
+      if (limite !== undefined) sql += ` LIMIT ${Number(limite)}`;
+      if (desplazamiento !== undefined) sql += `${limite === undefined ? ' LIMIT -1' : ''} OFFSET ${Number(desplazamiento)}`;
+      const filas = await conexion.all(sql, where.parametros);
+      return filas.map(desdeSqlite);
+    },
+
+    async obtener(filtros, opciones = {}) {
+      const [fila] = await this.buscar(filtros, { ...opciones, limite: 1 });
+      return fila || null;
+    },
+
+    async contar(filtros = {}) {
+      const where = construirWhere(filtros);
+      const { total } = await conexion.get(`SELECT COUNT(*) AS total FROM "${nombre}"${where.sql}`, where.parametros);
+      return total;
+    },
+
+    // Acepta una fila o una lista y devuelve lo insertado con la misma forma
+    async insertar(filas) {
+      if (!Array.isArray(filas)) return insertarUna(filas);
+      const insertadas = [];
+      for (const fila of filas) insertadas.push(await insertarUna(fila));
+      return insertadas;
+    },
+
+    async upsert(fila, clave) {
+      return insertarUna(fila, clave);
+    },
+
+    // Devuelve las filas actualizadas; una lista vacía indica que ningún registro cumplía los filtros
+    async actualizar(filtros, cambios) {
+      const entradas = Object.entries(cambios).filter(([, valor]) => valor !== undefined);
+      const set = entradas.map(([columna]) => `${comprobarColumna(columna)} = ?`).join(', ');
+      const where = construirWhere(filtros);
+      const filas = await conexion.all(
+        `UPDATE "${nombre}" SET ${set}${where.sql} RETURNING *`,
+        [...entradas.map(([columna, valor]) => aSqlite(columna, valor)), ...where.parametros]
+      );
+      return filas.map(desdeSqlite);
+    },
+
+    async eliminar(filtros) {
+      const where = construirWhere(filtros);
+      const filas = await conexion.all(`DELETE FROM "${nombre}"${where.sql} RETURNING *`, where.parametros);
+      return filas.map(desdeSqlite);
+    },
+
+    // Sustituye todas las filas de la tabla y devuelve las guardadas. Las nuevas
+    // se preparan en una tabla temporal y el cambio se hace en un solo exec, que
+    // sqlite3 ejecuta en exclusiva: ninguna otra consulta ve la tabla vacía o a
+    // medias, y si una fila no cumple las restricciones se deshace todo
+    async reemplazarTodo(filas) {
+      const cols = [...new Set(filas.flatMap(Object.keys))].map(comprobarColumna);
+      const temporal = `temp."reemplazo_${crypto.randomBytes(6).toString('hex')}"`;
+
+      await conexion.exec(`CREATE TABLE ${temporal} AS SELECT * FROM "${nombre}" WHERE 0`);
+      try {
+        for (const fila of filas) {
+          const entradas = Object.entries(fila);
+          await conexion.run(
+            `INSERT INTO ${temporal} (${entradas.map(([columna]) => comprobarColumna(columna)).join(', ')}) ` +
+            `VALUES (${entradas.map(() => '?').join(', ')})`,
+            entradas.map(([columna, valor]) => aSqlite(columna, valor))
+          );
+        }
+
+        try {
+          await conexion.exec(`
+            BEGIN;
+            DELETE FROM "${nombre}";
+            ${cols.length > 0 ? `INSERT OR ROLLBACK INTO "${nombre}" (${cols.join(', ')}) SELECT ${cols.join(', ')} FROM ${temporal};` : ''}
+            COMMIT;
+          `);
+        } catch (error) {
+          // INSERT OR ROLLBACK ya deshace la transacción; esto cubre cualquier otro fallo
+          await conexion.exec('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      } finally {
+        await conexion.exec(`DROP TABLE IF EXISTS ${temporal}`);
+      }
+
+      return this.buscar({});
+    }
+  };
+}
+
+// Usuario con la misma forma que devuelve Supabase Auth
+function aUsuarioAuth(fila) {
+  return {
+    id: fila.id,
+    email: fila.correo,
+    user_metadata: fila.metadatos || {},
+    confirmed_at: fila.confirmed_at,
+    created_at: fila.created_at
+  };
+}
+
+function crearAuthLocal(tablaAuth) {
+  return {
+    // Las cuentas locales quedan confirmadas al registrarse
+    async registrar({ correo, contrasena, metadatos }) {
+      const ahora = new Date().toISOString();
+      const fila = await tablaAuth().insertar({
+        id: crypto.randomUUID(),
+        correo: correo.toLowerCase(),
+        contrasena_hash: await bcrypt.hash(contrasena, 10),
+        metadatos,
+        confirmed_at: ahora,
+        created_at: ahora
+      });
+      console.log(`Auth local: cuenta ${fila.correo} creada y confirmada`);
+      return aUsuarioAuth(fila);
+    },
+
+    async iniciarSesion(correo, contrasena) {
+      const fila = await tablaAuth().obtener({ correo: correo.toLowerCase() });
+      if (!fila || !(await bcrypt.compare(contrasena, fila.contrasena_hash))) {
+        return null;
+      }
+      return aUsuarioAuth(fila);
+    },
+
+    async obtenerUsuario(id) {
+      const fila = await tablaAuth().obtener({ id });
+      return fila ? aUsuarioAuth(fila) : null;
+    },
+
+    // cambios: correo, contrasena y metadatos (se combinan con los existentes)
+    async actualizarUsuario(id, { correo, contrasena, metadatos }) {
+      const fila = await tablaAuth().obtener({ id });
+      if (!fila) throw new Error(`Cuenta ${id} no encontrada`);
+
+      const [actualizada] = await tablaAuth().actualizar({ id }, {
+        correo: correo ? correo.toLowerCase() : undefined,
+        contrasena_hash: contrasena ? await bcrypt.hash(contrasena, 10) : undefined,
+        metadatos: metadatos ? { ...fila.metadatos, ...metadatos } : undefined
+      });
+      return aUsuarioAuth(actualizada);
+    },
+
+    async eliminarUsuario(id) {
+      await tablaAuth().eliminar({ id });
+    },
+
+    async listarUsuarios() {
+      const filas = await tablaAuth().buscar({}, { orden: { columna: 'created_at' } });
+      return filas.map(aUsuarioAuth);
+    },
+
+    // Sin servidor de correo: el enlace se muestra en la consola
+    async enviarRecuperacion(correo, redireccion) {
+      const fila = await tablaAuth().obtener({ correo: correo.toLowerCase() });
+      if (fila) {
+        console.log(`Auth local: recuperación de contraseña para ${fila.correo} -> ${redireccion}`);
+      }
+    }
+  };
+}
+
+function crearDriverSqlite({ ruta }) {
+  let conexion = null;
+  let esquema = {};
+
+  const tabla = nombre => {
+    if (!conexion) {
+      throw new Error('La base de datos SQLite no se ha iniciado');
+    }
+    if (!esquema[nombre]) {
+      throw new Error(`Tabla desconocida: ${nombre}`);
+    }
+    return crearTabla(conexion, nombre, esquema[nombre]);
+  };
+
+  return {
+    descripcion: `SQLite (${ruta})`,
+
+    async iniciar() {
+      if (ruta !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(ruta)), { recursive: true });
+      }
+      conexion = crearConexion(await abrir(ruta));
+      await conexion.exec('PRAGMA foreign_keys = ON');
+      await conexion.exec('PRAGMA journal_mode = WAL');
+      const aplicadas = await migrar(conexion);
+      esquema = await leerEsquema(conexion);
+      return aplicadas;
+    },
+
+    async cerrar() {
+      if (conexion) await conexion.close();
+      conexion = null;
+    },
+
+    tabla,
+    auth: crearAuthLocal(() => tabla('auth_usuarios'))
+  };
+}
+
+module.exports = {
+  crearDriverSqlite
+};
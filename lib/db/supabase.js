@@ -0,0 +1,242 @@
+// Driver de almacenamiento sobre Supabase (PostgreSQL + Supabase Auth)
+const { createClient } = require('@supabase/supabase-js');
+const { errorDuplicado } = require('./errores');
+
+function traducirError(error) {
+  if (error.code === '23505') { // Violación de unique constraint
+    const clave = /Key \((\w+)\)/.exec(error.details || '');
+    return errorDuplicado(clave ? clave[1] : null, error);
+  }
+  const traducido = new Error(error.message);
+  traducido.code = error.code;
+  traducido.causa = error;
+  return traducido;
+}
+
+// Lanza el error de la respuesta de Supabase o devuelve sus datos
+async function resolver(consulta) {
+  const { data, error, count } = await consulta;
+  if (error) throw traducirError(error);
+  return count !== undefined && count !== null ? count : data;
+}
+
+// Valor entre comillas para la sintaxis de filtros de PostgREST
+function valorPostgrest(valor) {
+  const texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  return `"${texto.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Filtros en la sintaxis de texto de PostgREST, usada para las alternativas de $o
+function condicionesPostgrest(filtros) {
+  const partes = [];
+  for (const [columna, condicion] of Object.entries(filtros)) {
+    if (condicion === null) {
+      partes.push(`${columna}.is.null`);
+    } else if (typeof condicion === 'object' && !(condicion instanceof Date)) {
+      for (const [operador, valor] of Object.entries(condicion)) {
+        if (operador === 'in') {
+          partes.push(`${columna}.in.(${valor.map(valorPostgrest).join(',')})`);
+        } else if (operador === 'neq' && valor === null) {
+          partes.push(`${columna}.not.is.null`);
+        } else if (['eq', 'neq', 'gt', 'gte', 'lt', 'lte'].includes(operador)) {
+          partes.push(`${columna}.${operador}.${valorPostgrest(valor)}`);
+        } else {
+          throw new Error(`Operador de filtro desconocido: ${operador}`);
+        }
+      }
+    } else {
+      partes.push(`${columna}.eq.${valorPostgrest(condicion)}`);
+    }
+  }
+  return partes;
+}
+
+function aplicarFiltros(query, filtros = {}) {
+  for (const [columna, condicion] of Object.entries(filtros)) {
+    // $o: lista de filtros alternativos unidos con OR
+    if (columna === '$o') {
+      query = query.or(condicion
+        .map(alternativa => {
+          const partes = condicionesPostgrest(alternativa);
+          return partes.length > 1 ? `and(${partes.join(',')})` : partes[0];
+        })
+        .join(','));
+    } else if (condicion === null) {
+      query = query.is(columna, null);
+    } else if (typeof condicion === 'object' && !(condicion instanceof Date)) {
+      for (const [operador, valor] of Object.entries(condicion)) {
+        if (operador === 'in') {
+          query = query.in(columna, valor);
+        } else if (operador === 'neq' && valor === null) {
+          query = query.not(columna, 'is', null);
+        } else if (['eq', 'neq', 'gt', 'gte', 'lt', 'lte'].includes(operador)) {
+          query = query[operador](columna, valor);
+        } else {
+          throw new Error(`Operador de filtro desconocido: ${operador}`);
+        }
+      }
+    } else {
+      query = query.eq(columna, condicion);
+    }
+  }
+  return query;
+}
+
+function aplicarOrden(query, orden) {
+  if (!orden) return query;
+  for (const { columna, descendente } of Array.isArray(orden) ? orden : [orden]) {
+    query = query.order(columna, { ascending: !descendente });
+  }
+  return query;
+}
+
+function crearTabla(cliente, nombre) {
+  return {
+    async buscar(filtros = {}, { columnas, orden, limite, desplazamiento } = {}) {
+      let query = aplicarFiltros(cliente.from(nombre).select(columnas ? columnas.join(', ') : '*'), filtros);
+      query = aplicarOrden(query, orden);
+      if (desplazamiento !== undefined) {
+        query = query.range(desplazamiento, desplazamiento + (limite !== undefined ? limite : 1000) - 1);
+      } else if (limite !== undefined) {
+        query = query.limit(limite);
+      }
+      return resolver(query);
+    },
+
+    async obtener(filtros, opciones = {}) {
+      const [fila] = await this.buscar(filtros, { ...opciones, limite: 1 });
+      return fila || null;
+    },
+
+    async contar(filtros = {}) {
+      return resolver(aplicarFiltros(cliente.from(nombre).select('*', { count: 'exact', head: true }), filtros));
+    },
+
+    async insertar(filas) {
+      const insertadas = await resolver(cliente.from(nombre).insert(Array.isArray(filas) ? filas : [filas]).select());
+      return Array.isArray(filas) ? insertadas : insertadas[0];
+    },
+
+    async upsert(fila, clave) {
+      const [guardada] = await resolver(cliente.from(nombre).upsert(fila, { onConflict: clave }).select());
+      return guardada;
+    },
+
+    async actualizar(filtros, cambios) {
+      return resolver(aplicarFiltros(cliente.from(nombre).update(cambios), filtros).select());
+    },
+
+    async eliminar(filtros) {
+      return resolver(aplicarFiltros(cliente.from(nombre).delete(), filtros).select());
+    }
+  };
+}
+
+function crearAuthSupabase(cliente, clienteAdmin) {
+  return {
+    async registrar({ correo, contrasena, metadatos, redireccion }) {
+      const { data, error } = await cliente.auth.signUp({
+        email: correo,
+        password: contrasena,
+        options: {
+          data: metadatos,
+          emailRedirectTo: redireccion
+        }
+      });
+
+      if (error) {
+        console.error('Error Supabase:', error);
+        if (error.message.includes('email')) throw errorDuplicado('correo', error);
+        if (error.message.includes('phone')) throw errorDuplicado('telefono', error);
+        throw traducirError(error);
+      }
+
+      return data.user;
+    },
+
+    async iniciarSesion(correo, contrasena) {
+      const { data, error } = await cliente.auth.signInWithPassword({
+        email: correo,
+        password: contrasena
+      });
+
+      if (error) {
+        console.error('Error en Supabase login:', error);
+        return null;
+      }
+
+      return data.user;
+    },
+
+    async obtenerUsuario(id) {
+      const { data, error } = await clienteAdmin.auth.admin.getUserById(id);
+      if (error) {
+        if (error.status === 404) return null;
+        throw traducirError(error);
+      }
+      return data.user;
+    },
+
+    // cambios: correo, contrasena y metadatos (se combinan con los existentes).
+    // El correo nuevo ya se verificó con un código, así que queda confirmado.
+    async actualizarUsuario(id, { correo, contrasena, metadatos }) {
+      const atributos = {};
+      if (correo) Object.assign(atributos, { email: correo, email_confirm: true });
+      if (contrasena) atributos.password = contrasena;
+
+      if (metadatos) {
+        const { data, error } = await clienteAdmin.auth.admin.getUserById(id);
+        if (error) throw traducirError(error);
+        atributos.user_metadata = { ...data.user.user_metadata, ...metadatos };
+      }
+
+      const { data, error } = await clienteAdmin.auth.admin.updateUserById(id, atributos);
+      if (error) {
+        if (error.message.includes('email')) throw errorDuplicado('correo', error);
+        throw traducirError(error);
+      }
+      return data.user;
+    },
+
+    async eliminarUsuario(id) {
+      const { error } = await clienteAdmin.auth.admin.deleteUser(id);
+      if (error) throw traducirError(error);
+    },
+
+    async listarUsuarios() {
+      const { data, error } = await clienteAdmin.auth.admin.listUsers();
+      if (error) throw traducirError(error);
+      return data.users;
+    },
+
+    async enviarRecuperacion(correo, redireccion) {
+      const { error } = await cliente.auth.resetPasswordForEmail(correo, { redirectTo: redireccion });
+      if (error) throw traducirError(error);
+    }
+  };
+}
+
+function crearDriverSupabase({ url, anonKey, serviceKey }) {
+  // Cliente para operaciones normales
+  const cliente = createClient(url, anonKey);
+
+  // Cliente para operaciones administrativas (solo backend)
+  const clienteAdmin = createClient(url, serviceKey);
+
+  return {
+    descripcion: 'Supabase PostgreSQL',
+    // El esquema de Supabase se gestiona con supabase/migrations
+    async iniciar() {
+      return [];
+    },
+    async cerrar() {},
+    tabla: nombre => crearTabla(cliente, nombre),
+    // Funciones de supabase/migrations para operaciones que deben ser atómicas
+    rpc: (nombre, parametros) => resolver(cliente.rpc(nombre, parametros)),
+    auth: crearAuthSupabase(cliente, clienteAdmin)
+  };
+}
+
+module.exports = {
+  crearDriverSupabase
+};
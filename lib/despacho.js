@@ -0,0 +1,224 @@
+// Despacho automático de pedidos
+// Con el modo activo, cada pedido que queda disponible se ofrece a un solo
+// mensajero cada vez, empezando por el mejor situado. Si lo rechaza o la oferta
+// caduca se ofrece al siguiente; si no queda nadie (o se llega al máximo de
+// ofertas) el pedido se "agota" y vuelve a la lista de disponibles para quien
+// lo tome primero. Mientras se ofrece no aparece en esa lista.
+const { distanciaEntre } = require('./geo');
+const { VEHICULOS_ADECUADOS, vehiculoAdecuado, capacidadVehiculo } = require('./vehiculos');
+
+const CLAVE_CONFIGURACION = 'despacho';
+
+const ESTADOS_OFERTA = ['pendiente', 'aceptada', 'rechazada', 'caducada', 'anulada'];
+
+// Puntuación que se supone a quien aún no tiene calificaciones
+const CALIFICACION_NEUTRA = 4;
+
+// Coste de ofrecer el pedido a un candidato (menor es mejor): la distancia a la
+// recogida aumentada un 10 % por cada punto de calificación por debajo de 5 y
+// otro 10 % por cada tamaño de vehículo por encima del que pidió el cliente
+function costeCandidato({ distancia, calificacion, tipoVehiculo }, pedido) {
+  const adecuados = VEHICULOS_ADECUADOS[pedido.tipo_vehiculo] || [];
+  const exceso = Math.max(adecuados.indexOf(tipoVehiculo), 0);
+  return distancia * (1 + (5 - calificacion) * 0.1 + exceso * 0.1);
+}
+
+function crearDespachador({
+  db,
+  bus,
+  actor,
+  pedidosEnRecorrido,
+  activoPorDefecto = false,
+  segundosOferta = 45,
+  radioMetros = 5000,
+  maxOfertas = 10,
+  latidoMaxMs = 2 * 60 * 1000
+}) {
+  async function configuracion() {
+    const guardada = await db.configuracion.obtener(CLAVE_CONFIGURACION);
+    return {
+      activo: guardada && typeof guardada.activo === 'boolean' ? guardada.activo : activoPorDefecto,
+      segundosOferta,
+      radioMetros,
+      maxOfertas
+    };
+  }
+
+  async function estaActivo() {
+    return (await configuracion()).activo;
+  }
+
+  // Al desactivar el modo, los pedidos que se estaban ofreciendo pasan a la
+  // lista de disponibles y sus ofertas pendientes se anulan. Devuelve cuántos
+  async function cambiarActivo(activo, actorId) {
+    await db.configuracion.guardar(CLAVE_CONFIGURACION, { activo }, actorId);
+    if (activo) return 0;
+
+    const liberados = await db.pedidos.listar({ despacho_estado: 'ofertando' }, { columnas: ['id'] });
+    for (const { id } of liberados) {
+      await db.pedidos.actualizarSi(id, { despacho_estado: 'ofertando' }, { despacho_estado: null });
+    }
+    await db.ofertas.anularPendientes({}, new Date().toISOString());
+    return liberados.length;
+  }
+
+  // Mensajeros en línea (con un latido reciente) cerca de la recogida, con
+  // vehículo adecuado, hueco en su recorrido, sin otra oferta pendiente y a los
+  // que aún no se les ofreció este pedido; ordenados por coste
+  async function candidatos(pedido, ofertasPrevias) {
+    if (!pedido.ubicacion_venta) return [];
+
+    const desde = new Date(Date.now() - latidoMaxMs).toISOString();
+    const mensajeros = await db.mensajeros.listar({
+      estado_cuenta: 'activo',
+      disponibilidad: 'en_linea',
+      ultimo_latido_at: { gte: desde }
+    });
+
+    const yaOfrecidos = new Set(ofertasPrevias.map(oferta => oferta.mensajero_id));
+    const pendientes = await db.ofertas.listar({ estado: 'pendiente' }, { columnas: ['mensajero_id'] });
+    const ocupados = new Set(pendientes.map(oferta => oferta.mensajero_id));
+
+    const cercanos = mensajeros
+      .filter(m => m.ultima_ubicacion && vehiculoAdecuado(m.tipo_vehiculo, pedido))
+      .filter(m => !yaOfrecidos.has(m.id) && !ocupados.has(m.id))
+      .map(m => ({ mensajero: m, distancia: distanciaEntre(m.ultima_ubicacion, pedido.ubicacion_venta) }))
+      .filter(({ distancia }) => distancia <= radioMetros);
+
+    if (cercanos.length === 0) return [];
+
+    const promedios = await db.calificaciones.promedios({ ids: cercanos.map(({ mensajero }) => mensajero.id) });
+
+    const lista = [];
+    for (const { mensajero, distancia } of cercanos) {
+      const enRecorrido = await pedidosEnRecorrido(mensajero.id);
+      if (enRecorrido.length >= capacidadVehiculo(mensajero.tipo_vehiculo)) continue;
+
+      const calificacion = promedios[mensajero.id] ? promedios[mensajero.id].promedio : null;
+      lista.push({
+        mensajero,
+        distancia,
+        calificacion,
+        coste: costeCandidato({
+          distancia,
+          calificacion: calificacion ?? CALIFICACION_NEUTRA,
+          tipoVehiculo: mensajero.tipo_vehiculo
+        }, pedido)
+      });
+    }
+
+    return lista.sort((a, b) => a.coste - b.coste);
+  }
+
+  // El pedido deja de ofrecerse y queda para quien lo tome primero
+  async function agotar(pedido) {
+    await db.pedidos.actualizarSi(pedido.id, { estado: 'disponible', despacho_estado: 'ofertando' }, { despacho_estado: 'agotado' });
+    return null;
+  }
+
+  // Ofrece el pedido al mejor candidato que quede. Solo se llama tras cerrar la
+  // oferta anterior (o al empezar), de modo que cada pedido tiene como mucho una
+  // oferta pendiente. Devuelve la oferta creada o null
+  async function ofrecerSiguiente(pedidoId) {
+    const pedido = await db.pedidos.obtener(pedidoId);
+    if (!pedido || pedido.estado !== 'disponible' || pedido.despacho_estado !== 'ofertando') return null;
+
+    const previas = await db.ofertas.listarDePedido(pedidoId);
+    if (previas.length >= maxOfertas || !(await estaActivo())) return agotar(pedido);
+
+    const [elegido] = await candidatos(pedido, previas);
+    if (!elegido) return agotar(pedido);
+
+    const ahora = Date.now();
+    const oferta = await db.ofertas.crear({
+      pedido_id: pedido.id,
+      mensajero_id: elegido.mensajero.id,
+      orden: previas.length + 1,
+      estado: 'pendiente',
+      distancia: Math.round(elegido.distancia),
+      calificacion: elegido.calificacion,
+      expira_at: new Date(ahora + segundosOferta * 1000).toISOString(),
+      created_at: new Date(ahora).toISOString()
+    });
+
+    bus.emitir('pedido.ofrecido', { pedido, oferta, actor });
+    return oferta;
+  }
+
+  // Cierra una oferta pendiente y vigente del mensajero con la respuesta dada
+  // ("aceptada" o "rechazada"); devuelve null si ya no estaba pendiente
+  function responder(ofertaId, mensajeroId, estado) {
+    const ahora = new Date().toISOString();
+    return db.ofertas.actualizarSi(ofertaId, {
+      mensajero_id: mensajeroId,
+      estado: 'pendiente',
+      expira_at: { gt: ahora }
+    }, { estado, respondida_at: ahora });
+  }
+
+  // Anula las ofertas pendientes de un mensajero que deja de estar en línea y
+  // ofrece esos pedidos al siguiente candidato
+  async function retirarMensajero(mensajeroId) {
+    const anuladas = await db.ofertas.anularPendientes({ mensajero_id: mensajeroId }, new Date().toISOString());
+    for (const oferta of anuladas) {
+      await ofrecerSiguiente(oferta.pedido_id);
+    }
+  }
+
+  // Una pasada de revisión: caduca las ofertas vencidas y pasa al siguiente
+  // candidato. También retoma los pedidos que se estaban ofreciendo sin oferta
+  // pendiente (p. ej. si el servidor se reinició entre dos ofertas)
+  async function revisar() {
+    const ahora = new Date().toISOString();
+
+    const vencidas = await db.ofertas.listar({ estado: 'pendiente', expira_at: { lte: ahora } });
+    for (const oferta of vencidas) {
+      const caducada = await db.ofertas.actualizarSi(oferta.id, { estado: 'pendiente' }, { estado: 'caducada', respondida_at: ahora });
+      if (caducada) {
+        await ofrecerSiguiente(oferta.pedido_id);
+      }
+    }
+
+    const limite = new Date(Date.now() - segundosOferta * 1000);
+    const ofertando = await db.pedidos.listar({ estado: 'disponible', despacho_estado: 'ofertando', despacho_at: { lte: limite.toISOString() } });
+    for (const pedido of ofertando) {
+      const ofertas = await db.ofertas.listarDePedido(pedido.id);
+      const ultima = ofertas[ofertas.length - 1];
+      if (ultima && (ultima.estado === 'pendiente' || new Date(ultima.respondida_at || ultima.created_at) > limite)) continue;
+
+      await ofrecerSiguiente(pedido.id);
+    }
+  }
+
+  // Empieza a ofrecer los pedidos que entran en el despacho al quedar disponibles
+  // y anula las ofertas pendientes de los que se cancelan
+  function conectar() {
+    const empezar = ({ pedido }) => pedido.estado === 'disponible' && pedido.despacho_estado === 'ofertando'
+      ? ofrecerSiguiente(pedido.id)
+      : null;
+
+    const cancelaciones = [
+      bus.escuchar('pedido.creado', empezar),
+      bus.escuchar('pedido.publicado', empezar),
+      bus.escuchar('pedido.liberado', empezar),
+      bus.escuchar('pedido.cancelado', ({ pedido }) => db.ofertas.anularPendientes({ pedido_id: pedido.id }, new Date().toISOString()))
+    ];
+    return () => cancelaciones.forEach(cancelar => cancelar());
+  }
+
+  return {
+    configuracion,
+    estaActivo,
+    cambiarActivo,
+    ofrecerSiguiente,
+    responder,
+    retirarMensajero,
+    revisar,
+    conectar
+  };
+}
+
+module.exports = {
+  ESTADOS_OFERTA,
+  crearDespachador
+};
@@ -0,0 +1,125 @@
+// Errores de la API
+// Todas las respuestas de error tienen la forma
+//   { error: { code, message, details: [{ field, code, message, params? }] } }
+// donde code es estable y pensado para los clientes, message está en el idioma
+// de la petición (lib/idiomas) y details enumera los campos rechazados (vacío
+// si el error no es de un campo).
+const { idiomaDe, traducir } = require('./idiomas');
+
+// Código de estado HTTP de cada error
+const ERRORES = {
+  // Peticiones
+  VALIDACION: 400,
+  JSON_INVALIDO: 400,
+  CUERPO_DEMASIADO_GRANDE: 413,
+  RUTA_NO_ENCONTRADA: 404,
+  DEMASIADAS_SOLICITUDES: 429,
+  ERROR_INTERNO: 500,
+
+  // Autenticación y sesiones
+  NO_AUTENTICADO: 401,
+  TOKEN_INVALIDO: 401,
+  SESION_CERRADA: 401,
+  SESION_NO_VALIDA: 401,
+  SESION_CADUCADA: 401,
+  CREDENCIALES_INVALIDAS: 401,
+  CORREO_SIN_CONFIRMAR: 401,
+  TELEFONO_SIN_VERIFICAR: 401,
+  ROL_INCORRECTO: 401,
+  CUENTA_BLOQUEADA: 429,
+  ACCESO_DENEGADO: 403,
+  SOLO_USUARIOS_Y_MENSAJEROS: 403,
+
+  // Cuentas
+  CUENTA_NO_EXISTE: 401,
+  CUENTA_PENDIENTE: 403,
+  CUENTA_RECHAZADA: 403,
+  CUENTA_SUSPENDIDA: 403,
+  CUENTA_NO_DISPONIBLE: 403,
+  CARNET_REGISTRADO: 409,
+  TELEFONO_REGISTRADO: 409,
+  CORREO_REGISTRADO: 409,
+  REGISTRO_FALLIDO: 400,
+  RECUPERACION_FALLIDA: 400,
+  CUENTA_NO_ENCONTRADA: 404,
+  MENSAJERO_NO_ENCONTRADO: 404,
+  ACCION_NO_DISPONIBLE: 400,
+  ESTADO_CUENTA_INCOMPATIBLE: 409,
+  CUENTA_MODIFICADA: 409,
+  CONTRASENA_INCORRECTA: 403,
+  CUENTA_CON_PEDIDOS_ACTIVOS: 409,
+  CODIGO_VERIFICACION_CADUCADO: 400,
+  CODIGO_VERIFICACION_INCORRECTO: 400,
+  DEMASIADOS_INTENTOS_VERIFICACION: 429,
+  CODIGO_NO_ENVIADO: 503,
+
+  // Pedidos
+  PEDIDO_NO_ENCONTRADO: 404,
+  SIN_ACCESO_PEDIDO: 403,
+  SIN_PERMISO_PEDIDO: 403,
+  ACCION_NO_PERMITIDA: 403,
+  PEDIDO_DE_OTRO_MENSAJERO: 403,
+  TRANSICION_NO_PERMITIDA: 409,
+  PEDIDO_MODIFICADO: 409,
+  SIN_TARIFA_VEHICULO: 400,
+  COTIZACION_NO_VALIDA: 400,
+  COTIZACION_CADUCADA: 409,
+  SOLO_MENSAJEROS: 403,
+  CAPACIDAD_COMPLETA: 409,
+  UBICACION_REQUERIDA: 400,
+  FUERA_DE_RECOGIDA: 403,
+  FUERA_DE_ENTREGA: 403,
+  DEMASIADOS_INTENTOS_CODIGO: 403,
+  CODIGO_ENTREGA_INCORRECTO: 403,
+  SOLO_MENSAJERO_ASIGNADO: 403,
+  SEGUIMIENTO_NO_DISPONIBLE: 409,
+  PEDIDO_EN_OFERTA: 409,
+  OFERTA_NO_ENCONTRADA: 404,
+  OFERTA_NO_DISPONIBLE: 409,
+  MENSAJERO_DESCONECTADO: 409,
+  TURNO_SOLAPADO: 409,
+  TURNO_NO_ENCONTRADO: 404,
+  TURNO_FINALIZADO: 409,
+
+  // Calificaciones
+  SOLO_PARTICIPANTES_CALIFICAN: 403,
+  PEDIDO_NO_ENTREGADO: 409,
+  SIN_CALIFICADO: 409,
+  YA_CALIFICADO: 409,
+
+  // Ganancias
+  SIN_GANANCIAS_PENDIENTES: 409,
+
+  // Notificaciones
+  PUSH_NO_CONFIGURADO: 503
+};
+
+// detalles: [{ campo, codigo, datos }] como los produce lib/validacion
+function cuerpoError(codigo, datos = null, detalles = [], idioma) {
+  const details = detalles.map(({ campo, codigo: codigoCampo, datos: datosCampo }) => ({
+    field: campo,
+    code: codigoCampo,
+    message: traducir(idioma, 'campos', codigoCampo, datosCampo),
+    ...(datosCampo && { params: datosCampo })
+  }));
+
+  const datosMensaje = codigo === 'VALIDACION' ? { campos: [...new Set(details.map(d => d.field))] } : datos;
+
+  return {
+    error: {
+      code: codigo,
+      message: traducir(idioma, 'errores', codigo, datosMensaje),
+      details
+    }
+  };
+}
+
+function enviarError(res, codigo, datos = null, detalles = []) {
+  return res.status(ERRORES[codigo]).json(cuerpoError(codigo, datos, detalles, idiomaDe(res.req)));
+}
+
+module.exports = {
+  ERRORES,
+  cuerpoError,
+  enviarError
+};
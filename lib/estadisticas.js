@@ -0,0 +1,114 @@
+// Agregados de pedidos para el panel de administración
+// Se calculan en memoria sobre los pedidos del periodo pedido.
+
+const ZONA_HORARIA = process.env.ZONA_HORARIA_TARIFAS || 'America/Havana';
+
+const formatoDia = new Intl.DateTimeFormat('en-CA', {
+  timeZone: ZONA_HORARIA,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+function redondear(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+// Día (AAAA-MM-DD) en la zona horaria de operación
+function diaLocal(fecha) {
+  return formatoDia.format(new Date(fecha));
+}
+
+function minutosEntre(inicio, fin) {
+  if (!inicio || !fin) return null;
+  const minutos = (new Date(fin) - new Date(inicio)) / 60000;
+  return minutos >= 0 ? minutos : null;
+}
+
+function media(valores) {
+  return valores.length > 0 ? redondear(valores.reduce((a, b) => a + b, 0) / valores.length) : null;
+}
+
+function crearGrupo() {
+  return { pedidos: 0, entregados: 0, cancelados: 0, ingresos: 0, distancia: 0, tiemposEntrega: [] };
+}
+
+function acumular(grupo, pedido) {
+  grupo.pedidos++;
+
+  if (pedido.estado === 'cancelado') {
+    grupo.cancelados++;
+  }
+
+  if (pedido.estado === 'entregado') {
+    grupo.entregados++;
+    grupo.ingresos += Number(pedido.precio) || 0;
+    grupo.distancia += Number(pedido.distancia) || 0;
+
+    const minutos = minutosEntre(pedido.created_at, pedido.entregado_at);
+    if (minutos !== null) grupo.tiemposEntrega.push(minutos);
+  }
+}
+
+// Ingresos y distancia solo cuentan pedidos entregados; la distancia va en kilómetros
+function cerrarGrupo(grupo) {
+  return {
+    pedidos: grupo.pedidos,
+    entregados: grupo.entregados,
+    cancelados: grupo.cancelados,
+    ingresos: redondear(grupo.ingresos),
+    distancia_km: redondear(grupo.distancia / 1000),
+    tiempo_medio_entrega_min: media(grupo.tiemposEntrega),
+    tasa_cancelacion: grupo.pedidos > 0 ? redondear(grupo.cancelados / grupo.pedidos) : 0
+  };
+}
+
+function calcularEstadisticas(pedidos) {
+  const total = crearGrupo();
+  const porDia = new Map();
+  const porMensajero = new Map();
+  const porEstado = {};
+  const tiemposRecorrido = [];
+
+  for (const pedido of pedidos) {
+    acumular(total, pedido);
+
+    porEstado[pedido.estado] = (porEstado[pedido.estado] || 0) + 1;
+
+    const dia = diaLocal(pedido.created_at);
+    if (!porDia.has(dia)) porDia.set(dia, crearGrupo());
+    acumular(porDia.get(dia), pedido);
+
+    if (pedido.mensajero_id) {
+      if (!porMensajero.has(pedido.mensajero_id)) {
+        porMensajero.set(pedido.mensajero_id, { nombre: pedido.mensajero_nombre, grupo: crearGrupo() });
+      }
+      acumular(porMensajero.get(pedido.mensajero_id).grupo, pedido);
+    }
+
+    if (pedido.estado === 'entregado') {
+      const minutos = minutosEntre(pedido.en_camino_at, pedido.entregado_at);
+      if (minutos !== null) tiemposRecorrido.push(minutos);
+    }
+  }
+
+  return {
+    resumen: {
+      ...cerrarGrupo(total),
+      tiempo_medio_recorrido_min: media(tiemposRecorrido)
+    },
+    por_estado: Object.entries(porEstado)
+      .map(([estado, pedidos]) => ({ estado, pedidos }))
+      .sort((a, b) => b.pedidos - a.pedidos),
+    por_dia: [...porDia.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([dia, grupo]) => ({ dia, ...cerrarGrupo(grupo) })),
+    por_mensajero: [...porMensajero.entries()]
+      .map(([id, { nombre, grupo }]) => ({ mensajero_id: id, mensajero_nombre: nombre, ...cerrarGrupo(grupo) }))
+      .sort((a, b) => b.entregados - a.entregados)
+  };
+}
+
+module.exports = {
+  calcularEstadisticas
+};
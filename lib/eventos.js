@@ -0,0 +1,41 @@
+// Bus interno de eventos de dominio
+// Las rutas emiten lo que ha ocurrido (pedido creado, asignado...) y los
+// subsistemas interesados, como las notificaciones, se suscriben sin que las
+// rutas tengan que conocerlos.
+const { EventEmitter } = require('events');
+
+const EVENTOS_PEDIDO = [
+  'pedido.creado',
+  'pedido.publicado',
+  'pedido.recordatorio',
+  'pedido.ofrecido',
+  'pedido.asignado',
+  'pedido.en_camino',
+  'pedido.entregado',
+  'pedido.cancelado',
+  'pedido.liberado'
+];
+
+const emisor = new EventEmitter();
+emisor.setMaxListeners(0);
+
+function emitir(evento, datos) {
+  emisor.emit(evento, { evento, ...datos, fecha: new Date().toISOString() });
+}
+
+// Los oyentes pueden ser asíncronos; sus errores se registran y no afectan a quien emite
+function escuchar(evento, oyente) {
+  const envoltorio = datos => {
+    Promise.resolve()
+      .then(() => oyente(datos))
+      .catch(error => console.error(`Error procesando evento ${evento}:`, error));
+  };
+  emisor.on(evento, envoltorio);
+  return () => emisor.off(evento, envoltorio);
+}
+
+module.exports = {
+  EVENTOS_PEDIDO,
+  emitir,
+  escuchar
+};
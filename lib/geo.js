@@ -0,0 +1,56 @@
+// Utilidades geográficas
+
+// Distancia en metros entre dos coordenadas (fórmula de haversine)
+function calcularDistancia(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const φ1 = lat1 * Math.PI/180;
+  const φ2 = lat2 * Math.PI/180;
+  const Δφ = (lat2-lat1) * Math.PI/180;
+  const Δλ = (lon2-lon1) * Math.PI/180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c;
+}
+
+// Distancia en metros entre dos puntos { lat, lng }
+function distanciaEntre(a, b) {
+  return calcularDistancia(a.lat, a.lng, b.lat, b.lng);
+}
+
+// Codifica una lista de puntos { lat, lng } con el algoritmo de polilíneas
+// (precisión 5), el mismo formato de geometría que devuelve OpenRouteService
+function codificarPolilinea(puntos) {
+  let anteriorLat = 0;
+  let anteriorLng = 0;
+  let resultado = '';
+
+  const codificarValor = valor => {
+    let v = valor < 0 ? ~(valor << 1) : valor << 1;
+    let texto = '';
+    while (v >= 0x20) {
+      texto += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return texto + String.fromCharCode(v + 63);
+  };
+
+  for (const { lat, lng } of puntos) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    resultado += codificarValor(latE5 - anteriorLat) + codificarValor(lngE5 - anteriorLng);
+    anteriorLat = latE5;
+    anteriorLng = lngE5;
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  calcularDistancia,
+  distanciaEntre,
+  codificarPolilinea
+};
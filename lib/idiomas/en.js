@@ -0,0 +1,208 @@
+// Catálogo en inglés
+
+const conMotivo = mensaje => ({ motivo } = {}) => motivo ? `${mensaje}: ${motivo}` : mensaje;
+
+function referencia(pedido) {
+  return pedido.descripcion ? `"${pedido.descripcion}"` : `#${pedido.id}`;
+}
+
+function precio(pedido) {
+  return pedido.precio !== null && pedido.precio !== undefined ? `${pedido.precio} CUP` : 'price to be confirmed';
+}
+
+function motivoCancelacion(pedido) {
+  return pedido.motivo_cancelacion ? `: ${pedido.motivo_cancelacion}` : '.';
+}
+
+// Ventana de un pedido programado en la hora local, p. ej. "Mon, Oct 20, 10:00 AM - 12:00 PM"
+const ZONA_HORARIA = process.env.ZONA_HORARIA_TARIFAS || 'America/Havana';
+const formatoDia = new Intl.DateTimeFormat('en', { timeZone: ZONA_HORARIA, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+const formatoHora = new Intl.DateTimeFormat('en', { timeZone: ZONA_HORARIA, hour: '2-digit', minute: '2-digit' });
+
+function ventana(pedido) {
+  return `${formatoDia.format(new Date(pedido.ventana_inicio))} - ${formatoHora.format(new Date(pedido.ventana_fin))}`;
+}
+
+module.exports = {
+  errores: {
+    // Peticiones
+    VALIDACION: ({ campos }) => `Invalid data: ${campos.join(', ')}`,
+    JSON_INVALIDO: 'The request body is not valid JSON',
+    CUERPO_DEMASIADO_GRANDE: 'The request body is too large',
+    RUTA_NO_ENCONTRADA: 'Route not found',
+    DEMASIADAS_SOLICITUDES: ({ minutos }) => `Too many attempts. Try again in ${minutos} minute${minutos === 1 ? '' : 's'}`,
+    ERROR_INTERNO: 'Internal server error',
+
+    // Autenticación y sesiones
+    NO_AUTENTICADO: 'Unauthorized',
+    TOKEN_INVALIDO: 'Invalid token',
+    SESION_CERRADA: 'Your session was closed; please log in again',
+    SESION_NO_VALIDA: 'Invalid session; please log in again',
+    SESION_CADUCADA: 'Your session has expired; please log in again',
+    CREDENCIALES_INVALIDAS: 'Invalid credentials',
+    CORREO_SIN_CONFIRMAR: 'Please verify your email address before logging in',
+    TELEFONO_SIN_VERIFICAR: 'Verify your phone number with the code we sent you by SMS before logging in',
+    ROL_INCORRECTO: ({ rol }) => `You are not allowed to log in as ${rol}`,
+    CUENTA_BLOQUEADA: 'Too many failed attempts. The account is temporarily locked',
+    ACCESO_DENEGADO: 'Access denied',
+    SOLO_USUARIOS_Y_MENSAJEROS: 'Only available to customers and couriers',
+
+    // Cuentas
+    CUENTA_NO_EXISTE: 'The account does not exist',
+    CUENTA_PENDIENTE: conMotivo('Your account is pending approval'),
+    CUENTA_RECHAZADA: conMotivo('Your registration request was rejected'),
+    CUENTA_SUSPENDIDA: conMotivo('Your account is suspended'),
+    CUENTA_NO_DISPONIBLE: conMotivo('Account unavailable'),
+    CARNET_REGISTRADO: 'This ID number is already registered',
+    TELEFONO_REGISTRADO: 'This phone number is already registered',
+    CORREO_REGISTRADO: 'This email address is already registered',
+    REGISTRO_FALLIDO: 'Registration failed',
+    RECUPERACION_FALLIDA: 'The recovery email could not be sent',
+    CUENTA_NO_ENCONTRADA: 'Account not found',
+    MENSAJERO_NO_ENCONTRADO: 'Courier not found',
+    ACCION_NO_DISPONIBLE: 'Action not available for this type of account',
+    ESTADO_CUENTA_INCOMPATIBLE: ({ accion, estado }) => `Cannot ${accion} an account in state "${estado}"`,
+    CUENTA_MODIFICADA: 'The account was modified by another operation, please try again',
+    CONTRASENA_INCORRECTA: 'The current password is not correct',
+    CUENTA_CON_PEDIDOS_ACTIVOS: 'You have orders in progress; complete or cancel them before deleting your account',
+    CODIGO_VERIFICACION_CADUCADO: 'There is no pending code or it has expired; request a new one',
+    CODIGO_VERIFICACION_INCORRECTO: 'Wrong verification code',
+    DEMASIADOS_INTENTOS_VERIFICACION: 'Too many attempts with a wrong code; request a new one',
+    CODIGO_NO_ENVIADO: 'The verification code could not be sent, please try again later',
+
+    // Pedidos
+    PEDIDO_NO_ENCONTRADO: 'Order not found',
+    SIN_ACCESO_PEDIDO: 'You do not have access to this order',
+    SIN_PERMISO_PEDIDO: 'You do not have permission on this order',
+    ACCION_NO_PERMITIDA: 'You are not allowed to perform this action',
+    PEDIDO_DE_OTRO_MENSAJERO: 'The order is assigned to another courier',
+    TRANSICION_NO_PERMITIDA: ({ desde, hacia }) => `Cannot move from "${desde}" to "${hacia}"`,
+    PEDIDO_MODIFICADO: 'The order was modified by another operation, please try again',
+    SIN_TARIFA_VEHICULO: ({ tipoVehiculo }) => `There is no rate for vehicle type "${tipoVehiculo}"`,
+    COTIZACION_NO_VALIDA: 'The quote is not valid for this order',
+    COTIZACION_CADUCADA: 'The quote has expired; request a new one',
+    SOLO_MENSAJEROS: 'Only available to couriers',
+    CAPACIDAD_COMPLETA: ({ capacidad, tipoVehiculo }) => `Your run is full: with a ${tipoVehiculo} you can carry up to ${capacidad} order${capacidad === 1 ? '' : 's'} at a time`,
+    UBICACION_REQUERIDA: 'Current location (lat, lng) required',
+    FUERA_DE_RECOGIDA: ({ margen, distancia }) => `You must be within ${margen} m of the pickup point (you are ${distancia} m away)`,
+    FUERA_DE_ENTREGA: ({ margen, distancia }) => `You must be within ${margen} m of the delivery point (you are ${distancia} m away)`,
+    DEMASIADOS_INTENTOS_CODIGO: 'Too many attempts with a wrong code. Contact an administrator',
+    CODIGO_ENTREGA_INCORRECTO: 'Wrong delivery code',
+    SOLO_MENSAJERO_ASIGNADO: 'Only the assigned courier can send their location',
+    SEGUIMIENTO_NO_DISPONIBLE: ({ estado }) => `The order is "${estado}" and cannot be tracked`,
+    PEDIDO_EN_OFERTA: 'The order is being offered to another courier',
+    OFERTA_NO_ENCONTRADA: 'Offer not found',
+    OFERTA_NO_DISPONIBLE: 'The offer is no longer available: it expired or was already answered',
+    MENSAJERO_DESCONECTADO: 'You must be online to see and take orders; please go online again',
+    TURNO_SOLAPADO: 'The shift overlaps another one you already declared',
+    TURNO_NO_ENCONTRADO: 'Shift not found',
+    TURNO_FINALIZADO: 'The shift has already ended',
+
+    // Calificaciones
+    SOLO_PARTICIPANTES_CALIFICAN: 'Only the customer or the courier of the order can rate it',
+    PEDIDO_NO_ENTREGADO: 'Only delivered orders can be rated',
+    SIN_CALIFICADO: 'There is nobody to rate in this order',
+    YA_CALIFICADO: 'You already rated this order',
+
+    // Ganancias
+    SIN_GANANCIAS_PENDIENTES: 'The courier has no pending earnings in that period',
+
+    // Notificaciones
+    PUSH_NO_CONFIGURADO: 'Push notifications are not configured'
+  },
+
+  // Fallos por campo (details)
+  campos: {
+    REQUERIDO: 'Required field',
+    DEBE_SER_TEXTO: 'Must be text',
+    DEBE_SER_NUMERO: 'Must be a number',
+    DEBE_SER_ENTERO: 'Must be an integer',
+    DEBE_SER_BOOLEANO: 'Must be true or false',
+    DEBE_SER_OBJETO: 'Must be an object',
+    DEBE_SER_LISTA: 'Must be a list',
+    LONGITUD_MINIMA: ({ min }) => `Must be at least ${min} characters long`,
+    LONGITUD_MAXIMA: ({ max }) => `Must be at most ${max} characters long`,
+    MINIMO: ({ min }) => `Must be greater than or equal to ${min}`,
+    MAXIMO: ({ max }) => `Must be less than or equal to ${max}`,
+    MAXIMO_ELEMENTOS: ({ max }) => `Accepts at most ${max} items`,
+    VALOR_NO_PERMITIDO: ({ valores }) => `Must be one of: ${valores.join(', ')}`,
+    FORMATO_INVALIDO: 'Invalid format',
+    FECHA_INVALIDA: 'Invalid date',
+    CARNET_INVALIDO: 'The ID number must have 11 digits',
+    TELEFONO_INVALIDO: 'Invalid phone number',
+    CORREO_INVALIDO: 'Invalid email address',
+    HORA_INVALIDA: 'The time must use the HH:MM format',
+    URL_INVALIDA: 'Must be an https URL',
+    CURSOR_INVALIDO: 'Invalid cursor',
+    FECHA_PASADA: 'Must be a future date',
+    FECHA_DEMASIADO_LEJANA: ({ dias }) => `Cannot be more than ${dias} days in the future`,
+    VENTANA_FIN_ANTERIOR: 'Must be after the start of the window',
+    FIN_ANTERIOR_AL_INICIO: 'Must be after the start',
+    TURNO_DEMASIADO_LARGO: ({ horas }) => `A shift cannot last more than ${horas} hours`
+  },
+
+  exitos: {
+    REGISTRO_EXITOSO: 'Registration successful. Please verify your email address.',
+    REGISTRO_MENSAJERO_EXITOSO: 'Registration successful. Please verify your email address; your account will be pending approval.',
+    CONTRASENA_ACTUALIZADA: 'Password updated. Sessions on your other devices were closed.',
+    CUENTA_ELIMINADA: 'Your account was deleted.',
+    CODIGO_ENVIADO: 'If the phone number is registered, you will receive a code by SMS.',
+    TELEFONO_VERIFICADO: 'Phone number verified.'
+  },
+
+  codigos: {
+    VERIFICACION_ASUNTO: 'Your verification code',
+    VERIFICACION_CONTACTO: ({ codigo, minutos }) => `Your A Tu Puerta verification code is ${codigo}. It expires in ${minutos} minutes. If you did not request this change, ignore this message.`,
+    LOGIN_SMS: ({ codigo, minutos }) => `Your A Tu Puerta login code is ${codigo}. It expires in ${minutos} minutes. Do not share it with anyone.`,
+    VERIFICACION_TELEFONO: ({ codigo, minutos }) => `Your A Tu Puerta phone verification code is ${codigo}. It expires in ${minutos} minutes.`
+  },
+
+  notificaciones: {
+    'pedido.creado': pedido => ({
+      titulo: 'New order near you',
+      texto: `There is an order available near your position: pickup at ${pedido.direccion_venta || 'address not given'}, ${precio(pedido)}.`
+    }),
+
+    'pedido.publicado': pedido => ({
+      titulo: 'Scheduled order near you',
+      texto: `There is an order scheduled for ${ventana(pedido)} with pickup at ${pedido.direccion_venta || 'address not given'}, ${precio(pedido)}.`
+    }),
+
+    'pedido.ofrecido': pedido => ({
+      titulo: 'You have an order offer',
+      texto: `We are offering you an order with pickup at ${pedido.direccion_venta || 'address not given'}, ${precio(pedido)}. Accept or decline it from the app before the offer expires.`
+    }),
+
+    'pedido.recordatorio': pedido => ({
+      titulo: 'Scheduled delivery reminder',
+      texto: `Remember to pick up order ${referencia(pedido)} at ${pedido.direccion_venta || 'the pickup point'} (${ventana(pedido)}).`
+    }),
+
+    'pedido.asignado': pedido => ({
+      titulo: 'A courier took your order',
+      texto: `${pedido.mensajero_nombre || 'A courier'} will handle your order ${referencia(pedido)} and is on the way to pick it up.`
+    }),
+
+    'pedido.en_camino': pedido => ({
+      titulo: 'Your order is on the way',
+      texto: `${pedido.mensajero_nombre || 'The courier'} picked up your order ${referencia(pedido)}. Keep your delivery code at hand.`
+    }),
+
+    'pedido.entregado': pedido => ({
+      titulo: 'Order delivered',
+      texto: `Your order ${referencia(pedido)} was delivered. Thank you for using A Tu Puerta! You can rate the courier from the app.`
+    }),
+
+    'pedido.cancelado': (pedido, rol) => ({
+      titulo: 'Order cancelled',
+      texto: rol === 'mensajero'
+        ? `The order ${referencia(pedido)} assigned to you was cancelled${motivoCancelacion(pedido)}`
+        : `Your order ${referencia(pedido)} was cancelled${motivoCancelacion(pedido)}`
+    }),
+
+    'pedido.liberado': pedido => ({
+      titulo: 'Looking for another courier',
+      texto: `The courier could not complete your order ${referencia(pedido)}. It is available again for other couriers.`
+    })
+  }
+};
@@ -0,0 +1,212 @@
+// Catálogo en español (idioma por defecto)
+
+const conMotivo = mensaje => ({ motivo } = {}) => motivo ? `${mensaje}: ${motivo}` : mensaje;
+
+function referencia(pedido) {
+  return pedido.descripcion ? `"${pedido.descripcion}"` : `#${pedido.id}`;
+}
+
+function precio(pedido) {
+  return pedido.precio !== null && pedido.precio !== undefined ? `${pedido.precio} CUP` : 'precio por confirmar';
+}
+
+function motivoCancelacion(pedido) {
+  return pedido.motivo_cancelacion ? `: ${pedido.motivo_cancelacion}` : '.';
+}
+
+// Ventana de un pedido programado en la hora local, p. ej. "lun, 20 oct, 10:00 - 12:00"
+const ZONA_HORARIA = process.env.ZONA_HORARIA_TARIFAS || 'America/Havana';
+const formatoDia = new Intl.DateTimeFormat('es', { timeZone: ZONA_HORARIA, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+const formatoHora = new Intl.DateTimeFormat('es', { timeZone: ZONA_HORARIA, hour: '2-digit', minute: '2-digit' });
+
+function ventana(pedido) {
+  return `${formatoDia.format(new Date(pedido.ventana_inicio))} - ${formatoHora.format(new Date(pedido.ventana_fin))}`;
+}
+
+module.exports = {
+  errores: {
+    // Peticiones
+    VALIDACION: ({ campos }) => `Datos no válidos: ${campos.join(', ')}`,
+    JSON_INVALIDO: 'El cuerpo de la petición no es JSON válido',
+    CUERPO_DEMASIADO_GRANDE: 'El cuerpo de la petición es demasiado grande',
+    RUTA_NO_ENCONTRADA: 'Ruta no encontrada',
+    DEMASIADAS_SOLICITUDES: ({ minutos }) => `Demasiados intentos. Vuelve a intentarlo en ${minutos} minuto${minutos === 1 ? '' : 's'}`,
+    ERROR_INTERNO: 'Error interno del servidor',
+
+    // Autenticación y sesiones
+    NO_AUTENTICADO: 'Acceso no autorizado',
+    TOKEN_INVALIDO: 'Token inválido',
+    SESION_CERRADA: 'La sesión fue cerrada; inicia sesión de nuevo',
+    SESION_NO_VALIDA: 'Sesión no válida; inicia sesión de nuevo',
+    SESION_CADUCADA: 'La sesión ha caducado; inicia sesión de nuevo',
+    CREDENCIALES_INVALIDAS: 'Credenciales inválidas',
+    CORREO_SIN_CONFIRMAR: 'Por favor verifica tu correo electrónico antes de iniciar sesión',
+    TELEFONO_SIN_VERIFICAR: 'Verifica tu teléfono con el código que te enviamos por SMS antes de iniciar sesión',
+    ROL_INCORRECTO: ({ rol }) => `No tienes permisos para acceder como ${rol}`,
+    CUENTA_BLOQUEADA: 'Demasiados intentos fallidos. La cuenta está bloqueada temporalmente',
+    ACCESO_DENEGADO: 'Acceso denegado',
+    SOLO_USUARIOS_Y_MENSAJEROS: 'Solo disponible para usuarios y mensajeros',
+
+    // Cuentas
+    CUENTA_NO_EXISTE: 'La cuenta no existe',
+    CUENTA_PENDIENTE: conMotivo('Tu cuenta está pendiente de aprobación'),
+    CUENTA_RECHAZADA: conMotivo('Tu solicitud de registro fue rechazada'),
+    CUENTA_SUSPENDIDA: conMotivo('Tu cuenta está suspendida'),
+    CUENTA_NO_DISPONIBLE: conMotivo('Cuenta no disponible'),
+    CARNET_REGISTRADO: 'El carnet ya está registrado',
+    TELEFONO_REGISTRADO: 'El teléfono ya está registrado',
+    CORREO_REGISTRADO: 'El correo ya está registrado',
+    REGISTRO_FALLIDO: 'Error en registro',
+    RECUPERACION_FALLIDA: 'No se pudo enviar el correo de recuperación',
+    CUENTA_NO_ENCONTRADA: 'Cuenta no encontrada',
+    MENSAJERO_NO_ENCONTRADO: 'Mensajero no encontrado',
+    ACCION_NO_DISPONIBLE: 'Acción no disponible para este tipo de cuenta',
+    ESTADO_CUENTA_INCOMPATIBLE: ({ accion, estado }) => `No se puede ${accion} una cuenta en estado "${estado}"`,
+    CUENTA_MODIFICADA: 'La cuenta fue modificada por otra operación, vuelve a intentarlo',
+    CONTRASENA_INCORRECTA: 'La contraseña actual no es correcta',
+    CUENTA_CON_PEDIDOS_ACTIVOS: 'Tienes pedidos en curso; complétalos o cancélalos antes de eliminar la cuenta',
+    CODIGO_VERIFICACION_CADUCADO: 'No hay ningún código pendiente o ha caducado; solicita uno nuevo',
+    CODIGO_VERIFICACION_INCORRECTO: 'Código de verificación incorrecto',
+    DEMASIADOS_INTENTOS_VERIFICACION: 'Demasiados intentos con código incorrecto; solicita uno nuevo',
+    CODIGO_NO_ENVIADO: 'No se pudo enviar el código de verificación, vuelve a intentarlo más tarde',
+
+    // Pedidos
+    PEDIDO_NO_ENCONTRADO: 'Pedido no encontrado',
+    SIN_ACCESO_PEDIDO: 'No tienes acceso a este pedido',
+    SIN_PERMISO_PEDIDO: 'No tienes permisos sobre este pedido',
+    ACCION_NO_PERMITIDA: 'No tienes permisos para realizar esta acción',
+    PEDIDO_DE_OTRO_MENSAJERO: 'El pedido está asignado a otro mensajero',
+    TRANSICION_NO_PERMITIDA: ({ desde, hacia }) => `No se puede pasar de "${desde}" a "${hacia}"`,
+    PEDIDO_MODIFICADO: 'El pedido fue modificado por otra operación, vuelve a intentarlo',
+    SIN_TARIFA_VEHICULO: ({ tipoVehiculo }) => `No hay tarifa para el tipo de vehículo "${tipoVehiculo}"`,
+    COTIZACION_NO_VALIDA: 'La cotización no es válida para este pedido',
+    COTIZACION_CADUCADA: 'La cotización ha caducado; solicita una nueva',
+    SOLO_MENSAJEROS: 'Solo disponible para mensajeros',
+    CAPACIDAD_COMPLETA: ({ capacidad, tipoVehiculo }) => `Tu recorrido está completo: con ${tipoVehiculo} puedes llevar hasta ${capacidad} pedido${capacidad === 1 ? '' : 's'} a la vez`,
+    UBICACION_REQUERIDA: 'Ubicación actual (lat, lng) requerida',
+    FUERA_DE_RECOGIDA: ({ margen, distancia }) => `Debes estar a menos de ${margen} m del punto de venta (estás a ${distancia} m)`,
+    FUERA_DE_ENTREGA: ({ margen, distancia }) => `Debes estar a menos de ${margen} m del punto de entrega (estás a ${distancia} m)`,
+    DEMASIADOS_INTENTOS_CODIGO: 'Demasiados intentos con código incorrecto. Contacta con un administrador',
+    CODIGO_ENTREGA_INCORRECTO: 'Código de entrega incorrecto',
+    SOLO_MENSAJERO_ASIGNADO: 'Solo el mensajero asignado puede enviar su ubicación',
+    SEGUIMIENTO_NO_DISPONIBLE: ({ estado }) => `El pedido está "${estado}" y no admite seguimiento`,
+    PEDIDO_EN_OFERTA: 'El pedido se está ofreciendo a otro mensajero',
+    OFERTA_NO_ENCONTRADA: 'Oferta no encontrada',
+    OFERTA_NO_DISPONIBLE: 'La oferta ya no está disponible: caducó o ya se respondió',
+    MENSAJERO_DESCONECTADO: 'Debes estar en línea para ver y tomar pedidos; vuelve a conectarte',
+    TURNO_SOLAPADO: 'El turno se solapa con otro que ya declaraste',
+    TURNO_NO_ENCONTRADO: 'Turno no encontrado',
+    TURNO_FINALIZADO: 'El turno ya terminó',
+
+    // Calificaciones
+    SOLO_PARTICIPANTES_CALIFICAN: 'Solo el cliente o el mensajero del pedido pueden calificar',
+    PEDIDO_NO_ENTREGADO: 'Solo se pueden calificar pedidos entregados',
+    SIN_CALIFICADO: 'No hay a quién calificar en este pedido',
+    YA_CALIFICADO: 'Ya calificaste este pedido',
+
+    // Ganancias
+    SIN_GANANCIAS_PENDIENTES: 'El mensajero no tiene ganancias pendientes en ese periodo',
+
+    // Notificaciones
+    PUSH_NO_CONFIGURADO: 'Las notificaciones push no están configuradas'
+  },
+
+  // Fallos por campo (details)
+  campos: {
+    REQUERIDO: 'Campo obligatorio',
+    DEBE_SER_TEXTO: 'Debe ser texto',
+    DEBE_SER_NUMERO: 'Debe ser un número',
+    DEBE_SER_ENTERO: 'Debe ser un número entero',
+    DEBE_SER_BOOLEANO: 'Debe ser true o false',
+    DEBE_SER_OBJETO: 'Debe ser un objeto',
+    DEBE_SER_LISTA: 'Debe ser una lista',
+    LONGITUD_MINIMA: ({ min }) => `Debe tener al menos ${min} caracteres`,
+    LONGITUD_MAXIMA: ({ max }) => `Debe tener como máximo ${max} caracteres`,
+    MINIMO: ({ min }) => `Debe ser mayor o igual que ${min}`,
+    MAXIMO: ({ max }) => `Debe ser menor o igual que ${max}`,
+    MAXIMO_ELEMENTOS: ({ max }) => `Admite como máximo ${max} elementos`,
+    VALOR_NO_PERMITIDO: ({ valores }) => `Debe ser uno de: ${valores.join(', ')}`,
+    FORMATO_INVALIDO: 'Formato no válido',
+    FECHA_INVALIDA: 'Fecha no válida',
+    CARNET_INVALIDO: 'El carnet debe tener 11 dígitos',
+    TELEFONO_INVALIDO: 'Teléfono inválido',
+    CORREO_INVALIDO: 'Correo inválido',
+    HORA_INVALIDA: 'La hora debe tener el formato HH:MM',
+    URL_INVALIDA: 'Debe ser una URL https',
+    CURSOR_INVALIDO: 'Cursor inválido',
+    FECHA_PASADA: 'Debe ser una fecha futura',
+    FECHA_DEMASIADO_LEJANA: ({ dias }) => `No puede ser más de ${dias} días en el futuro`,
+    VENTANA_FIN_ANTERIOR: 'Debe ser posterior al inicio de la ventana',
+    FIN_ANTERIOR_AL_INICIO: 'Debe ser posterior al inicio',
+    TURNO_DEMASIADO_LARGO: ({ horas }) => `Un turno no puede durar más de ${horas} horas`
+  },
+
+  // Respuestas correctas que muestran un mensaje
+  exitos: {
+    REGISTRO_EXITOSO: 'Registro exitoso. Por favor verifica tu correo electrónico.',
+    REGISTRO_MENSAJERO_EXITOSO: 'Registro exitoso. Por favor verifica tu correo electrónico; tu cuenta quedará pendiente de aprobación.',
+    CONTRASENA_ACTUALIZADA: 'Contraseña actualizada. Se cerraron las sesiones en los demás dispositivos.',
+    CUENTA_ELIMINADA: 'Tu cuenta fue eliminada.',
+    CODIGO_ENVIADO: 'Si el teléfono está registrado, recibirás un código por SMS.',
+    TELEFONO_VERIFICADO: 'Teléfono verificado.'
+  },
+
+  // Mensajes con códigos de un solo uso
+  codigos: {
+    VERIFICACION_ASUNTO: 'Tu código de verificación',
+    VERIFICACION_CONTACTO: ({ codigo, minutos }) => `Tu código de verificación de A Tu Puerta es ${codigo}. Caduca en ${minutos} minutos. Si no pediste este cambio, ignora este mensaje.`,
+    LOGIN_SMS: ({ codigo, minutos }) => `Tu código para entrar en A Tu Puerta es ${codigo}. Caduca en ${minutos} minutos. No lo compartas con nadie.`,
+    VERIFICACION_TELEFONO: ({ codigo, minutos }) => `Tu código para verificar tu teléfono en A Tu Puerta es ${codigo}. Caduca en ${minutos} minutos.`
+  },
+
+  // Notificaciones por evento: (pedido, rol) -> { titulo, texto }.
+  // El título se usa como asunto del correo y de la notificación push.
+  notificaciones: {
+    'pedido.creado': pedido => ({
+      titulo: 'Nuevo pedido cerca de ti',
+      texto: `Hay un pedido disponible cerca de tu posición: recogida en ${pedido.direccion_venta || 'dirección sin indicar'}, ${precio(pedido)}.`
+    }),
+
+    'pedido.publicado': pedido => ({
+      titulo: 'Pedido programado cerca de ti',
+      texto: `Hay un pedido programado para ${ventana(pedido)} con recogida en ${pedido.direccion_venta || 'dirección sin indicar'}, ${precio(pedido)}.`
+    }),
+
+    'pedido.ofrecido': pedido => ({
+      titulo: 'Tienes una oferta de pedido',
+      texto: `Te ofrecemos un pedido con recogida en ${pedido.direccion_venta || 'dirección sin indicar'}, ${precio(pedido)}. Acéptalo o recházalo desde la aplicación antes de que caduque la oferta.`
+    }),
+
+    'pedido.recordatorio': pedido => ({
+      titulo: 'Recordatorio de entrega programada',
+      texto: `Recuerda recoger el pedido ${referencia(pedido)} en ${pedido.direccion_venta || 'el punto de venta'} (${ventana(pedido)}).`
+    }),
+
+    'pedido.asignado': pedido => ({
+      titulo: 'Un mensajero tomó tu pedido',
+      texto: `${pedido.mensajero_nombre || 'Un mensajero'} se encargará de tu pedido ${referencia(pedido)} y va de camino a recogerlo.`
+    }),
+
+    'pedido.en_camino': pedido => ({
+      titulo: 'Tu pedido va en camino',
+      texto: `${pedido.mensajero_nombre || 'El mensajero'} ya recogió tu pedido ${referencia(pedido)}. Ten a mano tu código de entrega.`
+    }),
+
+    'pedido.entregado': pedido => ({
+      titulo: 'Pedido entregado',
+      texto: `Tu pedido ${referencia(pedido)} fue entregado. ¡Gracias por usar A Tu Puerta! Puedes calificar al mensajero desde la aplicación.`
+    }),
+
+    'pedido.cancelado': (pedido, rol) => ({
+      titulo: 'Pedido cancelado',
+      texto: rol === 'mensajero'
+        ? `El pedido ${referencia(pedido)} que tenías asignado fue cancelado${motivoCancelacion(pedido)}`
+        : `Tu pedido ${referencia(pedido)} fue cancelado${motivoCancelacion(pedido)}`
+    }),
+
+    'pedido.liberado': pedido => ({
+      titulo: 'Buscando otro mensajero',
+      texto: `El mensajero no pudo completar tu pedido ${referencia(pedido)}. Ya está disponible de nuevo para otros mensajeros.`
+    })
+  }
+};
@@ -0,0 +1,47 @@
+// Catálogos de mensajes por idioma
+// Los códigos (de error, de campo o de éxito) son estables y los textos se
+// resuelven aquí según el idioma de la petición (Accept-Language) o el
+// guardado para cada persona en el caso de las notificaciones.
+//
+// Cada catálogo tiene las secciones errores, campos, exitos, codigos y notificaciones;
+// un texto puede ser una cadena o una función de los datos del mensaje.
+const CATALOGOS = {
+  es: require('./es'),
+  en: require('./en')
+};
+
+const IDIOMAS = Object.keys(CATALOGOS);
+const IDIOMA_POR_DEFECTO = 'es';
+
+// Idioma preferido de la petición entre los disponibles (es si no pide ninguno)
+function idiomaDe(req) {
+  if (!req || !req.headers['accept-language']) return IDIOMA_POR_DEFECTO;
+  return req.acceptsLanguages(...IDIOMAS) || IDIOMA_POR_DEFECTO;
+}
+
+function idiomaValido(idioma) {
+  return IDIOMAS.includes(idioma) ? idioma : IDIOMA_POR_DEFECTO;
+}
+
+// Texto de un código; si falta en el idioma pedido se usa el español y, si
+// tampoco existe, el propio código
+function buscar(idioma, seccion, codigo) {
+  const catalogo = CATALOGOS[idioma][seccion];
+  return Object.hasOwn(catalogo, codigo) ? catalogo[codigo] : undefined;
+}
+
+function traducir(idioma, seccion, codigo, datos) {
+  const texto = buscar(idiomaValido(idioma), seccion, codigo) ?? buscar(IDIOMA_POR_DEFECTO, seccion, codigo);
+
+  if (texto === undefined) return codigo;
+  return typeof texto === 'function' ? texto(datos || {}) : texto;
+}
+
+module.exports = {
+  CATALOGOS,
+  IDIOMAS,
+  IDIOMA_POR_DEFECTO,
+  idiomaDe,
+  idiomaValido,
+  traducir
+};
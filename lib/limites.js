@@ -0,0 +1,145 @@
+// Límites de peticiones y bloqueo progresivo de inicios de sesión
+// Los contadores viven en un almacén intercambiable: en memoria (una sola
+// instancia) o compartido en la base de datos (varias instancias).
+//
+// Un almacén expone:
+//   incrementar(clave, ventanaMs) -> { cuenta, expiraAt }  (la ventana empieza con el primer incremento)
+//   obtener(clave)                -> { cuenta, expiraAt } | null
+//   fijar(clave, cuenta, ttlMs)
+//   eliminar(clave)
+const { enviarError } = require('./errores');
+
+const UNIDADES_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "20/15m" -> { maximo: 20, ventanaMs: 900000 }
+function parsearLimite(texto, porDefecto) {
+  const coincidencia = /^(\d+)\/(\d+)([smh])$/.exec(String(texto || '').trim());
+  if (!coincidencia) return parsearLimite(porDefecto);
+  const [, maximo, cantidad, unidad] = coincidencia;
+  return { maximo: Number(maximo), ventanaMs: Number(cantidad) * UNIDADES_MS[unidad] };
+}
+
+function crearAlmacenMemoria({ intervaloLimpiezaMs = 60 * 1000 } = {}) {
+  const entradas = new Map();
+
+  const vigente = clave => {
+    const entrada = entradas.get(clave);
+    if (entrada && entrada.expiraAt <= Date.now()) {
+      entradas.delete(clave);
+      return null;
+    }
+    return entrada || null;
+  };
+
+  // Limpieza de entradas caducadas; no mantiene vivo el proceso
+  setInterval(() => {
+    const ahora = Date.now();
+    for (const [clave, entrada] of entradas) {
+      if (entrada.expiraAt <= ahora) entradas.delete(clave);
+    }
+  }, intervaloLimpiezaMs).unref();
+
+  return {
+    descripcion: 'memoria',
+    async incrementar(clave, ventanaMs) {
+      const entrada = vigente(clave) || { cuenta: 0, expiraAt: Date.now() + ventanaMs };
+      entrada.cuenta++;
+      entradas.set(clave, entrada);
+      return { ...entrada };
+    },
+    async obtener(clave) {
+      const entrada = vigente(clave);
+      return entrada ? { ...entrada } : null;
+    },
+    async fijar(clave, cuenta, ttlMs) {
+      entradas.set(clave, { cuenta, expiraAt: Date.now() + ttlMs });
+    },
+    async eliminar(clave) {
+      entradas.delete(clave);
+    }
+  };
+}
+
+function segundosHasta(expiraAt) {
+  return Math.max(1, Math.ceil((expiraAt - Date.now()) / 1000));
+}
+
+function responderDemasiadas(res, segundos, codigo = 'DEMASIADAS_SOLICITUDES') {
+  res.set('Retry-After', String(segundos));
+  enviarError(res, codigo, { minutos: Math.ceil(segundos / 60) });
+}
+
+// Devuelve una fábrica de middlewares: limitar({ nombre, maximo, ventanaMs, clave(req) }).
+// Si clave(req) no devuelve nada la petición no se cuenta (p. ej. sin identificador).
+function crearLimitador(almacen) {
+  return function limitar({ nombre, maximo, ventanaMs, clave }) {
+    return async (req, res, next) => {
+      try {
+        const valor = clave(req);
+        if (!valor) return next();
+
+        const { cuenta, expiraAt } = await almacen.incrementar(`limite:${nombre}:${valor}`, ventanaMs);
+        if (cuenta > maximo) {
+          console.warn(`Límite ${nombre} superado por ${valor}`);
+          return responderDemasiadas(res, segundosHasta(expiraAt));
+        }
+        next();
+      } catch (error) {
+        // Si el almacén falla se deja pasar la petición en lugar de bloquear el servicio
+        console.error(`Error comprobando límite ${nombre}:`, error);
+        next();
+      }
+    };
+  };
+}
+
+// Bloqueo progresivo por identificador: tras "intentos" fallos seguidos la
+// cuenta se bloquea y cada bloqueo nuevo dentro de un día dura el doble.
+function crearProteccionLogin(almacen, {
+  intentos = 5,
+  ventanaFallosMs = 15 * 60 * 1000,
+  bloqueoBaseMs = 60 * 1000,
+  bloqueoMaximoMs = 60 * 60 * 1000,
+  memoriaNivelMs = 24 * 60 * 60 * 1000
+} = {}) {
+  return {
+    // Bloqueo vigente: { nivel, expiraAt } o null
+    async bloqueo(identificador) {
+      const entrada = await almacen.obtener(`bloqueo:${identificador}`);
+      return entrada && { nivel: entrada.cuenta, expiraAt: entrada.expiraAt };
+    },
+
+    async registrarFallo(identificador) {
+      const fallos = await almacen.incrementar(`fallos:${identificador}`, ventanaFallosMs);
+      if (fallos.cuenta < intentos) return null;
+
+      const { cuenta: nivel } = await almacen.incrementar(`nivel:${identificador}`, memoriaNivelMs);
+      const duracionMs = Math.min(bloqueoBaseMs * 2 ** (nivel - 1), bloqueoMaximoMs);
+
+      await almacen.fijar(`bloqueo:${identificador}`, nivel, duracionMs);
+      await almacen.eliminar(`fallos:${identificador}`);
+
+      return { nivel, duracionMs, expiraAt: Date.now() + duracionMs };
+    },
+
+    async registrarExito(identificador) {
+      await almacen.eliminar(`fallos:${identificador}`);
+      await almacen.eliminar(`nivel:${identificador}`);
+    },
+
+    async desbloquear(identificador) {
+      await almacen.eliminar(`bloqueo:${identificador}`);
+      await almacen.eliminar(`fallos:${identificador}`);
+      await almacen.eliminar(`nivel:${identificador}`);
+    }
+  };
+}
+
+module.exports = {
+  parsearLimite,
+  crearAlmacenMemoria,
+  crearLimitador,
+  crearProteccionLogin,
+  responderDemasiadas,
+  segundosHasta
+};
@@ -0,0 +1,159 @@
+// Notificaciones a clientes y mensajeros
+// Escucha los eventos de pedidos, decide a quién avisar, respeta sus
+// preferencias por evento y canal y envía por los transportes configurados.
+const { EVENTOS_PEDIDO } = require('../eventos');
+const { distanciaEntre } = require('../geo');
+const { vehiculoAdecuado } = require('../vehiculos');
+const { objeto, booleano, enumeracion } = require('../validacion');
+const { IDIOMAS } = require('../idiomas');
+const { renderizar } = require('./plantillas');
+
+const CANALES = ['email', 'sms', 'push'];
+
+// El SMS tiene coste, así que solo se envía si la persona lo activa
+const PREFERENCIAS_POR_DEFECTO = { email: true, sms: false, push: true };
+
+// Eventos que puede recibir cada rol (y cuyas preferencias puede configurar)
+const EVENTOS_POR_ROL = {
+  usuario: ['pedido.asignado', 'pedido.en_camino', 'pedido.entregado', 'pedido.cancelado', 'pedido.liberado'],
+  mensajero: ['pedido.creado', 'pedido.publicado', 'pedido.ofrecido', 'pedido.recordatorio', 'pedido.cancelado']
+};
+
+// Preferencias completas del rol a partir de las guardadas ({ evento: { canal: bool } })
+function preferenciasEfectivas(guardadas, rol) {
+  const resultado = {};
+  for (const evento of EVENTOS_POR_ROL[rol] || []) {
+    resultado[evento] = { ...PREFERENCIAS_POR_DEFECTO, ...(guardadas && guardadas[evento]) };
+  }
+  return resultado;
+}
+
+// Cuerpo de PUT /api/notificaciones/preferencias: idioma de las notificaciones y
+// solo los eventos del rol y los canales conocidos; lo que se omite conserva su valor
+function esquemaPreferencias(rol) {
+  const canales = objeto(Object.fromEntries(CANALES.map(canal => [canal, booleano().opcional()])));
+  const eventos = EVENTOS_POR_ROL[rol] || [];
+  return objeto({
+    idioma: enumeracion(IDIOMAS).opcional(),
+    preferencias: objeto(Object.fromEntries(eventos.map(evento => [evento, canales.opcional()]))).opcional()
+  });
+}
+
+function crearNotificador({ db, transportes, radioAvisoMetros = 5000, antiguedadUbicacionMs = 30 * 60 * 1000 }) {
+  // Mensajeros activos y en línea cuya última posición conocida es reciente y
+  // está cerca de la recogida (los desconectados no pueden tomar pedidos)
+  async function mensajerosCercanos(pedido) {
+    if (!pedido.ubicacion_venta) return [];
+
+    const desde = new Date(Date.now() - antiguedadUbicacionMs).toISOString();
+    const mensajeros = await db.mensajeros.listar({
+      estado_cuenta: 'activo',
+      disponibilidad: 'en_linea',
+      ultima_ubicacion_at: { gte: desde }
+    });
+
+    return mensajeros
+      .filter(m => m.ultima_ubicacion && vehiculoAdecuado(m.tipo_vehiculo, pedido))
+      .filter(m => distanciaEntre(m.ultima_ubicacion, pedido.ubicacion_venta) <= radioAvisoMetros)
+      .map(m => ({ id: m.id, rol: 'mensajero' }));
+  }
+
+  async function destinatarios(evento, { pedido, actor, oferta }) {
+    // Los pedidos programados se anuncian cuando se publican, no al crearse, y
+    // los del despacho automático solo a quien se le ofrecen
+    if (evento === 'pedido.creado' || evento === 'pedido.publicado') {
+      return pedido.estado === 'disponible' && pedido.despacho_estado !== 'ofertando' ? mensajerosCercanos(pedido) : [];
+    }
+
+    if (evento === 'pedido.ofrecido') {
+      return [{ id: oferta.mensajero_id, rol: 'mensajero' }];
+    }
+
+    if (evento === 'pedido.recordatorio') {
+      return pedido.mensajero_id ? [{ id: pedido.mensajero_id, rol: 'mensajero' }] : [];
+    }
+
+    // Al cancelar se avisa a los participantes que no hicieron la cancelación
+    if (evento === 'pedido.cancelado') {
+      const lista = [];
+      if (pedido.usuario_id && pedido.usuario_id !== actor.id) {
+        lista.push({ id: pedido.usuario_id, rol: 'usuario' });
+      }
+      if (pedido.mensajero_id && pedido.mensajero_id !== actor.id) {
+        lista.push({ id: pedido.mensajero_id, rol: 'mensajero' });
+      }
+      return lista;
+    }
+
+    return pedido.usuario_id ? [{ id: pedido.usuario_id, rol: 'usuario' }] : [];
+  }
+
+  async function enviarPush(personaId, mensaje) {
+    const suscripciones = await db.notificaciones.listarSuscripcionesPush(personaId);
+
+    await Promise.all(suscripciones.map(async s => {
+      try {
+        await transportes.push.enviar({ ...mensaje, suscripcion: { endpoint: s.endpoint, keys: s.claves } });
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await db.notificaciones.eliminarSuscripcionPush(s.endpoint);
+          return;
+        }
+        throw error;
+      }
+    }));
+  }
+
+  async function notificarA({ id, rol }, evento, pedido) {
+    const persona = await (rol === 'usuario' ? db.usuarios : db.mensajeros).obtener(id);
+    if (!persona || persona.estado_cuenta !== 'activo') return;
+
+    const preferencias = preferenciasEfectivas(await db.notificaciones.obtenerPreferencias(id), rol)[evento];
+    const contenido = renderizar(evento, pedido, rol, persona.idioma);
+    if (!preferencias || !contenido) return;
+
+    const envios = [];
+    if (preferencias.email && persona.correo) {
+      envios.push(transportes.email.enviar({ para: persona.correo, asunto: contenido.titulo, texto: contenido.texto }));
+    }
+    if (preferencias.sms && persona.telefono) {
+      envios.push(transportes.sms.enviar({ para: persona.telefono, texto: `A Tu Puerta: ${contenido.texto}` }));
+    }
+    if (preferencias.push) {
+      envios.push(enviarPush(id, { ...contenido, datos: { evento, pedidoId: pedido.id } }));
+    }
+
+    const resultados = await Promise.allSettled(envios);
+    for (const resultado of resultados) {
+      if (resultado.status === 'rejected') {
+        console.error(`Error enviando ${evento} a ${id}:`, resultado.reason);
+      }
+    }
+  }
+
+  async function notificar(evento, datos) {
+    const lista = await destinatarios(evento, datos);
+    await Promise.all(lista.map(destinatario =>
+      notificarA(destinatario, evento, datos.pedido)
+        .catch(error => console.error(`Error notificando ${evento} a ${destinatario.id}:`, error))
+    ));
+  }
+
+  // Suscribe el notificador a todos los eventos de pedidos del bus
+  function conectar(bus) {
+    const cancelaciones = EVENTOS_PEDIDO.map(evento => bus.escuchar(evento, datos => notificar(evento, datos)));
+    return () => cancelaciones.forEach(cancelar => cancelar());
+  }
+
+  return {
+    conectar,
+    notificar
+  };
+}
+
+module.exports = {
+  EVENTOS_POR_ROL,
+  preferenciasEfectivas,
+  esquemaPreferencias,
+  crearNotificador
+};
@@ -0,0 +1,13 @@
+// Textos de las notificaciones por evento
+// Las plantillas están en los catálogos de lib/idiomas (sección notificaciones);
+// cada una recibe el pedido y el rol del destinatario y devuelve { titulo, texto }.
+const { CATALOGOS, idiomaValido } = require('../idiomas');
+
+function renderizar(evento, pedido, rol, idioma) {
+  const plantillas = CATALOGOS[idiomaValido(idioma)].notificaciones;
+  return Object.hasOwn(plantillas, evento) ? plantillas[evento](pedido, rol) : null;
+}
+
+module.exports = {
+  renderizar
+};
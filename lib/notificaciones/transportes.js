@@ -0,0 +1,136 @@
+// Transportes de notificaciones por canal (email, sms, push)
+// Cada transporte expone enviar(mensaje). En desarrollo se usan "consola" o
+// "archivo", que muestran o guardan el mensaje en lugar de enviarlo.
+//
+// Mensajes: email { para, asunto, texto }, sms { para, texto },
+// push { suscripcion, titulo, texto, datos }.
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+
+const ARCHIVO_POR_DEFECTO = path.join(__dirname, '..', '..', 'data', 'notificaciones.log');
+const TIEMPO_ESPERA_SMS_MS = 10000;
+
+function transporteConsola(canal) {
+  return {
+    descripcion: 'consola',
+    async enviar(mensaje) {
+      const { suscripcion, ...resto } = mensaje;
+      console.log(`[notificación ${canal}]`, JSON.stringify(suscripcion ? { ...resto, endpoint: suscripcion.endpoint } : resto));
+    }
+  };
+}
+
+// Una línea JSON por mensaje, útil para revisar lo enviado en pruebas
+function transporteArchivo(canal, ruta) {
+  return {
+    descripcion: `archivo (${ruta})`,
+    async enviar(mensaje) {
+      await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+      const linea = JSON.stringify({ canal, fecha: new Date().toISOString(), ...mensaje });
+      await fs.promises.appendFile(ruta, linea + '\n');
+    }
+  };
+}
+
+function transporteSmtp(config) {
+  if (!config.SMTP_HOST || !config.SMTP_REMITENTE) {
+    throw new Error('El transporte smtp requiere SMTP_HOST y SMTP_REMITENTE');
+  }
+
+  const puerto = Number(config.SMTP_PORT) || 587;
+  const transporte = nodemailer.createTransport({
+    host: config.SMTP_HOST,
+    port: puerto,
+    secure: puerto === 465,
+    auth: config.SMTP_USUARIO ? { user: config.SMTP_USUARIO, pass: config.SMTP_CONTRASENA } : undefined
+  });
+
+  return {
+    descripcion: `smtp (${config.SMTP_HOST}:${puerto})`,
+    async enviar({ para, asunto, texto }) {
+      await transporte.sendMail({ from: config.SMTP_REMITENTE, to: para, subject: asunto, text: texto });
+    }
+  };
+}
+
+// Los teléfonos se guardan con 8 dígitos; las pasarelas esperan formato E.164 (+53...)
+function numeroInternacional(telefono) {
+  const digitos = String(telefono).replace(/\D/g, '');
+  return digitos.length === 8 ? `+53${digitos}` : `+${digitos}`;
+}
+
+// Pasarela SMS genérica por HTTP: POST { to, from, text } con token Bearer
+function transportePasarelaSms(config) {
+  if (!config.SMS_PASARELA_URL) {
+    throw new Error('El transporte pasarela requiere SMS_PASARELA_URL');
+  }
+
+  return {
+    descripcion: `pasarela (${new URL(config.SMS_PASARELA_URL).host})`,
+    async enviar({ para, texto }) {
+      const respuesta = await fetch(config.SMS_PASARELA_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.SMS_PASARELA_TOKEN && { Authorization: `Bearer ${config.SMS_PASARELA_TOKEN}` })
+        },
+        body: JSON.stringify({ to: numeroInternacional(para), from: config.SMS_REMITENTE || undefined, text: texto }),
+        timeout: TIEMPO_ESPERA_SMS_MS
+      });
+
+      if (!respuesta.ok) {
+        throw new Error(`La pasarela SMS respondió ${respuesta.status}`);
+      }
+    }
+  };
+}
+
+// Web Push con claves VAPID. Los errores 404/410 indican que la suscripción
+// ya no existe; se propagan con statusCode para que se pueda borrar.
+function transporteWebPush(config) {
+  if (!config.VAPID_PUBLICA || !config.VAPID_PRIVADA) {
+    throw new Error('El transporte webpush requiere VAPID_PUBLICA y VAPID_PRIVADA');
+  }
+
+  webpush.setVapidDetails(config.VAPID_CONTACTO || 'mailto:soporte@atupuerta.app', config.VAPID_PUBLICA, config.VAPID_PRIVADA);
+
+  return {
+    descripcion: 'webpush',
+    async enviar({ suscripcion, titulo, texto, datos }) {
+      await webpush.sendNotification(suscripcion, JSON.stringify({ titulo, texto, datos }));
+    }
+  };
+}
+
+const TRANSPORTES = {
+  email: { variable: 'NOTIFICACIONES_EMAIL', real: { smtp: transporteSmtp } },
+  sms: { variable: 'NOTIFICACIONES_SMS', real: { pasarela: transportePasarelaSms } },
+  push: { variable: 'NOTIFICACIONES_PUSH', real: { webpush: transporteWebPush } }
+};
+
+function crearTransporte(canal, config = process.env) {
+  const { variable, real } = TRANSPORTES[canal];
+  const nombre = config[variable] || 'consola';
+
+  if (nombre === 'consola') return transporteConsola(canal);
+  if (nombre === 'archivo') return transporteArchivo(canal, config.NOTIFICACIONES_ARCHIVO || ARCHIVO_POR_DEFECTO);
+  if (Object.hasOwn(real, nombre)) return real[nombre](config);
+
+  throw new Error(`${variable} desconocido: ${nombre}`);
+}
+
+function crearTransportes(config = process.env) {
+  return {
+    email: crearTransporte('email', config),
+    sms: crearTransporte('sms', config),
+    push: crearTransporte('push', config)
+  };
+}
+
+module.exports = {
+  crearTransporte,
+  crearTransportes
+};
@@ -0,0 +1,138 @@
+// Recorridos de mensajeros con varios pedidos
+// Ordena las paradas de recogida y entrega de los pedidos activos de un
+// mensajero para que la distancia total sea mínima, con la recogida de cada
+// pedido siempre antes de su entrega. Las distancias son en línea recta; la
+// geometría por calles se pide después a lib/rutas con el orden elegido.
+const { distanciaEntre } = require('./geo');
+
+// Hasta este número de paradas se busca el orden óptimo (programación dinámica
+// sobre subconjuntos, 2^n · n estados); con más se usa el vecino más cercano
+const MAX_PARADAS_EXACTAS = 12;
+
+// Los pedidos "en proceso" aún no se han recogido y tienen las dos paradas;
+// los que van "en camino" solo la entrega
+function paradasDePedidos(pedidos) {
+  const paradas = [];
+  for (const pedido of pedidos) {
+    let recogida = -1;
+    if (pedido.estado === 'en proceso') {
+      recogida = paradas.length;
+      paradas.push({ tipo: 'recogida', pedido, ubicacion: pedido.ubicacion_venta, requisito: -1 });
+    }
+    paradas.push({ tipo: 'entrega', pedido, ubicacion: pedido.ubicacion_entrega, requisito: recogida });
+  }
+  return paradas;
+}
+
+function matrizDistancias(paradas) {
+  return paradas.map(a => paradas.map(b => distanciaEntre(a.ubicacion, b.ubicacion)));
+}
+
+// Orden (índices de paradas) de menor distancia total que respeta los requisitos.
+// Sin origen el recorrido puede empezar en cualquier parada sin requisito.
+function ordenOptimo(paradas, distancias, origen) {
+  const n = paradas.length;
+  const completo = (1 << n) - 1;
+  const coste = Array.from({ length: completo + 1 }, () => new Float64Array(n).fill(Infinity));
+  const anterior = Array.from({ length: completo + 1 }, () => new Int8Array(n).fill(-1));
+
+  paradas.forEach((parada, i) => {
+    if (parada.requisito < 0) {
+      coste[1 << i][i] = origen ? distanciaEntre(origen, parada.ubicacion) : 0;
+    }
+  });
+
+  for (let visitadas = 1; visitadas <= completo; visitadas++) {
+    for (let ultima = 0; ultima < n; ultima++) {
+      const actual = coste[visitadas][ultima];
+      if (actual === Infinity) continue;
+
+      for (let siguiente = 0; siguiente < n; siguiente++) {
+        if (visitadas & (1 << siguiente)) continue;
+        const requisito = paradas[siguiente].requisito;
+        if (requisito >= 0 && !(visitadas & (1 << requisito))) continue;
+
+        const nuevas = visitadas | (1 << siguiente);
+        const candidato = actual + distancias[ultima][siguiente];
+        if (candidato < coste[nuevas][siguiente]) {
+          coste[nuevas][siguiente] = candidato;
+          anterior[nuevas][siguiente] = ultima;
+        }
+      }
+    }
+  }
+
+  let ultima = 0;
+  for (let i = 1; i < n; i++) {
+    if (coste[completo][i] < coste[completo][ultima]) ultima = i;
+  }
+
+  const orden = [];
+  for (let visitadas = completo; ultima >= 0;) {
+    orden.unshift(ultima);
+    const previa = anterior[visitadas][ultima];
+    visitadas &= ~(1 << ultima);
+    ultima = previa;
+  }
+  return orden;
+}
+
+// Aproximación para muchas paradas: siempre la parada permitida más cercana
+function ordenVecinoMasCercano(paradas, distancias, origen) {
+  const pendientes = new Set(paradas.keys());
+  const visitadas = new Set();
+  const orden = [];
+
+  while (pendientes.size > 0) {
+    const ultima = orden[orden.length - 1];
+    let mejor = -1;
+    let mejorDistancia = Infinity;
+
+    for (const i of pendientes) {
+      const requisito = paradas[i].requisito;
+      if (requisito >= 0 && !visitadas.has(requisito)) continue;
+
+      const distancia = ultima !== undefined
+        ? distancias[ultima][i]
+        : origen ? distanciaEntre(origen, paradas[i].ubicacion) : 0;
+      if (distancia < mejorDistancia) {
+        mejor = i;
+        mejorDistancia = distancia;
+      }
+    }
+
+    orden.push(mejor);
+    pendientes.delete(mejor);
+    visitadas.add(mejor);
+  }
+  return orden;
+}
+
+// Devuelve { paradas, distancia }: las paradas en el orden a recorrer, cada una
+// con { tipo, pedido, ubicacion, distancia (m desde la anterior o el origen) }
+function planificarRecorrido(pedidos, origen = null) {
+  const paradas = paradasDePedidos(pedidos);
+  if (paradas.length === 0) return { paradas: [], distancia: 0 };
+
+  const distancias = matrizDistancias(paradas);
+  const orden = paradas.length <= MAX_PARADAS_EXACTAS
+    ? ordenOptimo(paradas, distancias, origen)
+    : ordenVecinoMasCercano(paradas, distancias, origen);
+
+  let total = 0;
+  const ordenadas = orden.map((i, posicion) => {
+    const { requisito, ...parada } = paradas[i];
+    const distancia = posicion > 0
+      ? distancias[orden[posicion - 1]][i]
+      : origen ? distanciaEntre(origen, parada.ubicacion) : 0;
+    total += distancia;
+    return { ...parada, distancia };
+  });
+
+  return { paradas: ordenadas, distancia: total };
+}
+
+module.exports = {
+  MAX_PARADAS_EXACTAS,
+  planificarRecorrido
+};
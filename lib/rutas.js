@@ -0,0 +1,142 @@
+// Cálculo de rutas
+// Usa OpenRouteService con el perfil adecuado al vehículo y guarda las
+// respuestas en caché por coordenadas redondeadas. Si ORS no está configurado
+// o falla, devuelve una estimación a partir de la distancia en línea recta
+// marcada como aproximada.
+const fetch = require('node-fetch');
+const { distanciaEntre, codificarPolilinea } = require('./geo');
+
+const PERFILES_VEHICULO = {
+  bicicleta: 'cycling-regular',
+  moto: 'driving-car',
+  carro: 'driving-car'
+};
+const PERFIL_POR_DEFECTO = 'driving-car';
+
+// Velocidad media (km/h) por perfil para las estimaciones sin ORS
+const VELOCIDAD_MEDIA_KMH = {
+  'cycling-regular': 14,
+  'driving-car': 30
+};
+// Las calles añaden recorrido respecto a la línea recta
+const FACTOR_DESVIO = 1.3;
+
+const TIMEOUT_MS = 8000;
+const TTL_CACHE_MS = Number(process.env.RUTAS_CACHE_TTL_MS) || 10 * 60 * 1000;
+const MAX_ENTRADAS_CACHE = 500;
+// 4 decimales ≈ 11 m: peticiones desde casi el mismo punto comparten resultado
+const DECIMALES_CACHE = 4;
+
+const cache = new Map();
+
+function perfilParaVehiculo(tipoVehiculo) {
+  return PERFILES_VEHICULO[tipoVehiculo] || PERFIL_POR_DEFECTO;
+}
+
+function claveCache(perfil, puntos) {
+  return perfil + '|' + puntos
+    .map(p => `${p.lat.toFixed(DECIMALES_CACHE)},${p.lng.toFixed(DECIMALES_CACHE)}`)
+    .join(';');
+}
+
+function leerCache(clave) {
+  const entrada = cache.get(clave);
+  if (!entrada) return null;
+  if (entrada.expira < Date.now()) {
+    cache.delete(clave);
+    return null;
+  }
+  return entrada.ruta;
+}
+
+function guardarCache(clave, ruta) {
+  // Map conserva el orden de inserción: se descarta la entrada más antigua
+  if (cache.size >= MAX_ENTRADAS_CACHE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(clave, { ruta, expira: Date.now() + TTL_CACHE_MS });
+}
+
+function estimarRuta(puntos, perfil) {
+  let lineaRecta = 0;
+  for (let i = 1; i < puntos.length; i++) {
+    lineaRecta += distanciaEntre(puntos[i - 1], puntos[i]);
+  }
+  const distancia = lineaRecta * FACTOR_DESVIO;
+  const velocidadMs = VELOCIDAD_MEDIA_KMH[perfil] * 1000 / 3600;
+
+  return {
+    distancia,
+    duracion: distancia / velocidadMs,
+    geometria: codificarPolilinea(puntos)
+  };
+}
+
+async function consultarORS(puntos, perfil, apiKey) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`https://api.openrouteservice.org/v2/directions/${perfil}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': apiKey
+      },
+      body: JSON.stringify({
+        coordinates: puntos.map(p => [p.lng, p.lat])
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Error ORS: ${errorText}`);
+    }
+
+    const data = await response.json();
+    return {
+      distancia: data.routes[0].summary.distance,
+      duracion: data.routes[0].summary.duration,
+      geometria: data.routes[0].geometry
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Timeout al calcular la ruta');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Ruta que pasa por los puntos { lat, lng } en orden (origen, paradas, destino).
+// Devuelve { distancia (m), duracion (s), geometria, perfil, aproximada }.
+async function calcularRuta(puntos, { tipoVehiculo } = {}) {
+  const perfil = perfilParaVehiculo(tipoVehiculo);
+  const clave = claveCache(perfil, puntos);
+
+  const enCache = leerCache(clave);
+  if (enCache) {
+    return { ...enCache, perfil, aproximada: false };
+  }
+
+  const apiKey = process.env.OPENROUTE_API_KEY;
+  if (apiKey) {
+    try {
+      const ruta = await consultarORS(puntos, perfil, apiKey);
+      guardarCache(clave, ruta);
+      return { ...ruta, perfil, aproximada: false };
+    } catch (error) {
+      console.error('ORS no disponible, se usa una ruta estimada:', error.message);
+    }
+  }
+
+  return { ...estimarRuta(puntos, perfil), perfil, aproximada: true };
+}
+
+module.exports = {
+  PERFILES_VEHICULO,
+  perfilParaVehiculo,
+  calcularRuta
+};
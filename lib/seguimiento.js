@@ -0,0 +1,27 @@
+// Canal en memoria para el seguimiento en vivo de pedidos
+// Las rutas publican ubicaciones, cambios de estado y ETA; los streams SSE
+// abiertos sobre un pedido reciben cada evento mientras estén conectados.
+const { EventEmitter } = require('events');
+
+const emisor = new EventEmitter();
+emisor.setMaxListeners(0);
+
+function publicar(pedidoId, tipo, datos) {
+  emisor.emit(pedidoId, { tipo, datos });
+}
+
+// Devuelve la función para cancelar la suscripción
+function suscribir(pedidoId, oyente) {
+  emisor.on(pedidoId, oyente);
+  return () => emisor.off(pedidoId, oyente);
+}
+
+function suscriptores(pedidoId) {
+  return emisor.listenerCount(pedidoId);
+}
+
+module.exports = {
+  publicar,
+  suscribir,
+  suscriptores
+};
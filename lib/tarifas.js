@@ -0,0 +1,107 @@
+// Motor de tarifas de entrega
+// El precio se calcula siempre en el servidor a partir de la distancia de la
+// ruta, el tipo de vehículo y los recargos horarios vigentes.
+
+const { objeto, texto, numero } = require('./validacion');
+
+// Tarifas usadas mientras no se configuren tarifas de vehículo en la base de
+// datos (CUP). Las migraciones siembran los mismos valores en las tablas
+const TARIFAS_POR_DEFECTO = {
+  vehiculos: [
+    { tipo_vehiculo: 'bicicleta', tarifa_base: 80, precio_km: 30, tarifa_minima: 100 },
+    { tipo_vehiculo: 'moto', tarifa_base: 120, precio_km: 45, tarifa_minima: 150 },
+    { tipo_vehiculo: 'carro', tarifa_base: 200, precio_km: 70, tarifa_minima: 250 }
+  ],
+  recargos: [
+    { nombre: 'Nocturno', hora_inicio: '22:00', hora_fin: '06:00', porcentaje: 20 }
+  ]
+};
+
+const ZONA_HORARIA = process.env.ZONA_HORARIA_TARIFAS || 'America/Havana';
+
+function redondear(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+function minutosDelDia(hora) {
+  const [h, m] = hora.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Minutos transcurridos del día en la zona horaria de las tarifas
+function minutosLocales(fecha) {
+  const partes = new Intl.DateTimeFormat('en-GB', {
+    timeZone: ZONA_HORARIA,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(fecha);
+  const hora = Number(partes.find(p => p.type === 'hour').value);
+  const minuto = Number(partes.find(p => p.type === 'minute').value);
+  return hora * 60 + minuto;
+}
+
+// Las franjas pueden cruzar la medianoche (p. ej. 22:00 - 06:00)
+function recargoAplica(recargo, minutos) {
+  const inicio = minutosDelDia(recargo.hora_inicio);
+  const fin = minutosDelDia(recargo.hora_fin);
+  if (inicio <= fin) {
+    return minutos >= inicio && minutos < fin;
+  }
+  return minutos >= inicio || minutos < fin;
+}
+
+// Cuerpos de las rutas de administración de tarifas
+const ESQUEMA_TARIFA_VEHICULO = objeto({
+  tarifa_base: numero({ min: 0 }),
+  precio_km: numero({ min: 0 }),
+  tarifa_minima: numero({ min: 0 })
+});
+
+const HORA = texto({ patron: /^([01]\d|2[0-3]):[0-5]\d$/, codigo: 'HORA_INVALIDA' });
+
+const ESQUEMA_RECARGO = objeto({
+  nombre: texto({ max: 100 }),
+  hora_inicio: HORA,
+  hora_fin: HORA,
+  porcentaje: numero({ min: 0 })
+});
+
+// Calcula el precio de una entrega.
+// distancia en metros; tablas con la forma de TARIFAS_POR_DEFECTO.
+// Devuelve { error } si el tipo de vehículo no tiene tarifa.
+function calcularTarifa({ distancia, tipoVehiculo, fecha = new Date(), tablas = TARIFAS_POR_DEFECTO }) {
+  const tarifa = tablas.vehiculos.find(t => t.tipo_vehiculo === tipoVehiculo);
+  if (!tarifa) {
+    return { error: `No hay tarifa para el tipo de vehículo "${tipoVehiculo}"` };
+  }
+
+  const km = distancia / 1000;
+  const subtotal = Math.max(tarifa.tarifa_minima, tarifa.tarifa_base + km * tarifa.precio_km);
+
+  const minutos = minutosLocales(fecha);
+  const recargos = tablas.recargos.filter(r => recargoAplica(r, minutos));
+  const porcentajeRecargo = recargos.reduce((total, r) => total + r.porcentaje, 0);
+  const importeRecargo = subtotal * porcentajeRecargo / 100;
+
+  return {
+    precio: redondear(subtotal + importeRecargo),
+    desglose: {
+      tipo_vehiculo: tipoVehiculo,
+      distancia_km: redondear(km),
+      tarifa_base: tarifa.tarifa_base,
+      precio_km: tarifa.precio_km,
+      tarifa_minima: tarifa.tarifa_minima,
+      subtotal: redondear(subtotal),
+      recargos: recargos.map(r => ({ nombre: r.nombre, porcentaje: r.porcentaje })),
+      importe_recargos: redondear(importeRecargo)
+    }
+  };
+}
+
+module.exports = {
+  TARIFAS_POR_DEFECTO,
+  calcularTarifa,
+  ESQUEMA_TARIFA_VEHICULO,
+  ESQUEMA_RECARGO
+};
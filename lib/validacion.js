@@ -0,0 +1,200 @@
+// Esquemas de validación de las peticiones (body, params y query)
+// Cada esquema comprueba y normaliza un valor: los textos se recortan, los
+// números y booleanos de la query se convierten y los campos que un objeto no
+// declara se descartan. Los fallos se acumulan por campo con un código estable
+// ({ campo, codigo, datos }); los mensajes están en lib/idiomas.
+const { enviarError } = require('./errores');
+
+// ajustes: opcional, nulable y porDefecto (valor o función que lo devuelve)
+function crearEsquema(comprobar, ajustes = {}) {
+  return {
+    comprobar,
+    ajustes,
+    opcional: () => crearEsquema(comprobar, { ...ajustes, opcional: true }),
+    nulable: () => crearEsquema(comprobar, { ...ajustes, opcional: true, nulable: true }),
+    porDefecto: valor => crearEsquema(comprobar, { ...ajustes, porDefecto: valor })
+  };
+}
+
+function nombreCampo(ruta) {
+  return ruta.reduce((nombre, parte) => {
+    if (typeof parte === 'number') return `${nombre}[${parte}]`;
+    return nombre ? `${nombre}.${parte}` : parte;
+  }, '');
+}
+
+function fallo(contexto, codigo, datos = null) {
+  contexto.errores.push({ campo: nombreCampo(contexto.ruta), codigo, datos });
+}
+
+// Un valor ausente, null o un texto vacío cuentan como no enviados
+function aplicar(esquema, valor, contexto) {
+  const { opcional, nulable, porDefecto } = esquema.ajustes;
+
+  if (valor === null && nulable) return null;
+
+  if (valor === undefined || valor === null || (typeof valor === 'string' && !valor.trim())) {
+    if (porDefecto !== undefined) return typeof porDefecto === 'function' ? porDefecto() : porDefecto;
+    if (!opcional) fallo(contexto, 'REQUERIDO');
+    return undefined;
+  }
+
+  return esquema.comprobar(valor, contexto);
+}
+
+function esObjetoPlano(valor) {
+  return typeof valor === 'object' && valor !== null && !Array.isArray(valor);
+}
+
+// Solo se conservan los campos declarados
+function objeto(campos) {
+  return crearEsquema((valor, contexto) => {
+    if (!esObjetoPlano(valor)) return fallo(contexto, 'DEBE_SER_OBJETO');
+
+    const resultado = {};
+    for (const [nombre, esquema] of Object.entries(campos)) {
+      const limpio = aplicar(esquema, Object.hasOwn(valor, nombre) ? valor[nombre] : undefined, {
+        ...contexto,
+        ruta: [...contexto.ruta, nombre]
+      });
+      if (limpio !== undefined) resultado[nombre] = limpio;
+    }
+    return resultado;
+  });
+}
+
+function lista(elemento, { max } = {}) {
+  return crearEsquema((valor, contexto) => {
+    if (!Array.isArray(valor)) return fallo(contexto, 'DEBE_SER_LISTA');
+    if (max !== undefined && valor.length > max) return fallo(contexto, 'MAXIMO_ELEMENTOS', { max });
+
+    return valor.map((item, indice) => aplicar(elemento, item, { ...contexto, ruta: [...contexto.ruta, indice] }));
+  });
+}
+
+// Texto recortado (salvo recortar: false, p. ej. contraseñas).
+// patron o prueba(valor) añaden una comprobación que falla con el código indicado.
+function texto({ min, max = 255, patron, prueba, codigo = 'FORMATO_INVALIDO', recortar = true, minusculas = false } = {}) {
+  return crearEsquema((valor, contexto) => {
+    if (typeof valor !== 'string') return fallo(contexto, 'DEBE_SER_TEXTO');
+
+    let limpio = recortar ? valor.trim() : valor;
+    if (min !== undefined && limpio.length < min) return fallo(contexto, 'LONGITUD_MINIMA', { min });
+    if (limpio.length > max) return fallo(contexto, 'LONGITUD_MAXIMA', { max });
+    if ((patron && !patron.test(limpio)) || (prueba && !prueba(limpio))) return fallo(contexto, codigo);
+
+    if (minusculas) limpio = limpio.toLowerCase();
+    return limpio;
+  });
+}
+
+function enumeracion(valores) {
+  return crearEsquema((valor, contexto) => {
+    if (typeof valor !== 'string') return fallo(contexto, 'DEBE_SER_TEXTO');
+    const limpio = valor.trim();
+    if (!valores.includes(limpio)) return fallo(contexto, 'VALOR_NO_PERMITIDO', { valores });
+    return limpio;
+  });
+}
+
+// Lista en un solo texto separada por comas (filtros de la query: estado=a,b)
+function separadoPorComas(elemento) {
+  return crearEsquema((valor, contexto) => {
+    if (typeof valor !== 'string') return fallo(contexto, 'DEBE_SER_TEXTO');
+
+    const partes = valor.split(',').map(parte => parte.trim()).filter(Boolean);
+    const errores = contexto.errores.length;
+    const resultado = partes.map(parte => aplicar(elemento, parte, contexto));
+    return contexto.errores.length > errores ? undefined : resultado;
+  });
+}
+
+// En la query y en los params los números llegan como texto
+function numero({ min, max, entero = false } = {}) {
+  return crearEsquema((valor, contexto) => {
+    const convertido = contexto.desdeTexto && typeof valor === 'string' ? Number(valor) : valor;
+
+    if (typeof convertido !== 'number' || !Number.isFinite(convertido)) {
+      return fallo(contexto, entero ? 'DEBE_SER_ENTERO' : 'DEBE_SER_NUMERO');
+    }
+    if (entero && !Number.isInteger(convertido)) return fallo(contexto, 'DEBE_SER_ENTERO');
+    if (min !== undefined && convertido < min) return fallo(contexto, 'MINIMO', { min });
+    if (max !== undefined && convertido > max) return fallo(contexto, 'MAXIMO', { max });
+
+    return convertido;
+  });
+}
+
+function entero(opciones = {}) {
+  return numero({ ...opciones, entero: true });
+}
+
+function booleano() {
+  return crearEsquema((valor, contexto) => {
+    if (contexto.desdeTexto && (valor === 'true' || valor === 'false')) return valor === 'true';
+    if (typeof valor !== 'boolean') return fallo(contexto, 'DEBE_SER_BOOLEANO');
+    return valor;
+  });
+}
+
+// Fecha ISO 8601; se conserva el texto original (una fecha sin hora abarca el día entero)
+function fecha() {
+  return crearEsquema((valor, contexto) => {
+    if (typeof valor !== 'string' || isNaN(new Date(valor))) return fallo(contexto, 'FECHA_INVALIDA');
+    return valor.trim();
+  });
+}
+
+function coordenadas() {
+  return objeto({
+    lat: numero({ min: -90, max: 90 }),
+    lng: numero({ min: -180, max: 180 })
+  });
+}
+
+// Devuelve { valor, errores }; errores vacío si el valor es válido
+function validarValor(esquema, valor, { desdeTexto = false } = {}) {
+  const contexto = { ruta: [], desdeTexto, errores: [] };
+  const limpio = aplicar(esquema, valor, contexto);
+  return { valor: limpio, errores: contexto.errores };
+}
+
+// Middleware: valida params, query y body con los esquemas indicados y los
+// sustituye por su versión limpia. Un esquema puede ser una función de la
+// petición cuando los campos dependen del rol o de los params.
+function validar(esquemas) {
+  return (req, res, next) => {
+    const errores = [];
+
+    for (const parte of ['params', 'query', 'body']) {
+      if (!esquemas[parte]) continue;
+
+      const esquema = typeof esquemas[parte] === 'function' ? esquemas[parte](req) : esquemas[parte];
+      const resultado = validarValor(esquema, req[parte] || {}, { desdeTexto: parte !== 'body' });
+
+      // Un fallo en la raíz (p. ej. un body que no es un objeto) se atribuye a la parte
+      errores.push(...resultado.errores.map(error => error.campo ? error : { ...error, campo: parte }));
+      req[parte] = resultado.valor || {};
+    }
+
+    if (errores.length > 0) {
+      return enviarError(res, 'VALIDACION', null, errores);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  objeto,
+  lista,
+  texto,
+  enumeracion,
+  separadoPorComas,
+  numero,
+  entero,
+  booleano,
+  fecha,
+  coordenadas,
+  validarValor,
+  validar
+};
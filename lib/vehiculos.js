@@ -0,0 +1,49 @@
+// Reglas sobre tipos de vehículo de los mensajeros
+
+// Tipos de vehículo admitidos; el resto del módulo, los perfiles de ruta y las
+// tarifas usan exactamente estos valores
+const TIPOS_VEHICULO = ['bicicleta', 'moto', 'carro'];
+
+// Vehículos capaces de atender un pedido según el vehículo que pidió el cliente:
+// un vehículo mayor puede llevar la carga de uno menor, pero no al revés
+const VEHICULOS_ADECUADOS = {
+  bicicleta: ['bicicleta', 'moto', 'carro'],
+  moto: ['moto', 'carro'],
+  carro: ['carro']
+};
+
+// Distancia máxima de entrega (m) por vehículo del mensajero
+const DISTANCIA_MAXIMA_ENTREGA = {
+  bicicleta: 8000
+};
+
+// Pedidos que un mensajero puede llevar a la vez en un recorrido según su vehículo
+const CAPACIDAD_POR_VEHICULO = {
+  bicicleta: 2,
+  moto: 3,
+  carro: 5
+};
+const CAPACIDAD_POR_DEFECTO = 1;
+
+function capacidadVehiculo(tipoVehiculo) {
+  return CAPACIDAD_POR_VEHICULO[tipoVehiculo] || CAPACIDAD_POR_DEFECTO;
+}
+
+// Indica si un mensajero con ese vehículo puede atender el pedido
+function vehiculoAdecuado(tipoVehiculo, pedido) {
+  if (pedido.tipo_vehiculo && VEHICULOS_ADECUADOS[pedido.tipo_vehiculo] &&
+      !VEHICULOS_ADECUADOS[pedido.tipo_vehiculo].includes(tipoVehiculo)) {
+    return false;
+  }
+
+  const maxima = DISTANCIA_MAXIMA_ENTREGA[tipoVehiculo];
+  return !maxima || !pedido.distancia || pedido.distancia <= maxima;
+}
+
+module.exports = {
+  TIPOS_VEHICULO,
+  VEHICULOS_ADECUADOS,
+  CAPACIDAD_POR_VEHICULO,
+  capacidadVehiculo,
+  vehiculoAdecuado
+};
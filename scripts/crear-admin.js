@@ -0,0 +1,28 @@
+// Crea una cuenta de administrador con el driver configurado en DB_DRIVER
+// Uso: npm run db:crear-admin -- <correo> <contrasena> [nombres] [apellidos]
+require('dotenv').config();
+const { crearAlmacen } = require('../lib/db');
+
+async function main() {
+  const [correo, contrasena, nombres = 'Administrador', apellidos = ''] = process.argv.slice(2);
+
+  if (!correo || !contrasena) {
+    console.error('Uso: npm run db:crear-admin -- <correo> <contrasena> [nombres] [apellidos]');
+    process.exit(1);
+  }
+
+  const db = crearAlmacen();
+  await db.iniciar();
+  const cuenta = await db.auth.registrar({
+    correo,
+    contrasena,
+    metadatos: { nombres, apellidos, telefono: null, rol: 'admin' }
+  });
+  console.log(`Administrador creado: ${cuenta.email} (${cuenta.id})`);
+  await db.cerrar();
+}
+
+main().catch(error => {
+  console.error(error.code === 'DUPLICADO' ? 'El correo ya está registrado' : error.message);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+// Crea o actualiza el esquema de la base de datos SQLite local
+// Uso: npm run db:migrar (la ruta se toma de SQLITE_PATH)
+require('dotenv').config();
+const { crearAlmacen } = require('../lib/db');
+
+async function main() {
+  const db = crearAlmacen({ ...process.env, DB_DRIVER: 'sqlite' });
+  const aplicadas = await db.iniciar();
+  console.log(aplicadas.length > 0
+    ? `${aplicadas.length} migración(es) aplicada(s) en ${db.descripcion}`
+    : `El esquema de ${db.descripcion} ya está actualizado`);
+  await db.cerrar();
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+-- Fechas de cada transición y autor del último cambio
+alter table pedidos
+  add column if not exists asignado_at timestamptz,
+  add column if not exists en_camino_at timestamptz,
+  add column if not exists entregado_at timestamptz,
+  add column if not exists cancelado_at timestamptz,
+  add column if not exists actualizado_por uuid;
+
+-- Historial de transiciones de estado
+create table if not exists pedido_transiciones (
+  id bigint generated always as identity primary key,
+  pedido_id text not null references pedidos (id) on delete cascade,
+  accion text not null,
+  estado_anterior text not null,
+  estado_nuevo text not null,
+  actor_id uuid not null,
+  actor_rol text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pedido_transiciones_pedido_idx
+  on pedido_transiciones (pedido_id, created_at);
@@ -0,0 +1,9 @@
+-- Datos de cancelación de pedidos
+alter table pedidos
+  add column if not exists motivo_cancelacion text,
+  add column if not exists cancelado_por uuid,
+  add column if not exists cancelado_por_rol text;
+
+-- Motivo indicado al cancelar o devolver un pedido
+alter table pedido_transiciones
+  add column if not exists motivo text;
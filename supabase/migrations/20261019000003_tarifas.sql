@@ -0,0 +1,33 @@
+-- Tarifas de entrega por tipo de vehículo (CUP)
+create table if not exists tarifas_vehiculo (
+  tipo_vehiculo text primary key,
+  tarifa_base numeric not null check (tarifa_base >= 0),
+  precio_km numeric not null check (precio_km >= 0),
+  tarifa_minima numeric not null check (tarifa_minima >= 0),
+  updated_at timestamptz not null default now()
+);
+
+-- Recargos por franja horaria (hora local de Cuba)
+create table if not exists tarifas_recargos (
+  id bigint generated always as identity primary key,
+  nombre text not null,
+  hora_inicio text not null,
+  hora_fin text not null,
+  porcentaje numeric not null check (porcentaje >= 0)
+);
+
+insert into tarifas_vehiculo (tipo_vehiculo, tarifa_base, precio_km, tarifa_minima) values
+  ('bicicleta', 80, 30, 100),
+  ('moto', 120, 45, 150),
+  ('carro', 200, 70, 250)
+on conflict (tipo_vehiculo) do nothing;
+
+insert into tarifas_recargos (nombre, hora_inicio, hora_fin, porcentaje)
+select 'Nocturno', '22:00', '06:00', 20
+where not exists (select 1 from tarifas_recargos);
+
+-- Precio y distancia calculados por el servidor
+alter table pedidos
+  add column if not exists tipo_vehiculo text,
+  add column if not exists precio numeric,
+  add column if not exists distancia numeric;
@@ -0,0 +1,19 @@
+-- Código de un solo uso que el cliente entrega al mensajero
+alter table pedidos
+  add column if not exists codigo_entrega text;
+
+-- Intentos de recogida o entrega rechazados
+create table if not exists pedido_intentos_fallidos (
+  id bigint generated always as identity primary key,
+  pedido_id text not null references pedidos (id) on delete cascade,
+  actor_id uuid not null,
+  tipo text not null check (tipo in ('recogida', 'entrega')),
+  motivo text not null,
+  lat double precision,
+  lng double precision,
+  distancia double precision,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pedido_intentos_fallidos_pedido_idx
+  on pedido_intentos_fallidos (pedido_id, created_at);
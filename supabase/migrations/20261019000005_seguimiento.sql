@@ -0,0 +1,16 @@
+-- Última posición conocida del mensajero para el pedido
+alter table pedidos
+  add column if not exists ultima_ubicacion jsonb;
+
+-- Rastro de posiciones enviadas por el mensajero
+create table if not exists pedido_ubicaciones (
+  id bigint generated always as identity primary key,
+  pedido_id text not null references pedidos (id) on delete cascade,
+  mensajero_id uuid not null,
+  lat double precision not null,
+  lng double precision not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pedido_ubicaciones_pedido_idx
+  on pedido_ubicaciones (pedido_id, created_at);
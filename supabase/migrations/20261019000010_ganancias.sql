@@ -0,0 +1,30 @@
+-- Liquidaciones pagadas a los mensajeros
+create table if not exists liquidaciones (
+  id bigint generated always as identity primary key,
+  mensajero_id uuid not null,
+  hasta timestamptz not null,
+  importe numeric not null default 0,
+  entregas integer not null default 0,
+  referencia text,
+  liquidado_por uuid not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists liquidaciones_mensajero_idx
+  on liquidaciones (mensajero_id, created_at);
+
+-- Libro de ganancias: una entrada por pedido entregado
+create table if not exists ganancias (
+  id bigint generated always as identity primary key,
+  pedido_id text not null unique references pedidos (id),
+  mensajero_id uuid not null,
+  importe_total numeric not null,
+  porcentaje_comision numeric not null,
+  comision numeric not null,
+  importe_mensajero numeric not null,
+  liquidacion_id bigint references liquidaciones (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ganancias_mensajero_idx
+  on ganancias (mensajero_id, created_at);
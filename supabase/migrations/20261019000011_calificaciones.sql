@@ -0,0 +1,16 @@
+-- Calificaciones mutuas tras la entrega: el cliente califica al mensajero y viceversa
+create table if not exists calificaciones (
+  id bigint generated always as identity primary key,
+  pedido_id text not null references pedidos (id) on delete cascade,
+  autor_id uuid not null,
+  autor_rol text not null check (autor_rol in ('usuario', 'mensajero')),
+  calificado_id uuid not null,
+  calificado_rol text not null check (calificado_rol in ('usuario', 'mensajero')),
+  puntuacion smallint not null check (puntuacion between 1 and 5),
+  comentario text,
+  created_at timestamptz not null default now(),
+  unique (pedido_id, autor_id)
+);
+
+create index if not exists calificaciones_calificado_idx
+  on calificaciones (calificado_id, created_at);
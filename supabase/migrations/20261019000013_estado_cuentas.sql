@@ -0,0 +1,20 @@
+-- Aprobación de mensajeros y suspensión de cuentas.
+-- Las cuentas existentes quedan activas; los mensajeros nuevos se registran como pendientes.
+alter table usuarios
+  add column if not exists estado_cuenta text not null default 'activo'
+    check (estado_cuenta in ('pendiente', 'activo', 'rechazado', 'suspendido')),
+  add column if not exists motivo_estado text,
+  add column if not exists estado_actualizado_por uuid,
+  add column if not exists estado_actualizado_at timestamptz;
+
+alter table mensajeros
+  add column if not exists estado_cuenta text not null default 'activo'
+    check (estado_cuenta in ('pendiente', 'activo', 'rechazado', 'suspendido')),
+  add column if not exists motivo_estado text,
+  add column if not exists estado_actualizado_por uuid,
+  add column if not exists estado_actualizado_at timestamptz,
+  -- Referencias a los documentos aportados en el registro (licencia, matrícula...)
+  add column if not exists documentos jsonb not null default '[]';
+
+create index if not exists mensajeros_estado_cuenta_idx
+  on mensajeros (estado_cuenta, created_at);
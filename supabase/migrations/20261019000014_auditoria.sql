@@ -0,0 +1,38 @@
+-- Registro de auditoría de pedidos, acciones de administración y sesiones
+create table if not exists auditoria (
+  id bigint generated always as identity primary key,
+  entidad text not null,
+  entidad_id text,
+  accion text not null,
+  actor_id uuid,
+  actor_rol text,
+  ip text,
+  antes jsonb,
+  despues jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auditoria_entidad_idx
+  on auditoria (entidad, entidad_id, created_at);
+create index if not exists auditoria_actor_idx
+  on auditoria (actor_id, created_at);
+create index if not exists auditoria_fecha_idx
+  on auditoria (created_at);
+
+-- Solo se permiten inserciones, también para la service role
+create or replace function auditoria_solo_insercion() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'El registro de auditoría no se puede modificar';
+end;
+$$;
+
+drop trigger if exists auditoria_sin_modificaciones on auditoria;
+create trigger auditoria_sin_modificaciones
+  before update or delete on auditoria
+  for each row execute function auditoria_solo_insercion();
+
+drop trigger if exists auditoria_sin_truncate on auditoria;
+create trigger auditoria_sin_truncate
+  before truncate on auditoria
+  for each statement execute function auditoria_solo_insercion();
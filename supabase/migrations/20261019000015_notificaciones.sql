@@ -0,0 +1,22 @@
+-- Última posición conocida del mensajero, para avisarle de pedidos cercanos
+alter table mensajeros
+  add column if not exists ultima_ubicacion jsonb,
+  add column if not exists ultima_ubicacion_at timestamptz;
+
+-- Preferencias por evento y canal: { "pedido.asignado": { "email": true, "sms": false, "push": true } }
+create table if not exists preferencias_notificacion (
+  persona_id uuid primary key,
+  preferencias jsonb not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+-- Suscripciones Web Push de cada navegador o dispositivo
+create table if not exists suscripciones_push (
+  endpoint text primary key,
+  persona_id uuid not null,
+  claves jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists suscripciones_push_persona_idx
+  on suscripciones_push (persona_id);
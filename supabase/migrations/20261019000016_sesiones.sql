@@ -0,0 +1,27 @@
+-- Refresh tokens. Solo se guarda el hash; cada renovación crea un token nuevo
+-- en la misma familia y marca el anterior como rotado.
+create table if not exists sesiones (
+  id uuid primary key,
+  persona_id uuid not null,
+  rol text not null,
+  familia uuid not null,
+  token_hash text not null unique,
+  datos_token jsonb not null default '{}',
+  ip text,
+  agente text,
+  expira_at timestamptz not null,
+  rotado_at timestamptz,
+  revocado_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sesiones_persona_idx on sesiones (persona_id);
+create index if not exists sesiones_familia_idx on sesiones (familia);
+
+-- Versión de los tokens de acceso de cada cuenta; al incrementarla se
+-- invalidan todos los tokens emitidos antes
+create table if not exists versiones_token (
+  persona_id uuid primary key,
+  version integer not null default 0,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,9 @@
+-- Contadores de límites de peticiones y bloqueos compartidos entre instancias
+-- (solo se usa con LIMITES_ALMACEN=compartido)
+create table if not exists limites (
+  clave text primary key,
+  cuenta integer not null,
+  expira_at timestamptz not null
+);
+
+create index if not exists limites_expira_idx on limites (expira_at);
@@ -0,0 +1,7 @@
+-- Idioma de las notificaciones de cada persona (catálogos de lib/idiomas).
+-- Se fija al registrarse según Accept-Language y se cambia en las preferencias.
+alter table usuarios
+  add column if not exists idioma text not null default 'es' check (idioma in ('es', 'en'));
+
+alter table mensajeros
+  add column if not exists idioma text not null default 'es' check (idioma in ('es', 'en'));
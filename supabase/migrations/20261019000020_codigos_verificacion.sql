@@ -0,0 +1,13 @@
+-- Códigos de un solo uso enviados por SMS o correo (p. ej. al cambiar el teléfono
+-- o el correo). clave identifica el propósito y la cuenta; solo se guarda el hash.
+create table if not exists codigos_verificacion (
+  clave text primary key,
+  persona_id uuid not null,
+  destino text not null,
+  codigo_hash text not null,
+  intentos integer not null default 0,
+  expira_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists codigos_verificacion_persona_idx on codigos_verificacion (persona_id);
@@ -0,0 +1,8 @@
+-- Momento en que se confirmó el teléfono con un código por SMS (al registrarse,
+-- al entrar con un código o al cambiarlo desde el perfil). Con
+-- VERIFICAR_TELEFONO_REGISTRO=true es obligatorio para entrar con contraseña.
+alter table usuarios
+  add column if not exists telefono_verificado_at timestamptz;
+
+alter table mensajeros
+  add column if not exists telefono_verificado_at timestamptz;
@@ -0,0 +1,13 @@
+-- Pedidos programados
+-- Con ventana el pedido queda en estado "programado" hasta que el programador
+-- del backend lo publica (publicado_at). recordatorio_at indica que ya se avisó
+-- al mensajero y vencido_at que nadie lo tomó antes de que acabara la ventana.
+alter table pedidos
+  add column if not exists ventana_inicio timestamptz,
+  add column if not exists ventana_fin timestamptz,
+  add column if not exists publicado_at timestamptz,
+  add column if not exists recordatorio_at timestamptz,
+  add column if not exists vencido_at timestamptz;
+
+create index if not exists pedidos_estado_ventana_idx
+  on pedidos (estado, ventana_inicio);
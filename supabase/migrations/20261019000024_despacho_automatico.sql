@@ -0,0 +1,37 @@
+-- Despacho automático
+-- configuracion guarda ajustes que los administradores cambian sin reiniciar
+-- (clave "despacho": { activo }). Con el modo activo cada pedido disponible se
+-- ofrece a un mensajero cada vez (ofertas_pedido). pedidos.despacho_estado vale
+-- "ofertando" mientras se ofrece, "asignado" si un mensajero aceptó la oferta y
+-- "agotado" si nadie la aceptó y el pedido queda para quien lo tome primero.
+create table if not exists configuracion (
+  clave text primary key,
+  valor jsonb not null,
+  actualizado_por uuid,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists ofertas_pedido (
+  id bigint generated always as identity primary key,
+  pedido_id text not null references pedidos (id) on delete cascade,
+  mensajero_id uuid not null,
+  orden integer not null,
+  estado text not null default 'pendiente'
+    check (estado in ('pendiente', 'aceptada', 'rechazada', 'caducada', 'anulada')),
+  distancia double precision,
+  calificacion numeric,
+  expira_at timestamptz not null,
+  respondida_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ofertas_pedido_pedido_idx
+  on ofertas_pedido (pedido_id, orden);
+create index if not exists ofertas_pedido_mensajero_idx
+  on ofertas_pedido (mensajero_id, estado);
+create index if not exists ofertas_pedido_estado_idx
+  on ofertas_pedido (estado, expira_at);
+
+alter table pedidos
+  add column if not exists despacho_estado text,
+  add column if not exists despacho_at timestamptz;
@@ -0,0 +1,27 @@
+-- Disponibilidad de los mensajeros
+-- disponibilidad es "en_linea" o "desconectado"; el backend pasa a desconectado a
+-- quien deja de enviar latidos (ultimo_latido_at) o termina su turno declarado.
+-- finalizado_at marca los turnos que el backend ya cerró.
+alter table mensajeros
+  add column if not exists disponibilidad text not null default 'desconectado'
+    check (disponibilidad in ('en_linea', 'desconectado')),
+  add column if not exists en_linea_desde timestamptz,
+  add column if not exists ultimo_latido_at timestamptz;
+
+create index if not exists mensajeros_disponibilidad_idx
+  on mensajeros (disponibilidad, ultimo_latido_at);
+
+create table if not exists turnos_mensajero (
+  id bigint generated always as identity primary key,
+  mensajero_id uuid not null,
+  inicio timestamptz not null,
+  fin timestamptz not null,
+  finalizado_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (fin > inicio)
+);
+
+create index if not exists turnos_mensajero_mensajero_idx
+  on turnos_mensajero (mensajero_id, inicio);
+create index if not exists turnos_mensajero_fin_idx
+  on turnos_mensajero (finalizado_at, fin);
@@ -0,0 +1,13 @@
+-- Sustituye todos los recargos horarios en una sola transacción para que las
+-- cotizaciones nunca vean la tabla vacía ni a medio reemplazar.
+-- El "where true" evita el bloqueo de DELETE sin WHERE de pg_safeupdate.
+create or replace function reemplazar_recargos(recargos jsonb)
+returns setof tarifas_recargos
+language sql as $$
+  delete from tarifas_recargos where true;
+
+  insert into tarifas_recargos (nombre, hora_inicio, hora_fin, porcentaje)
+  select r.nombre, r.hora_inicio, r.hora_fin, r.porcentaje
+  from jsonb_to_recordset(recargos) as r(nombre text, hora_inicio text, hora_fin text, porcentaje numeric)
+  returning *;
+$$;
@@ -0,0 +1,52 @@
+// Pruebas de la API sobre SQLite en memoria (sin Supabase ni red)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion } = require('./ayudantes');
+
+const CLIENTE = {
+  nombres: 'Ana',
+  apellidos: 'Pérez',
+  carnet: '85010112345',
+  telefono: '52345678',
+  correo: 'ana@ejemplo.com',
+  contrasena: 'secreto1',
+  rol: 'usuario'
+};
+
+test('registro, inicio de sesión y creación de un pedido', async () => {
+  const registro = await peticion('POST', '/api/registro', CLIENTE);
+  assert.equal(registro.status, 200);
+  assert.equal(registro.body.success, true);
+
+  const duplicado = await peticion('POST', '/api/registro', CLIENTE);
+  assert.equal(duplicado.status, 409);
+
+  const fallido = await peticion('POST', '/api/login', { identificador: CLIENTE.correo, contrasena: 'otra-clave', rol: 'usuario' });
+  assert.equal(fallido.status, 401);
+  assert.equal(fallido.body.error.code, 'CREDENCIALES_INVALIDAS');
+
+  const login = await peticion('POST', '/api/login', { identificador: CLIENTE.correo, contrasena: CLIENTE.contrasena, rol: 'usuario' });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+
+  const creado = await peticion('POST', '/api/pedidos', {
+    descripcion: 'Pizza',
+    direccion_venta: 'Calle 23',
+    ubicacion_venta: { lat: 23.11, lng: -82.36 },
+    ubicacion_entrega: { lat: 23.13, lng: -82.38 },
+    tipo_vehiculo: 'moto'
+  }, login.body.token);
+  assert.equal(creado.status, 200);
+  assert.equal(creado.body.estado, 'disponible');
+  assert.match(creado.body.codigo_entrega, /^\d+$/);
+
+  const pedido = await peticion('GET', `/api/pedidos/${creado.body.id}`, null, login.body.token);
+  assert.equal(pedido.status, 200);
+  assert.equal(pedido.body.usuario_nombre, 'Ana Pérez');
+  assert.ok(pedido.body.precio > 0);
+});
+
+test('las rutas protegidas exigen token', async () => {
+  const respuesta = await peticion('GET', '/api/mis-pedidos');
+  assert.equal(respuesta.status, 401);
+});
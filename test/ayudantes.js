@@ -0,0 +1,132 @@
+// Utilidades comunes de las pruebas de la API: servidor sobre SQLite en memoria,
+// peticiones y cuentas de prueba. node --test ejecuta cada archivo en su propio
+// proceso, así que cada archivo tiene su propia base de datos.
+// Las variables de entorno que un archivo necesite se fijan antes de requerir este.
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+// Cada archivo registra muchas cuentas desde la misma IP
+process.env.LIMITE_REGISTRO_IP = process.env.LIMITE_REGISTRO_IP || '1000/1h';
+process.env.LIMITE_LOGIN_IP = process.env.LIMITE_LOGIN_IP || '1000/15m';
+
+const { before, after } = require('node:test');
+const jwt = require('jsonwebtoken');
+const { app, db } = require('../backend-server');
+
+let servidor;
+let base;
+
+before(async () => {
+  await db.iniciar();
+  servidor = app.listen(0);
+  await new Promise(resolve => servidor.once('listening', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => servidor.close(resolve));
+  await db.cerrar();
+});
+
+async function peticion(metodo, ruta, cuerpo, token) {
+  const respuesta = await fetch(base + ruta, {
+    method: metodo,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: cuerpo ? JSON.stringify(cuerpo) : undefined
+  });
+  return { status: respuesta.status, headers: respuesta.headers, body: await respuesta.json() };
+}
+
+// Carnet, teléfono y correo no se pueden repetir entre cuentas
+let cuentas = 0;
+function datosPersona(nombres) {
+  cuentas++;
+  return {
+    nombres,
+    apellidos: 'Prueba',
+    carnet: String(85010100000 + cuentas),
+    telefono: String(52000000 + cuentas),
+    correo: `${nombres.toLowerCase()}${cuentas}@ejemplo.com`,
+    contrasena: 'secreto1'
+  };
+}
+
+async function iniciarSesion(identificador, contrasena, rol) {
+  const respuesta = await peticion('POST', '/api/login', { identificador, contrasena, rol });
+  if (respuesta.status !== 200) {
+    throw new Error(`No se pudo iniciar sesión como ${identificador}: ${JSON.stringify(respuesta.body)}`);
+  }
+  return { ...respuesta.body, id: jwt.decode(respuesta.body.token).id };
+}
+
+async function crearCliente(nombres = 'Ana') {
+  const datos = datosPersona(nombres);
+  await peticion('POST', '/api/registro', { ...datos, rol: 'usuario' });
+  return { ...datos, ...(await iniciarSesion(datos.correo, datos.contrasena, 'usuario')) };
+}
+
+// Las cuentas de administrador se crean como en scripts/crear-admin.js
+let admin = null;
+async function obtenerAdmin() {
+  if (!admin) {
+    const datos = datosPersona('Admin');
+    await db.auth.registrar({
+      correo: datos.correo,
+      contrasena: datos.contrasena,
+      metadatos: { nombres: datos.nombres, apellidos: datos.apellidos, telefono: null, rol: 'admin' }
+    });
+    admin = await iniciarSesion(datos.correo, datos.contrasena, 'admin');
+  }
+  return admin;
+}
+
+// Mensajero aprobado; con posicion queda además en línea en ese punto
+async function crearMensajero(nombres = 'Eva', { vehiculo = 'moto', posicion } = {}) {
+  const datos = datosPersona(nombres);
+  await peticion('POST', '/api/registro/mensajero', { ...datos, vehiculo });
+
+  const mensajero = await db.mensajeros.buscarPorTelefono(datos.telefono);
+  const { token } = await obtenerAdmin();
+  await peticion('POST', `/api/admin/mensajeros/${mensajero.id}/aprobar`, {}, token);
+
+  const sesion = await iniciarSesion(datos.correo, datos.contrasena, 'mensajero');
+  if (posicion) {
+    await peticion('PUT', '/api/disponibilidad', { enLinea: true, ...posicion }, sesion.token);
+  }
+  return { ...datos, ...sesion };
+}
+
+// Puntos de La Habana a unos 3 km entre sí
+const VENTA = { lat: 23.1136, lng: -82.3666 };
+const ENTREGA = { lat: 23.1330, lng: -82.3830 };
+
+async function crearPedido(token, datos = {}) {
+  const respuesta = await peticion('POST', '/api/pedidos', {
+    descripcion: 'Pedido de prueba',
+    ubicacion_venta: VENTA,
+    ubicacion_entrega: ENTREGA,
+    tipo_vehiculo: 'moto',
+    ...datos
+  }, token);
+  if (respuesta.status !== 200) {
+    throw new Error(`No se pudo crear el pedido: ${JSON.stringify(respuesta.body)}`);
+  }
+  return respuesta.body;
+}
+
+module.exports = {
+  app,
+  db,
+  peticion,
+  datosPersona,
+  iniciarSesion,
+  crearCliente,
+  crearMensajero,
+  obtenerAdmin,
+  crearPedido,
+  VENTA,
+  ENTREGA
+};
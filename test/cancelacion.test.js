@@ -0,0 +1,94 @@
+// Cancelación de pedidos por el cliente y el administrador y devolución por el mensajero
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, crearMensajero, obtenerAdmin, crearPedido, VENTA } = require('./ayudantes');
+
+const cancelar = (id, token, motivo = 'Ya no lo necesito') =>
+  peticion('POST', `/api/pedidos/${id}/cancelar`, { motivo }, token);
+
+test('el cliente cancela su pedido mientras no se haya recogido', async () => {
+  const cliente = await crearCliente();
+  const otro = await crearCliente('Luis');
+  const { id } = await crearPedido(cliente.token);
+
+  const sinMotivo = await peticion('POST', `/api/pedidos/${id}/cancelar`, {}, cliente.token);
+  assert.equal(sinMotivo.status, 400);
+  assert.equal(sinMotivo.body.error.code, 'VALIDACION');
+
+  const ajeno = await cancelar(id, otro.token);
+  assert.equal(ajeno.status, 403);
+  assert.equal(ajeno.body.error.code, 'SIN_PERMISO_PEDIDO');
+
+  const cancelado = await cancelar(id, cliente.token);
+  assert.equal(cancelado.status, 200);
+  assert.equal(cancelado.body.estado, 'cancelado');
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.motivo_cancelacion, 'Ya no lo necesito');
+  assert.equal(pedido.body.cancelado_por_rol, 'usuario');
+  assert.ok(pedido.body.cancelado_at);
+
+  const otraVez = await cancelar(id, cliente.token);
+  assert.equal(otraVez.status, 409);
+  assert.equal(otraVez.body.error.code, 'TRANSICION_NO_PERMITIDA');
+});
+
+test('el mensajero devuelve el pedido y vuelve a estar disponible', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const leo = await crearMensajero('Leo', { posicion: VENTA });
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+
+  const deOtro = await cancelar(id, leo.token, 'No puedo');
+  assert.equal(deOtro.status, 403);
+  assert.equal(deOtro.body.error.code, 'PEDIDO_DE_OTRO_MENSAJERO');
+
+  const devuelto = await cancelar(id, eva.token, 'Se me pinchó la rueda');
+  assert.equal(devuelto.status, 200);
+  assert.equal(devuelto.body.estado, 'disponible');
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.mensajero_id, null);
+  assert.equal(pedido.body.asignado_at, null);
+
+  const retomado = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, leo.token);
+  assert.equal(retomado.status, 200);
+});
+
+test('recogido el pedido solo el administrador puede cancelarlo', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const admin = await obtenerAdmin();
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+  await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...VENTA }, eva.token);
+
+  const porCliente = await cancelar(id, cliente.token);
+  assert.equal(porCliente.status, 409);
+  assert.equal(porCliente.body.error.code, 'TRANSICION_NO_PERMITIDA');
+
+  const devuelto = await cancelar(id, eva.token, 'Me arrepiento');
+  assert.equal(devuelto.status, 409);
+
+  const porAdmin = await cancelar(id, admin.token, 'Incidencia con la tienda');
+  assert.equal(porAdmin.status, 200);
+  assert.equal(porAdmin.body.estado, 'cancelado');
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.cancelado_por_rol, 'admin');
+});
+
+test('un pedido entregado ya no se puede cancelar', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const admin = await obtenerAdmin();
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+  await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, motivo: 'Prueba' }, admin.token);
+  await peticion('POST', '/api/pedidos/entregado', { pedidoId: id, motivo: 'Prueba' }, admin.token);
+
+  const respuesta = await cancelar(id, admin.token);
+  assert.equal(respuesta.status, 409);
+  assert.equal(respuesta.body.error.code, 'TRANSICION_NO_PERMITIDA');
+});
@@ -0,0 +1,105 @@
+// Despacho automático: ofertas al mensajero más cercano, rechazo y aceptación
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, crearMensajero, obtenerAdmin, crearPedido } = require('./ayudantes');
+
+// Cada prueba trabaja en su propia zona, a más de 20 km de las demás, para que
+// los mensajeros de una no sean candidatos en otra
+const zona = (n, km = 0) => ({ lat: 22.5 + n * 0.2 + km * 0.009, lng: -82.38 });
+
+async function activarDespacho() {
+  const admin = await obtenerAdmin();
+  const respuesta = await peticion('PUT', '/api/admin/despacho', { activo: true }, admin.token);
+  assert.equal(respuesta.body.activo, true);
+  return admin;
+}
+
+// La oferta se crea al escuchar el evento del pedido, después de responder
+async function esperarOfertas(mensajero, cantidad = 1) {
+  for (let intento = 0; intento < 50; intento++) {
+    const ofertas = await peticion('GET', '/api/ofertas', null, mensajero.token);
+    if (ofertas.body.length >= cantidad) return ofertas.body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return [];
+}
+
+const pedidoEn = (cliente, n) => crearPedido(cliente.token, { ubicacion_venta: zona(n), ubicacion_entrega: zona(n, 2) });
+
+async function disponiblesPara(mensajero, n) {
+  const respuesta = await peticion('GET', `/api/pedidos/disponibles?lat=${zona(n).lat}&lng=${zona(n).lng}`, null, mensajero.token);
+  return respuesta.body.pedidos.map(pedido => pedido.id);
+}
+
+test('el pedido se ofrece primero al más cercano y pasa al siguiente si lo rechaza', async () => {
+  const admin = await activarDespacho();
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: zona(1) });
+  const leo = await crearMensajero('Leo', { posicion: zona(1, 1) });
+  const { id } = await pedidoEn(cliente, 1);
+
+  const [oferta] = await esperarOfertas(eva);
+  assert.equal(oferta.pedido_id, id);
+  assert.equal(oferta.pedido.codigo_entrega, undefined);
+  assert.equal((await peticion('GET', '/api/ofertas', null, leo.token)).body.length, 0);
+
+  // Mientras se ofrece no aparece en la lista de disponibles
+  const disponibles = await disponiblesPara(leo, 1);
+  assert.ok(!disponibles.includes(id));
+
+  const ajena = await peticion('POST', `/api/ofertas/${oferta.id}/aceptar`, null, leo.token);
+  assert.equal(ajena.status, 404);
+
+  const rechazo = await peticion('POST', `/api/ofertas/${oferta.id}/rechazar`, null, eva.token);
+  assert.equal(rechazo.status, 200);
+
+  const [siguiente] = await esperarOfertas(leo);
+  assert.equal(siguiente.pedido_id, id);
+
+  const aceptada = await peticion('POST', `/api/ofertas/${siguiente.id}/aceptar`, null, leo.token);
+  assert.equal(aceptada.status, 200);
+  assert.equal(aceptada.body.mensajero_id, leo.id);
+  assert.equal(aceptada.body.estado, 'en proceso');
+
+  const otraVez = await peticion('POST', `/api/ofertas/${siguiente.id}/aceptar`, null, leo.token);
+  assert.equal(otraVez.body.error.code, 'OFERTA_NO_DISPONIBLE');
+
+  const historial = await peticion('GET', `/api/admin/ofertas?pedidoId=${id}`, null, admin.token);
+  const estados = historial.body.ofertas.map(o => `${o.mensajero_id}:${o.estado}`).sort();
+  assert.deepEqual(estados, [`${eva.id}:rechazada`, `${leo.id}:aceptada`].sort());
+});
+
+test('sin más candidatos el pedido vuelve a la lista de disponibles', async () => {
+  await activarDespacho();
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: zona(2) });
+  const { id } = await pedidoEn(cliente, 2);
+
+  const [oferta] = await esperarOfertas(eva);
+  await peticion('POST', `/api/ofertas/${oferta.id}/rechazar`, null, eva.token);
+
+  const disponibles = await disponiblesPara(eva, 2);
+  assert.ok(disponibles.includes(id));
+
+  const tomado = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+  assert.equal(tomado.status, 200);
+});
+
+test('al desactivar el despacho se anulan las ofertas pendientes', async () => {
+  const admin = await activarDespacho();
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: zona(3) });
+  const { id } = await pedidoEn(cliente, 3);
+  const [oferta] = await esperarOfertas(eva);
+
+  const desactivado = await peticion('PUT', '/api/admin/despacho', { activo: false }, admin.token);
+  assert.equal(desactivado.body.activo, false);
+  assert.equal(desactivado.body.liberados, 1);
+
+  assert.equal((await peticion('GET', '/api/ofertas', null, eva.token)).body.length, 0);
+  const aceptar = await peticion('POST', `/api/ofertas/${oferta.id}/aceptar`, null, eva.token);
+  assert.equal(aceptar.body.error.code, 'OFERTA_NO_DISPONIBLE');
+
+  const disponibles = await disponiblesPara(eva, 3);
+  assert.ok(disponibles.includes(id));
+});
@@ -0,0 +1,65 @@
+// Máquina de estados de los pedidos: roles, propiedad y conflictos
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, crearMensajero, crearPedido, VENTA } = require('./ayudantes');
+
+test('el pedido avanza solo por las transiciones permitidas a cada rol', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const leo = await crearMensajero('Leo', { posicion: VENTA });
+  const { id } = await crearPedido(cliente.token);
+
+  const porCliente = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, cliente.token);
+  assert.equal(porCliente.status, 403);
+  assert.equal(porCliente.body.error.code, 'ACCION_NO_PERMITIDA');
+
+  const asignado = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+  assert.equal(asignado.status, 200);
+  assert.equal(asignado.body.estado, 'en proceso');
+  assert.equal(asignado.body.mensajero_id, eva.id);
+
+  const segundo = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, leo.token);
+  assert.equal(segundo.status, 409);
+  assert.equal(segundo.body.error.code, 'TRANSICION_NO_PERMITIDA');
+
+  const deOtro = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...VENTA }, leo.token);
+  assert.equal(deOtro.status, 403);
+  assert.equal(deOtro.body.error.code, 'PEDIDO_DE_OTRO_MENSAJERO');
+
+  const saltando = await peticion('POST', '/api/pedidos/entregado', { pedidoId: id, ...VENTA, codigo: '000000' }, eva.token);
+  assert.equal(saltando.status, 409);
+  assert.equal(saltando.body.error.code, 'TRANSICION_NO_PERMITIDA');
+
+  const enCamino = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...VENTA }, eva.token);
+  assert.equal(enCamino.status, 200);
+
+  const repetido = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...VENTA }, eva.token);
+  assert.equal(repetido.status, 409);
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.estado, 'en camino');
+});
+
+test('dos mensajeros que toman el mismo pedido a la vez: solo uno lo consigue', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const leo = await crearMensajero('Leo', { posicion: VENTA });
+  const { id } = await crearPedido(cliente.token);
+
+  const respuestas = await Promise.all([eva, leo].map(mensajero =>
+    peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, mensajero.token)
+  ));
+
+  const estados = respuestas.map(r => r.status).sort();
+  assert.deepEqual(estados, [200, 409]);
+
+  const perdedora = respuestas.find(r => r.status === 409);
+  assert.ok(['TRANSICION_NO_PERMITIDA', 'PEDIDO_MODIFICADO'].includes(perdedora.body.error.code));
+});
+
+test('un pedido inexistente da 404', async () => {
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const respuesta = await peticion('POST', '/api/pedidos/asignar', { pedidoId: 'no-existe' }, eva.token);
+  assert.equal(respuesta.status, 404);
+  assert.equal(respuesta.body.error.code, 'PEDIDO_NO_ENCONTRADO');
+});
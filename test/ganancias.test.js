@@ -0,0 +1,91 @@
+// Libro de ganancias de los mensajeros, saldo, extracto y liquidaciones
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, peticion, crearCliente, crearMensajero, obtenerAdmin, crearPedido, VENTA } = require('./ayudantes');
+
+async function entregarPedido(cliente, mensajero) {
+  const admin = await obtenerAdmin();
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, mensajero.token);
+  await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, motivo: 'Prueba' }, admin.token);
+  const entregado = await peticion('POST', '/api/pedidos/entregado', { pedidoId: id, motivo: 'Prueba' }, admin.token);
+  assert.equal(entregado.status, 200);
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  return pedido.body;
+}
+
+const redondear = valor => Math.round(valor * 100) / 100;
+
+test('cada entrega abona al mensajero el precio menos la comisión', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+
+  const vacio = await peticion('GET', '/api/ganancias/saldo', null, eva.token);
+  assert.deepEqual(vacio.body, { entregas: 0, ganado: 0, liquidado: 0, pendiente: 0 });
+
+  const primero = await entregarPedido(cliente, eva);
+  const segundo = await entregarPedido(cliente, eva);
+
+  const extracto = await peticion('GET', '/api/ganancias/extracto', null, eva.token);
+  assert.equal(extracto.status, 200);
+  assert.equal(extracto.body.movimientos.length, 2);
+
+  const entrada = extracto.body.movimientos.find(m => m.pedido_id === primero.id);
+  assert.equal(entrada.importe_total, primero.precio);
+  assert.equal(entrada.porcentaje_comision, 15);
+  assert.equal(entrada.comision, redondear(primero.precio * 0.15));
+  assert.equal(entrada.importe_mensajero, redondear(primero.precio - entrada.comision));
+  assert.equal(entrada.liquidacion_id, null);
+
+  const saldo = await peticion('GET', '/api/ganancias/saldo', null, eva.token);
+  assert.equal(saldo.body.entregas, 2);
+  assert.equal(saldo.body.liquidado, 0);
+  assert.equal(saldo.body.pendiente, redondear(extracto.body.movimientos.reduce((total, m) => total + m.importe_mensajero, 0)));
+  assert.ok(saldo.body.pendiente < primero.precio + segundo.precio);
+});
+
+test('la liquidación marca como pagadas las ganancias pendientes', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const leo = await crearMensajero('Leo', { posicion: VENTA });
+  const admin = await obtenerAdmin();
+  await entregarPedido(cliente, eva);
+  await entregarPedido(cliente, leo);
+
+  const antes = await peticion('GET', '/api/ganancias/saldo', null, eva.token);
+
+  const liquidacion = await peticion('POST', '/api/admin/liquidaciones', { mensajeroId: eva.id, referencia: 'Transferencia 1' }, admin.token);
+  assert.equal(liquidacion.status, 200);
+  assert.equal(liquidacion.body.entregas, 1);
+  assert.equal(liquidacion.body.importe, antes.body.pendiente);
+
+  const despues = await peticion('GET', '/api/ganancias/saldo', null, eva.token);
+  assert.equal(despues.body.pendiente, 0);
+  assert.equal(despues.body.liquidado, antes.body.pendiente);
+
+  // Las del otro mensajero siguen pendientes
+  const deLeo = await peticion('GET', '/api/ganancias/saldo', null, leo.token);
+  assert.equal(deLeo.body.liquidado, 0);
+  assert.ok(deLeo.body.pendiente > 0);
+
+  const repetida = await peticion('POST', '/api/admin/liquidaciones', { mensajeroId: eva.id }, admin.token);
+  assert.equal(repetida.body.error.code, 'SIN_GANANCIAS_PENDIENTES');
+
+  const historial = await peticion('GET', `/api/admin/liquidaciones?mensajeroId=${eva.id}`, null, admin.token);
+  assert.equal(historial.body.length, 1);
+  assert.equal(historial.body[0].referencia, 'Transferencia 1');
+});
+
+test('un pedido no se abona dos veces', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const pedido = await entregarPedido(cliente, eva);
+
+  const entrada = await db.ganancias.obtenerPorPedido(pedido.id);
+  const { id, ...copia } = entrada;
+  await assert.rejects(db.ganancias.registrar(copia), { code: 'DUPLICADO' });
+
+  const saldo = await peticion('GET', '/api/ganancias/saldo', null, eva.token);
+  assert.equal(saldo.body.entregas, 1);
+});
@@ -0,0 +1,93 @@
+// Geocercas de recogida y entrega y código de confirmación del cliente
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, crearMensajero, obtenerAdmin, crearPedido, VENTA, ENTREGA } = require('./ayudantes');
+
+// A unos 200 m del punto de venta
+const LEJOS = { lat: VENTA.lat + 0.002, lng: VENTA.lng };
+
+async function pedidoRecogido() {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const pedido = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: pedido.id }, eva.token);
+  await peticion('POST', '/api/pedidos/en-camino', { pedidoId: pedido.id, ...VENTA }, eva.token);
+  return { cliente, eva, pedido };
+}
+
+test('el mensajero solo recoge el pedido en el punto de venta', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+
+  const sinUbicacion = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id }, eva.token);
+  assert.equal(sinUbicacion.status, 400);
+
+  const lejos = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...LEJOS }, eva.token);
+  assert.equal(lejos.status, 403);
+  assert.equal(lejos.body.error.code, 'FUERA_DE_RECOGIDA');
+  assert.match(lejos.body.error.message, /30 m .* 2\d\d m/);
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.estado, 'en proceso');
+
+  const enPunto = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, ...VENTA }, eva.token);
+  assert.equal(enPunto.status, 200);
+});
+
+test('la entrega exige estar en el destino y el código del cliente', async () => {
+  const { cliente, eva, pedido } = await pedidoRecogido();
+  const entregar = datos => peticion('POST', '/api/pedidos/entregado', { pedidoId: pedido.id, ...datos }, eva.token);
+
+  const visto = await peticion('GET', `/api/pedidos/${pedido.id}`, null, eva.token);
+  assert.equal(visto.body.codigo_entrega, undefined);
+
+  const lejos = await entregar({ ...VENTA, codigo: pedido.codigo_entrega });
+  assert.equal(lejos.status, 403);
+  assert.equal(lejos.body.error.code, 'FUERA_DE_ENTREGA');
+
+  const incorrecto = await entregar({ ...ENTREGA, codigo: 'x' + pedido.codigo_entrega });
+  assert.equal(incorrecto.status, 403);
+  assert.equal(incorrecto.body.error.code, 'CODIGO_ENTREGA_INCORRECTO');
+
+  const entregado = await entregar({ ...ENTREGA, codigo: pedido.codigo_entrega });
+  assert.equal(entregado.status, 200);
+
+  const final = await peticion('GET', `/api/pedidos/${pedido.id}`, null, cliente.token);
+  assert.equal(final.body.estado, 'entregado');
+});
+
+test('tras varios códigos incorrectos se bloquea la entrega aunque llegue el correcto', async () => {
+  const { eva, pedido } = await pedidoRecogido();
+  const entregar = codigo => peticion('POST', '/api/pedidos/entregado', { pedidoId: pedido.id, ...ENTREGA, codigo }, eva.token);
+
+  for (let i = 0; i < 5; i++) {
+    const respuesta = await entregar('000000x');
+    assert.equal(respuesta.body.error.code, 'CODIGO_ENTREGA_INCORRECTO');
+  }
+
+  const bloqueado = await entregar(pedido.codigo_entrega);
+  assert.equal(bloqueado.status, 403);
+  assert.equal(bloqueado.body.error.code, 'DEMASIADOS_INTENTOS_CODIGO');
+});
+
+test('el administrador fuerza la recogida y la entrega indicando un motivo', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { posicion: VENTA });
+  const admin = await obtenerAdmin();
+  const { id } = await crearPedido(cliente.token);
+  await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+
+  const sinMotivo = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id }, admin.token);
+  assert.equal(sinMotivo.status, 400);
+
+  const recogido = await peticion('POST', '/api/pedidos/en-camino', { pedidoId: id, motivo: 'GPS averiado' }, admin.token);
+  assert.equal(recogido.status, 200);
+
+  const entregado = await peticion('POST', '/api/pedidos/entregado', { pedidoId: id, motivo: 'Confirmado por teléfono' }, admin.token);
+  assert.equal(entregado.status, 200);
+
+  const pedido = await peticion('GET', `/api/pedidos/${id}`, null, cliente.token);
+  assert.equal(pedido.body.estado, 'entregado');
+});
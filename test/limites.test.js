@@ -0,0 +1,87 @@
+// Límites de peticiones y bloqueo progresivo de los inicios de sesión
+process.env.BLOQUEO_LOGIN_INTENTOS = '3';
+process.env.LIMITE_LOGIN_IDENTIFICADOR = '8/15m';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, obtenerAdmin } = require('./ayudantes');
+const { crearAlmacenMemoria, crearProteccionLogin } = require('../lib/limites');
+
+const login = (identificador, contrasena) => peticion('POST', '/api/login', { identificador, contrasena, rol: 'usuario' });
+
+test('cada bloqueo nuevo dura el doble que el anterior', async () => {
+  const proteccion = crearProteccionLogin(crearAlmacenMemoria(), { intentos: 2, bloqueoBaseMs: 1000 });
+
+  assert.equal(await proteccion.registrarFallo('ana@ejemplo.com'), null);
+  const primero = await proteccion.registrarFallo('ana@ejemplo.com');
+  assert.deepEqual([primero.nivel, primero.duracionMs], [1, 1000]);
+  assert.equal((await proteccion.bloqueo('ana@ejemplo.com')).nivel, 1);
+
+  await proteccion.registrarFallo('ana@ejemplo.com');
+  const segundo = await proteccion.registrarFallo('ana@ejemplo.com');
+  assert.deepEqual([segundo.nivel, segundo.duracionMs], [2, 2000]);
+
+  await proteccion.desbloquear('ana@ejemplo.com');
+  assert.equal(await proteccion.bloqueo('ana@ejemplo.com'), null);
+});
+
+test('el límite por identificador cuenta juntas las variantes del mismo correo', async () => {
+  const cliente = await crearCliente();
+  const variantes = [cliente.correo, cliente.correo.toUpperCase(), ` ${cliente.correo} `];
+
+  // crearCliente ya inició sesión una vez. Sin contraseña la petición no llega
+  // a autenticar, pero cuenta para el límite.
+  for (let i = 0; i < 7; i++) {
+    const respuesta = await peticion('POST', '/api/login', { identificador: variantes[i % 3], rol: 'usuario' });
+    assert.equal(respuesta.status, 400);
+  }
+
+  const limitada = await login(cliente.correo, cliente.contrasena);
+  assert.equal(limitada.status, 429);
+  assert.equal(limitada.body.error.code, 'DEMASIADAS_SOLICITUDES');
+  assert.ok(Number(limitada.headers.get('retry-after')) > 0);
+
+  // Otra cuenta desde la misma IP no se ve afectada
+  const otro = await crearCliente('Luis');
+  assert.equal((await login(otro.correo, otro.contrasena)).status, 200);
+});
+
+test('tras varios fallos seguidos la cuenta se bloquea hasta que un administrador la desbloquea', async () => {
+  const cliente = await crearCliente();
+  const admin = await obtenerAdmin();
+
+  for (let i = 0; i < 3; i++) {
+    const fallido = await login(cliente.correo, 'otra-clave');
+    assert.equal(fallido.body.error.code, 'CREDENCIALES_INVALIDAS');
+  }
+
+  const bloqueada = await login(cliente.correo, cliente.contrasena);
+  assert.equal(bloqueada.status, 429);
+  assert.equal(bloqueada.body.error.code, 'CUENTA_BLOQUEADA');
+  assert.ok(Number(bloqueada.headers.get('retry-after')) > 0);
+
+  const bloqueos = await peticion('GET', '/api/admin/bloqueos', null, admin.token);
+  const bloqueo = bloqueos.body.find(b => b.identificador === cliente.correo);
+  assert.equal(bloqueo.nivel, 1);
+  assert.equal(bloqueo.activo, true);
+
+  const desbloqueo = await peticion('DELETE', `/api/admin/bloqueos/${encodeURIComponent(cliente.correo)}`, null, admin.token);
+  assert.equal(desbloqueo.status, 200);
+
+  assert.equal((await login(cliente.correo, cliente.contrasena)).status, 200);
+
+  const despues = await peticion('GET', '/api/admin/bloqueos', null, admin.token);
+  assert.equal(despues.body.find(b => b.identificador === cliente.correo).activo, false);
+});
+
+test('un inicio de sesión correcto reinicia la cuenta de fallos', async () => {
+  const cliente = await crearCliente();
+
+  await login(cliente.correo, 'otra-clave');
+  await login(cliente.correo, 'otra-clave');
+  assert.equal((await login(cliente.correo, cliente.contrasena)).status, 200);
+
+  await login(cliente.correo, 'otra-clave');
+  await login(cliente.correo, 'otra-clave');
+  assert.equal((await login(cliente.correo, cliente.contrasena)).status, 200);
+});
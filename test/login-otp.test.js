@@ -0,0 +1,96 @@
+// Inicio de sesión sin contraseña con códigos de un solo uso por SMS
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Los SMS se escriben en un archivo para poder leer el código enviado
+const ARCHIVO_SMS = path.join(os.tmpdir(), `atupuerta-sms-${process.pid}.jsonl`);
+process.env.NOTIFICACIONES_SMS = 'archivo';
+process.env.NOTIFICACIONES_ARCHIVO = ARCHIVO_SMS;
+process.env.LIMITE_LOGIN_IDENTIFICADOR = '4/15m';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente } = require('./ayudantes');
+
+after(() => fs.rmSync(ARCHIVO_SMS, { force: true }));
+
+function smsEnviados(telefono) {
+  if (!fs.existsSync(ARCHIVO_SMS)) return [];
+  return fs.readFileSync(ARCHIVO_SMS, 'utf8').trim().split('\n')
+    .map(linea => JSON.parse(linea))
+    .filter(sms => sms.para === telefono);
+}
+
+function ultimoCodigo(telefono) {
+  const enviados = smsEnviados(telefono);
+  return enviados[enviados.length - 1].texto.match(/\d{6}/)[0];
+}
+
+const solicitar = telefono => peticion('POST', '/api/login/otp/solicitar', { telefono, rol: 'usuario' });
+const verificar = (telefono, codigo) => peticion('POST', '/api/login/otp/verificar', { telefono, codigo, rol: 'usuario' });
+
+test('el código recibido por SMS da los mismos tokens que el login con contraseña', async () => {
+  const cliente = await crearCliente();
+
+  const solicitud = await solicitar(cliente.telefono);
+  assert.equal(solicitud.status, 200);
+  assert.equal(solicitud.body.code, 'CODIGO_ENVIADO');
+
+  const sesion = await verificar(cliente.telefono, ultimoCodigo(cliente.telefono));
+  assert.equal(sesion.status, 200);
+  assert.ok(sesion.body.token);
+  assert.ok(sesion.body.refreshToken);
+  assert.equal(sesion.body.nombres, cliente.nombres);
+
+  const pedidos = await peticion('GET', '/api/mis-pedidos', null, sesion.body.token);
+  assert.equal(pedidos.status, 200);
+
+  // El código es de un solo uso
+  const reutilizado = await verificar(cliente.telefono, ultimoCodigo(cliente.telefono));
+  assert.equal(reutilizado.body.error.code, 'CODIGO_VERIFICACION_CADUCADO');
+});
+
+test('un teléfono sin cuenta recibe la misma respuesta pero ningún SMS', async () => {
+  const telefono = '59999999';
+  const solicitud = await solicitar(telefono);
+  assert.equal(solicitud.status, 200);
+  assert.equal(solicitud.body.code, 'CODIGO_ENVIADO');
+  assert.equal(smsEnviados(telefono).length, 0);
+
+  const canje = await verificar(telefono, '123456');
+  assert.equal(canje.status, 400);
+  assert.equal(canje.body.error.code, 'CODIGO_VERIFICACION_CADUCADO');
+});
+
+test('un código incorrecto no inicia sesión', async () => {
+  const cliente = await crearCliente();
+  await solicitar(cliente.telefono);
+  const codigo = ultimoCodigo(cliente.telefono);
+
+  const incorrecto = await verificar(cliente.telefono, codigo === '000000' ? '111111' : '000000');
+  assert.equal(incorrecto.status, 400);
+  assert.equal(incorrecto.body.error.code, 'CODIGO_VERIFICACION_INCORRECTO');
+
+  const correcto = await verificar(cliente.telefono, codigo);
+  assert.equal(correcto.status, 200);
+});
+
+test('los canjes se limitan por teléfono', async () => {
+  const cliente = await crearCliente();
+  const otro = await crearCliente('Luis');
+
+  // Sin código la petición no llega a comprobarse, pero cuenta para el límite
+  for (let i = 0; i < 4; i++) {
+    const respuesta = await peticion('POST', '/api/login/otp/verificar', { telefono: cliente.telefono, rol: 'usuario' });
+    assert.equal(respuesta.status, 400);
+  }
+
+  const limitada = await verificar(cliente.telefono, '123456');
+  assert.equal(limitada.status, 429);
+  assert.equal(limitada.body.error.code, 'DEMASIADAS_SOLICITUDES');
+
+  await solicitar(otro.telefono);
+  const permitida = await verificar(otro.telefono, ultimoCodigo(otro.telefono));
+  assert.equal(permitida.status, 200);
+});
@@ -0,0 +1,89 @@
+// Recorridos con varios pedidos: orden de paradas y capacidad del vehículo
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, crearMensajero, crearPedido, VENTA } = require('./ayudantes');
+const { planificarRecorrido, MAX_PARADAS_EXACTAS } = require('../lib/recorridos');
+
+// Puntos sobre un meridiano, a unos `km` kilómetros al norte del origen
+const punto = km => ({ lat: 23.1 + km * 0.009, lng: -82.38 });
+
+const pedido = (id, desde, hasta, estado = 'en proceso') => ({
+  id,
+  estado,
+  ubicacion_venta: punto(desde),
+  ubicacion_entrega: punto(hasta)
+});
+
+function comprobarRecogidasPrimero(paradas) {
+  const vistas = new Set();
+  for (const parada of paradas) {
+    if (parada.tipo === 'recogida') vistas.add(parada.pedido.id);
+    else if (parada.pedido.estado === 'en proceso') assert.ok(vistas.has(parada.pedido.id), `entrega de ${parada.pedido.id} antes de su recogida`);
+  }
+}
+
+test('el plan intercala recogidas y entregas para recorrer la menor distancia', () => {
+  const pedidos = [pedido('a', 0, 10), pedido('b', 1, 9)];
+  const plan = planificarRecorrido(pedidos, punto(0));
+
+  assert.deepEqual(
+    plan.paradas.map(p => `${p.tipo}:${p.pedido.id}`),
+    ['recogida:a', 'recogida:b', 'entrega:b', 'entrega:a']
+  );
+  assert.ok(Math.abs(plan.distancia - plan.paradas.reduce((total, p) => total + p.distancia, 0)) < 1);
+  assert.ok(Math.abs(plan.distancia - 10000) < 200);
+});
+
+test('un pedido en camino solo aporta su entrega', () => {
+  const plan = planificarRecorrido([pedido('a', 0, 5, 'en camino'), pedido('b', 2, 3)], punto(0));
+  assert.equal(plan.paradas.length, 3);
+  assert.deepEqual(plan.paradas.filter(p => p.pedido.id === 'a').map(p => p.tipo), ['entrega']);
+  comprobarRecogidasPrimero(plan.paradas);
+
+  assert.deepEqual(planificarRecorrido([]), { paradas: [], distancia: 0 });
+});
+
+test('con muchas paradas la aproximación también recoge antes de entregar', () => {
+  const pedidos = Array.from({ length: MAX_PARADAS_EXACTAS / 2 + 2 }, (_, i) => pedido(`p${i}`, 10 - i, i));
+  const plan = planificarRecorrido(pedidos, punto(0));
+  assert.equal(plan.paradas.length, pedidos.length * 2);
+  comprobarRecogidasPrimero(plan.paradas);
+});
+
+test('el recorrido del mensajero ordena sus pedidos y respeta la capacidad del vehículo', async () => {
+  const cliente = await crearCliente();
+  const eva = await crearMensajero('Eva', { vehiculo: 'bicicleta', posicion: VENTA });
+  const pedidos = [];
+  for (let i = 0; i < 3; i++) {
+    pedidos.push(await crearPedido(cliente.token, { tipo_vehiculo: 'bicicleta' }));
+  }
+
+  for (const { id } of pedidos.slice(0, 2)) {
+    const asignado = await peticion('POST', '/api/pedidos/asignar', { pedidoId: id }, eva.token);
+    assert.equal(asignado.status, 200);
+  }
+
+  const lleno = await peticion('POST', '/api/pedidos/asignar', { pedidoId: pedidos[2].id }, eva.token);
+  assert.equal(lleno.status, 409);
+  assert.equal(lleno.body.error.code, 'CAPACIDAD_COMPLETA');
+
+  const recorrido = await peticion('GET', `/api/recorrido?lat=${VENTA.lat}&lng=${VENTA.lng}`, null, eva.token);
+  assert.equal(recorrido.status, 200);
+  assert.equal(recorrido.body.capacidad, 2);
+  assert.equal(recorrido.body.pedidos.length, 2);
+  assert.ok(recorrido.body.pedidos.every(p => p.codigo_entrega === undefined));
+  assert.equal(recorrido.body.paradas.length, 4);
+  assert.deepEqual(recorrido.body.paradas.map(p => p.tipo).slice(0, 2), ['recogida', 'recogida']);
+  assert.ok(recorrido.body.ruta);
+
+  // Recogido uno, solo queda su entrega, pero sigue ocupando sitio hasta entregarlo
+  await peticion('POST', '/api/pedidos/en-camino', { pedidoId: pedidos[0].id, ...VENTA }, eva.token);
+  const conEntrega = await peticion('GET', '/api/recorrido', null, eva.token);
+  assert.equal(conEntrega.body.paradas.filter(p => p.pedidoId === pedidos[0].id).length, 1);
+
+  const sinSitio = await peticion('POST', '/api/pedidos/asignar', { pedidoId: pedidos[2].id }, eva.token);
+  assert.equal(sinSitio.body.error.code, 'CAPACIDAD_COMPLETA');
+
+  const deCliente = await peticion('GET', '/api/recorrido', null, cliente.token);
+  assert.equal(deCliente.status, 403);
+});
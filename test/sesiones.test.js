@@ -0,0 +1,80 @@
+// Refresh tokens rotativos, cierre de sesión y revocación
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { peticion, crearCliente, iniciarSesion } = require('./ayudantes');
+
+const renovar = refreshToken => peticion('POST', '/api/renovar-token', { refreshToken });
+
+test('cada renovación rota el refresh token', async () => {
+  const cliente = await crearCliente();
+  assert.ok(cliente.refreshToken);
+
+  const primera = await renovar(cliente.refreshToken);
+  assert.equal(primera.status, 200);
+  assert.ok(primera.body.token);
+  assert.notEqual(primera.body.refreshToken, cliente.refreshToken);
+
+  const pedidos = await peticion('GET', '/api/mis-pedidos', null, primera.body.token);
+  assert.equal(pedidos.status, 200);
+
+  const segunda = await renovar(primera.body.refreshToken);
+  assert.equal(segunda.status, 200);
+
+  const inventado = await renovar('no-es-un-token');
+  assert.equal(inventado.status, 401);
+  assert.equal(inventado.body.error.code, 'SESION_NO_VALIDA');
+});
+
+test('reutilizar un refresh token ya rotado revoca toda su familia', async () => {
+  const cliente = await crearCliente();
+  const rotado = await renovar(cliente.refreshToken);
+
+  const robado = await renovar(cliente.refreshToken);
+  assert.equal(robado.status, 401);
+  assert.equal(robado.body.error.code, 'SESION_NO_VALIDA');
+
+  // El token legítimo de la misma familia también deja de valer
+  const legitimo = await renovar(rotado.body.refreshToken);
+  assert.equal(legitimo.status, 401);
+});
+
+test('dos renovaciones simultáneas con el mismo token: solo una lo rota', async () => {
+  const cliente = await crearCliente();
+  const respuestas = await Promise.all([renovar(cliente.refreshToken), renovar(cliente.refreshToken)]);
+  assert.deepEqual(respuestas.map(r => r.status).sort(), [200, 401]);
+});
+
+test('logout cierra solo la sesión actual', async () => {
+  const cliente = await crearCliente();
+  const otroDispositivo = await iniciarSesion(cliente.correo, cliente.contrasena, 'usuario');
+
+  const logout = await peticion('POST', '/api/logout', null, cliente.token);
+  assert.equal(logout.status, 200);
+
+  const cerrada = await renovar(cliente.refreshToken);
+  assert.equal(cerrada.status, 401);
+
+  const abierta = await renovar(otroDispositivo.refreshToken);
+  assert.equal(abierta.status, 200);
+});
+
+test('logout/todos invalida también los tokens de acceso vigentes', async () => {
+  const cliente = await crearCliente();
+  const otroDispositivo = await iniciarSesion(cliente.correo, cliente.contrasena, 'usuario');
+
+  const cierre = await peticion('POST', '/api/logout/todos', null, cliente.token);
+  assert.equal(cierre.status, 200);
+
+  for (const sesion of [cliente, otroDispositivo]) {
+    const acceso = await peticion('GET', '/api/mis-pedidos', null, sesion.token);
+    assert.equal(acceso.status, 401);
+    assert.equal(acceso.body.error.code, 'SESION_CERRADA');
+
+    const renovacion = await renovar(sesion.refreshToken);
+    assert.equal(renovacion.status, 401);
+  }
+
+  const nueva = await iniciarSesion(cliente.correo, cliente.contrasena, 'usuario');
+  const acceso = await peticion('GET', '/api/mis-pedidos', null, nueva.token);
+  assert.equal(acceso.status, 200);
+});
@@ -0,0 +1,146 @@
+// Motor de tarifas, recargos horarios y cotizaciones firmadas
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { peticion, crearCliente, obtenerAdmin, crearPedido, VENTA, ENTREGA } = require('./ayudantes');
+const { calcularTarifa, TARIFAS_POR_DEFECTO } = require('../lib/tarifas');
+
+// En enero La Habana está en UTC-5
+const aLasHabana = hora => new Date(`2026-01-15T${hora}:00-05:00`);
+
+test('el precio es la tarifa base más el kilómetro, con la tarifa mínima como suelo', () => {
+  const moto = calcularTarifa({ distancia: 10000, tipoVehiculo: 'moto', fecha: aLasHabana('12:00') });
+  assert.equal(moto.precio, 120 + 10 * 45);
+  assert.deepEqual(moto.desglose.recargos, []);
+
+  const corta = calcularTarifa({ distancia: 500, tipoVehiculo: 'bicicleta', fecha: aLasHabana('12:00') });
+  assert.equal(corta.precio, 100);
+
+  const sinTarifa = calcularTarifa({ distancia: 1000, tipoVehiculo: 'camion' });
+  assert.ok(sinTarifa.error);
+});
+
+test('el recargo nocturno cruza la medianoche y su fin no está incluido', () => {
+  const precio = hora => calcularTarifa({ distancia: 10000, tipoVehiculo: 'moto', fecha: aLasHabana(hora) }).precio;
+
+  assert.equal(precio('21:59'), 570);
+  assert.equal(precio('22:00'), 684);
+  assert.equal(precio('02:00'), 684);
+  assert.equal(precio('06:00'), 570);
+});
+
+test('los recargos que coinciden se suman', () => {
+  const tablas = {
+    vehiculos: TARIFAS_POR_DEFECTO.vehiculos,
+    recargos: [
+      { nombre: 'Nocturno', hora_inicio: '22:00', hora_fin: '06:00', porcentaje: 20 },
+      { nombre: 'Lluvia', hora_inicio: '00:00', hora_fin: '23:59', porcentaje: 10 }
+    ]
+  };
+  const { precio, desglose } = calcularTarifa({ distancia: 10000, tipoVehiculo: 'moto', fecha: aLasHabana('23:00'), tablas });
+  assert.equal(precio, 741);
+  assert.equal(desglose.importe_recargos, 171);
+  assert.deepEqual(desglose.recargos.map(r => r.nombre), ['Nocturno', 'Lluvia']);
+});
+
+// Dos franjas que cubren el día entero: el recargo no depende de la hora de la prueba
+const RECARGOS_TODO_EL_DIA = [
+  { nombre: 'Mañana', hora_inicio: '00:00', hora_fin: '12:00', porcentaje: 50 },
+  { nombre: 'Tarde', hora_inicio: '12:00', hora_fin: '00:00', porcentaje: 50 }
+];
+
+test('el administrador reemplaza los recargos y la cotización los aplica', async () => {
+  const admin = await obtenerAdmin();
+  const cliente = await crearCliente();
+  const cotizar = () => peticion('POST', '/api/cotizar', { origen: VENTA, destino: ENTREGA, tipo_vehiculo: 'moto' }, cliente.token);
+
+  const guardados = await peticion('PUT', '/api/admin/tarifas/recargos', { recargos: RECARGOS_TODO_EL_DIA }, admin.token);
+  assert.equal(guardados.status, 200);
+  assert.deepEqual(guardados.body.recargos, RECARGOS_TODO_EL_DIA);
+
+  const conRecargo = await cotizar();
+  assert.equal(conRecargo.body.desglose.recargos.length, 1);
+  const { subtotal, importe_recargos: importeRecargos } = conRecargo.body.desglose;
+  assert.ok(Math.abs(importeRecargos - subtotal / 2) < 0.01);
+  assert.ok(Math.abs(conRecargo.body.precio - (subtotal + importeRecargos)) < 0.01);
+
+  const invalido = await peticion('PUT', '/api/admin/tarifas/recargos', {
+    recargos: [{ nombre: 'Malo', hora_inicio: '25:00', hora_fin: '06:00', porcentaje: 10 }]
+  }, admin.token);
+  assert.equal(invalido.status, 400);
+  const tablas = await peticion('GET', '/api/admin/tarifas', null, admin.token);
+  assert.deepEqual(tablas.body.recargos, RECARGOS_TODO_EL_DIA);
+
+  const vacios = await peticion('PUT', '/api/admin/tarifas/recargos', { recargos: [] }, admin.token);
+  assert.deepEqual(vacios.body.recargos, []);
+
+  const sinRecargo = await cotizar();
+  assert.equal(sinRecargo.body.desglose.importe_recargos, 0);
+  assert.equal(sinRecargo.body.precio, sinRecargo.body.desglose.subtotal);
+});
+
+test('sin tarifas de vehículo guardadas se usan las de por defecto con su recargo nocturno', async () => {
+  const admin = await obtenerAdmin();
+  await peticion('PUT', '/api/admin/tarifas/recargos', { recargos: [] }, admin.token);
+  for (const tipo of ['bicicleta', 'moto', 'carro']) {
+    await peticion('DELETE', `/api/admin/tarifas/vehiculos/${tipo}`, null, admin.token);
+  }
+
+  const tablas = await peticion('GET', '/api/admin/tarifas', null, admin.token);
+  assert.deepEqual(tablas.body, TARIFAS_POR_DEFECTO);
+
+  // Con una tarifa configurada vuelven a mandar las tablas guardadas
+  await peticion('PUT', '/api/admin/tarifas/vehiculos/moto', { tarifa_base: 100, precio_km: 40, tarifa_minima: 120 }, admin.token);
+  const guardadas = await peticion('GET', '/api/admin/tarifas', null, admin.token);
+  assert.deepEqual(guardadas.body.recargos, []);
+  assert.equal(guardadas.body.vehiculos.length, 1);
+});
+
+test('el pedido respeta el precio de su cotización aunque la tarifa cambie', async () => {
+  const admin = await obtenerAdmin();
+  const cliente = await crearCliente();
+  const otro = await crearCliente('Luis');
+
+  await peticion('PUT', '/api/admin/tarifas/vehiculos/moto', { tarifa_base: 120, precio_km: 45, tarifa_minima: 150 }, admin.token);
+  const cotizacion = await peticion('POST', '/api/cotizar', { origen: VENTA, destino: ENTREGA, tipo_vehiculo: 'moto' }, cliente.token);
+  assert.equal(cotizacion.status, 200);
+  assert.ok(cotizacion.body.cotizacion_id);
+  assert.ok(new Date(cotizacion.body.expira_at) > new Date());
+
+  await peticion('PUT', '/api/admin/tarifas/vehiculos/moto', { tarifa_base: 900, precio_km: 45, tarifa_minima: 150 }, admin.token);
+
+  const conCotizacion = await crearPedido(cliente.token, { cotizacion_id: cotizacion.body.cotizacion_id });
+  const pedido = await peticion('GET', `/api/pedidos/${conCotizacion.id}`, null, cliente.token);
+  assert.equal(pedido.body.precio, cotizacion.body.precio);
+
+  const sinCotizacion = await crearPedido(cliente.token);
+  const actual = await peticion('GET', `/api/pedidos/${sinCotizacion.id}`, null, cliente.token);
+  assert.ok(actual.body.precio > cotizacion.body.precio);
+
+  const crearCon = (token, datos) => peticion('POST', '/api/pedidos', {
+    ubicacion_venta: VENTA,
+    ubicacion_entrega: ENTREGA,
+    tipo_vehiculo: 'moto',
+    cotizacion_id: cotizacion.body.cotizacion_id,
+    ...datos
+  }, token);
+
+  const otroVehiculo = await crearCon(cliente.token, { tipo_vehiculo: 'carro' });
+  assert.equal(otroVehiculo.status, 400);
+  assert.equal(otroVehiculo.body.error.code, 'COTIZACION_NO_VALIDA');
+
+  const otroDestino = await crearCon(cliente.token, { ubicacion_entrega: VENTA });
+  assert.equal(otroDestino.body.error.code, 'COTIZACION_NO_VALIDA');
+
+  const deOtroCliente = await crearCon(otro.token);
+  assert.equal(deOtroCliente.body.error.code, 'COTIZACION_NO_VALIDA');
+
+  const caducada = jwt.sign(
+    { origen: VENTA, destino: ENTREGA, tipo_vehiculo: 'moto', precio: 1, distancia: 1 },
+    process.env.JWT_SECRET,
+    { audience: 'cotizacion', subject: cliente.id, expiresIn: -1 }
+  );
+  const respuesta = await crearCon(cliente.token, { cotizacion_id: caducada });
+  assert.equal(respuesta.status, 409);
+  assert.equal(respuesta.body.error.code, 'COTIZACION_CADUCADA');
+});